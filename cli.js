@@ -0,0 +1,156 @@
+/**
+ * Linea de comandos: valida cadenas con un automata sin abrir el navegador
+ *   node cli.js <automata.json | email | modulo3 | nfa | parentesis | anbn | incremento | palindromo | gray | residuo3> [cadenas...] [--traza] [--json]
+ * Sin cadenas se leen de la entrada estandar, una por linea (mismo formato que las
+ * Pruebas por Lotes: "cadena => acepta", ε para la cadena vacia, # comentarios).
+ */
+
+const fs = require('fs');
+const { Automaton, EmailAutomaton, Modulo3Automaton, DecimalNFA, BalancedParensPDA, AnBnPDA, BinaryIncrementTM, PalindromeTM,
+    GrayCodeMealy, Modulo3Moore, BatchRunner, EPSILON } = require('./core');
+
+const BUILT_IN = {
+    email: () => new EmailAutomaton(),
+    modulo3: () => new Modulo3Automaton(),
+    nfa: () => new DecimalNFA(),
+    parentesis: () => new BalancedParensPDA(),
+    anbn: () => new AnBnPDA(),
+    incremento: () => new BinaryIncrementTM(),
+    palindromo: () => new PalindromeTM(),
+    gray: () => new GrayCodeMealy(),
+    residuo3: () => new Modulo3Moore()
+};
+
+const USAGE = `Uso: node cli.js <automata.json | ${Object.keys(BUILT_IN).join(' | ')}> [cadenas...] [opciones]
+
+Si no se dan cadenas se leen de la entrada estándar, una por línea. Cada línea puede
+indicar el resultado esperado: "cadena => acepta" o "cadena<TAB>rechaza".
+
+Opciones:
+  -t, --traza   Muestra cada transición recorrida
+  -j, --json    Imprime los resultados como JSON
+  -h, --ayuda   Muestra esta ayuda
+  --            Lo que sigue son cadenas aunque empiecen con '-'
+
+Código de salida: 0 si todo coincide con lo esperado, 1 si alguna cadena no coincide,
+2 si hay un error en los argumentos o en el autómata.`;
+
+function fail(message, details = []) {
+    console.error(`Error: ${message}`);
+    details.forEach(detail => console.error(`  ${detail}`));
+    process.exit(2);
+}
+
+function loadAutomaton(source) {
+    if (BUILT_IN[source]) return BUILT_IN[source]();
+    let text;
+    try {
+        text = fs.readFileSync(source, 'utf8');
+    } catch (e) {
+        fail(`No se pudo leer '${source}' (${e.code}). Usa un archivo JSON o uno de: ${Object.keys(BUILT_IN).join(', ')}.`);
+    }
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        fail(`No se pudo leer el JSON: ${e.message}`);
+    }
+    try {
+        return Automaton.fromJSON(data);
+    } catch (e) {
+        fail(e.message, e.errors || []);
+    }
+}
+
+function formatResult(result, showTrace) {
+    const shown = result.input === '' ? EPSILON : `"${result.input}"`;
+    const lines = [`${result.accepted ? 'ACEPTADA' : 'RECHAZADA'} ${shown}`];
+    if (result.passed === false) lines[0] += `  ✗ se esperaba: ${result.expected ? 'acepta' : 'rechaza'}`;
+    if (result.expected === undefined) lines[0] += `  ? etiqueta desconocida: ${result.label}`;
+    if (showTrace) {
+        // En una maquina de Turing cada paso tambien escribe y mueve la cabeza;
+        // en una de Mealy o de Moore emite una salida
+        const action = step => {
+            if (step.move) return ` → ${step.write}, ${step.move}`;
+            return step.output !== undefined ? `/${step.output || EPSILON}` : '';
+        };
+        result.steps.forEach(step => lines.push(`  ${step.from} --(${step.symbol}${action(step)})--> ${step.to}`));
+        if (result.error) lines.push(`  ${result.error}`);
+    }
+    if (result.tape !== undefined) lines.push(`  Cinta: ${result.tape || EPSILON}`);
+    if (result.output !== undefined) lines.push(`  Salida: ${result.output || EPSILON}`);
+    lines.push(`  Conclusión: ${result.conclusion}`);
+    return lines.join('\n');
+}
+
+function toJSON(result) {
+    return {
+        input: result.input,
+        accepted: result.accepted,
+        expected: result.expected === undefined ? null : result.expected,
+        passed: result.passed,
+        finalStates: result.activeStates.map(state => state.label),
+        failedAt: result.failedAt,
+        error: result.error,
+        steps: result.steps.map(step => {
+            if (step.move) return { from: step.from, symbol: step.symbol, write: step.write, move: step.move, to: step.to };
+            if (step.output !== undefined) return { from: step.from, symbol: step.symbol, output: step.output, to: step.to };
+            return { from: step.from, symbol: step.symbol, to: step.to };
+        }),
+        diagnostic: {
+            kind: result.diagnostic.kind,
+            position: result.diagnostic.position,
+            char: result.diagnostic.char,
+            states: result.diagnostic.states.map(state => state.label),
+            phase: result.diagnostic.phase,
+            expected: result.diagnostic.expected
+        },
+        ...(result.outcome !== undefined && { outcome: result.outcome, tape: result.tape }),
+        ...(result.output !== undefined && { output: result.output }),
+        conclusion: result.conclusion
+    };
+}
+
+function main(args) {
+    const options = { trace: false, json: false };
+    const positional = [];
+    let literal = false; // despues de "--" todo es cadena (ej. "-1.5")
+    args.forEach(arg => {
+        if (literal) positional.push(arg);
+        else if (arg === '--') literal = true;
+        else if (arg === '-t' || arg === '--traza') options.trace = true;
+        else if (arg === '-j' || arg === '--json') options.json = true;
+        else if (arg === '-h' || arg === '--ayuda') {
+            console.log(USAGE);
+            process.exit(0);
+        } else if (arg.startsWith('-') && arg.length > 1) fail(`Opción desconocida '${arg}'.\n\n${USAGE}`);
+        else positional.push(arg);
+    });
+    if (!positional.length) fail(`Falta el autómata.\n\n${USAGE}`);
+
+    const automaton = loadAutomaton(positional[0]);
+    let cases;
+    if (positional.length > 1) {
+        cases = positional.slice(1).map(input => ({ input: input === EPSILON ? '' : input, expected: null, label: null }));
+    } else if (process.stdin.isTTY) {
+        fail(`No hay cadenas: pásalas como argumentos o por la entrada estándar.\n\n${USAGE}`);
+    } else {
+        cases = BatchRunner.parse(fs.readFileSync(0, 'utf8'));
+    }
+
+    const results = BatchRunner.run(automaton, cases);
+    if (options.json) {
+        console.log(JSON.stringify({ automaton: automaton.name, results: results.map(toJSON) }, null, 2));
+    } else {
+        console.log(`Autómata: ${automaton.name} (${automaton.type}, ${automaton.states.length} estados)`);
+        results.forEach(result => console.log(formatResult(result, options.trace)));
+        const accepted = results.filter(r => r.accepted).length;
+        const checked = results.filter(r => r.passed !== null);
+        let summary = `Cadenas: ${results.length} (aceptadas: ${accepted}, rechazadas: ${results.length - accepted}).`;
+        if (checked.length) summary += ` Coinciden con lo esperado: ${checked.filter(r => r.passed).length} de ${checked.length}.`;
+        console.log(summary);
+    }
+    process.exit(results.some(r => r.passed === false) ? 1 : 0);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,1974 @@
+/**
+ * Motor de Automatas
+ * Modelo, simulacion, conclusiones y algoritmos (sin DOM ni canvas).
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    // Categorias espesiales de simbolos que entiende matchesSymbol
+    const SYMBOL_CLASSES = {
+        DIGIT: '0123456789',
+        ALPHA: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ',
+        ALPHANUM: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+    };
+
+    // Simbolo de la transicion vacia (solo en NFA)
+    const EPSILON = 'ε';
+
+    // Formato JSON para compartir automatas
+    const AUTOMATON_FORMAT = 'automata-visualizer';
+    const AUTOMATON_FORMAT_VERSION = 1;
+
+    // Lista legible de reglas: 'a', 'b' o DIGIT
+    function formatSymbolList(rules) {
+        const shown = rules.map(r => r.length === 1 ? `'${r}'` : r);
+        if (shown.length === 0) return "ningún símbolo";
+        if (shown.length === 1) return shown[0];
+        return `${shown.slice(0, -1).join(', ')} o ${shown[shown.length - 1]}`;
+    }
+
+    // Copia un mensaje (texto) o un mapa de mensajes (objeto) sin compartir referencias
+    function copyMessages(value) {
+        if (typeof value === 'string') return value;
+        const copy = {};
+        Object.entries(value).forEach(([k, v]) => copy[k] = typeof v === 'string' ? v : { ...v });
+        return copy;
+    }
+
+    // --- Clase Base del Automata ---
+    class Automaton {
+        constructor(name) {
+            this.name = name;
+            this.states = []; // areglo de objetos de estado { id, x, y, isFinal, label }
+            this.transitions = []; // areglo de { from, to, symbol }
+            this.currentState = null;
+            this.history = []; // historial de pasos
+            this.alphabet = null; // areglo de simbolos, o null si no se declaro
+            this.symbolClasses = {}; // categorias propias { NOMBRE: 'caracteres' }
+            this.messages = {}; // mensajes generales { stuck, outside } (ver getMessage)
+            this.failure = null; // donde se atoro la simulacion actual
+            this.type = 'DFA';
+        }
+
+        reset() {
+            this.currentState = this.states.find(s => s.isStart) || null;
+            this.history = [];
+            this.failure = null;
+            if (!this.currentState) {
+                this.log("El autómata no tiene estado inicial.", 'error');
+                return;
+            }
+            this.log(`Reinicio al estado inicial: ${this.currentState.label}`);
+        }
+
+        step(symbol) {
+            if (!this.currentState) return { error: "No hay estado actual", valid: false };
+
+            const transition = this.transitions.find(t =>
+                t.from === this.currentState.id && this.matchesSymbol(t.symbol, symbol)
+            );
+
+            if (transition) {
+                const previousState = this.currentState;
+                this.currentState = this.states.find(s => s.id === transition.to);
+                const stepInfo = {
+                    from: previousState.label,
+                    to: this.currentState.label,
+                    symbol: symbol,
+                    valid: true,
+                    transitions: [transition]
+                };
+                this.history.push(stepInfo);
+                this.log(`Transición: ${previousState.label} --(${symbol})--> ${this.currentState.label}`);
+                return stepInfo;
+            } else {
+                // Analyze what was expected
+                const possibleTransitions = this.transitions.filter(t => t.from === this.currentState.id);
+                const expected = possibleTransitions.map(t => t.symbol).join(" o ");
+
+                let reason = "";
+                if (!this.inAlphabet(symbol)) {
+                    reason = `El símbolo '${symbol}' no pertenece al alfabeto.`;
+                } else if (possibleTransitions.length === 0) {
+                    reason = "No hay más transiciones posibles desde este estado (Callejón sin salida).";
+                } else {
+                    reason = `Se esperaba: [${expected}], pero se encontró: '${symbol}'.`;
+                }
+
+                const error = `Error en ${this.currentState.label}: ${reason}`;
+                this.fail(symbol, [this.currentState]);
+                this.log(error, 'error');
+                return { error: error, valid: false, reason: reason, failure: this.failure };
+            }
+        }
+
+        // Corre una cadena completa sin registrar cada paso
+        run(input) {
+            this.silent = true;
+            this.reset(input);
+            let valid = !!this.currentState;
+            let failedAt = null;
+            let error = null;
+            const chars = [...input];
+            for (let i = 0; valid && !this.isFinished(i, chars); i++) {
+                const result = this.step(chars[i]);
+                if (!result.valid) {
+                    valid = false;
+                    failedAt = i;
+                    error = result.error;
+                }
+            }
+            this.silent = false;
+
+            return {
+                input,
+                valid,
+                accepted: valid && this.isAccepting(),
+                finalState: this.currentState,
+                activeStates: this.getActiveStates(), // en un NFA, todo el conjunto final
+                failedAt,
+                error,
+                steps: this.history, // traza: { from, to, symbol, transitions } por caracter leido
+                diagnostic: this.getDiagnostic(input),
+                conclusion: this.getConclusion(input, valid, this.currentState)
+            };
+        }
+
+        // La simulacion termino despues de position pasos: aqui, al leer toda la cadena
+        // (una maquina de Turing termina cuando se detiene)
+        isFinished(position, input) {
+            return position >= input.length;
+        }
+
+        // Registra el caracter que no se pudo leer y los estados donde estaba la simulacion
+        fail(symbol, states) {
+            this.failure = {
+                position: this.history.length,
+                char: symbol,
+                states,
+                outside: !this.inAlphabet(symbol)
+            };
+        }
+
+        // Transiciones recorridas en la simulacion actual
+        getTraversedTransitions() {
+            return [...new Set(this.history.flatMap(step => step.transitions))];
+        }
+
+        // Estados activos de la simulacion (uno solo en un DFA)
+        getActiveStates() {
+            return this.currentState ? [this.currentState] : [];
+        }
+
+        isAccepting() {
+            return !!this.currentState && this.currentState.isFinal;
+        }
+
+        // Descarta la simulacion en curso (ej. despues de editar el grafo)
+        clearSimulation() {
+            this.currentState = null;
+            this.history = [];
+            this.failure = null;
+        }
+
+        matchesSymbol(rule, symbol) {
+            if (rule === symbol) return true;
+            // categorias espesiales
+            if (rule === 'DIGIT' && /[0-9]/.test(symbol)) return true;
+            if (rule === 'ALPHA' && /[a-zA-Z]/.test(symbol)) return true;
+            if (rule === 'ALPHANUM' && /[a-zA-Z0-9]/.test(symbol)) return true;
+            // categorias definidas por el usuario
+            if (this.symbolClasses[rule] && this.symbolClasses[rule].includes(symbol)) return true;
+            return false;
+        }
+
+        log(message, type = 'info') {
+            if (this.silent) return; // repeticiones internas (ej. retroceder en la animacion)
+            if (Automaton.onLog) Automaton.onLog(message, type, this);
+        }
+
+        getGrammar(options) {
+            return RegularGrammar.fromAutomaton(this, options);
+        }
+
+        // Resultado estructurado de la simulacion actual, del que salen las conclusiones
+        // kind: 'accepted', 'rejected' (termino en no final), 'stuck' (sin transicion),
+        // 'outside' (simbolo fuera del alfabeto) o 'no-start'
+        getDiagnostic(input) {
+            const chars = [...input];
+            if (!this.states.some(s => s.isStart)) {
+                return { kind: 'no-start', position: 0, char: null, state: null, states: [], expected: [], phase: null, input };
+            }
+            const failure = this.failure;
+            const states = failure ? failure.states : this.getActiveStates();
+            const accepted = !failure && this.isAccepting();
+            // El estado que "explica" el resultado: el final alcanzado o el primero con mensaje
+            const key = failure ? 'errorMessage' : accepted ? 'isFinal' : 'message';
+            const state = states.find(s => s[key]) || states[0] || null;
+            return {
+                kind: failure ? (failure.outside ? 'outside' : 'stuck') : accepted ? 'accepted' : 'rejected',
+                position: failure ? failure.position : chars.length,
+                char: failure ? failure.char : null,
+                state,
+                states,
+                expected: this.getExpected(states),
+                phase: state && state.phase || null,
+                input
+            };
+        }
+
+        // Reglas que se podian leer desde los estados dados
+        getExpected(states) {
+            const ids = states.map(s => s.id);
+            return [...new Set(this.transitions
+                .filter(t => ids.includes(t.from) && t.symbol !== EPSILON)
+                .map(t => t.symbol))];
+        }
+
+        getConclusion(input, valid, finalState) {
+            // El mensaje definido en el automata, o una conclusion generica
+            const diagnostic = this.getDiagnostic(input);
+            const template = this.getMessage(diagnostic);
+            return template ? this.formatMessage(template, diagnostic) : this.describe(diagnostic);
+        }
+
+        // Busca el mensaje de la definicion. Al terminar: estado.message. Al atorarse:
+        // messages.outside si el simbolo no es del alfabeto, luego estado.errorMessage (un texto
+        // vale para cualquier simbolo), messages.stuck[simbolo] y al final los comodines '*'
+        getMessage(diagnostic) {
+            const { kind, state, char } = diagnostic;
+            if (kind === 'no-start') return null;
+            if (kind === 'accepted' || kind === 'rejected') return state && state.message || null;
+
+            const pick = (source, key) => source && typeof source === 'object' ? source[key] || null : null;
+            const wildcard = source => typeof source === 'string' ? source : pick(source, '*');
+            const own = state && state.errorMessage;
+            const { stuck, outside } = this.messages;
+            const candidates = kind === 'outside' ? [pick(outside, char), wildcard(outside)] : [];
+            candidates.push(typeof own === 'string' ? own : pick(own, char), pick(stuck, char), pick(own, '*'), wildcard(stuck));
+            return candidates.find(Boolean) || null;
+        }
+
+        // Sustituye {char}, {position}, {state}, {phase}, {expected} e {input} en un mensaje
+        formatMessage(template, diagnostic) {
+            const values = {
+                char: diagnostic.char,
+                position: diagnostic.position + 1,
+                state: diagnostic.state ? diagnostic.state.label : '',
+                phase: diagnostic.phase || '',
+                expected: formatSymbolList(diagnostic.expected),
+                input: diagnostic.input
+            };
+            return template.replace(/\{(\w+)\}/g, (match, key) =>
+                values[key] !== undefined && values[key] !== null ? values[key] : match);
+        }
+
+        // Conclusion generica cuando la definicion no tiene un mensaje para el caso
+        describe(diagnostic) {
+            const { kind, state, char } = diagnostic;
+            const position = diagnostic.position + 1;
+            switch (kind) {
+                case 'no-start':
+                    return "No se acepta porque el autómata no tiene estado inicial.";
+                case 'accepted':
+                    return `Es aceptada porque termina en el estado final ${state.label}.`;
+                case 'outside':
+                    return `No se acepta porque el símbolo '${char}' (posición ${position}) no pertenece al alfabeto del autómata.`;
+                case 'stuck':
+                    return `No se acepta porque no hay una transición desde el estado ${state.label} con el símbolo '${char}' (posición ${position}).`;
+                default:
+                    return `No se acepta porque termina en ${state.label}, que no es un estado final.`;
+            }
+        }
+
+        // --- Edicion del grafo ---
+
+        getState(id) {
+            return this.states.find(s => s.id === id);
+        }
+
+        addState(x, y, label) {
+            let n = this.states.length;
+            while (this.getState(`q${n}`)) n++;
+            const state = {
+                id: `q${n}`,
+                label: label || `q${n}`,
+                x: Math.round(x),
+                y: Math.round(y),
+                isStart: this.states.length === 0, // el primer estado es el inicial
+                isFinal: false
+            };
+            this.states.push(state);
+            return state;
+        }
+
+        removeState(id) {
+            this.states = this.states.filter(s => s.id !== id);
+            this.transitions = this.transitions.filter(t => t.from !== id && t.to !== id);
+            if (this.currentState && this.currentState.id === id) this.currentState = null;
+        }
+
+        setStart(id) {
+            // Solo puede haber un estado inicial
+            this.states.forEach(s => s.isStart = s.id === id);
+        }
+
+        addTransition(from, to, symbol) {
+            const duplicate = this.transitions.find(t => t.from === from && t.to === to && t.symbol === symbol);
+            if (duplicate) return null;
+            const transition = { from, to, symbol };
+            this.transitions.push(transition);
+            return transition;
+        }
+
+        removeTransition(transition) {
+            this.transitions = this.transitions.filter(t => t !== transition);
+        }
+
+        // Etiqueta de una arista con todas sus transiciones ("0, 1"); symbol da formato a cada regla
+        getEdgeLabel(transitions, symbol = rule => rule) {
+            return [...new Set(transitions.map(t => symbol(t.symbol)))].join(', ');
+        }
+
+        // Lo que hace una transicion ademas de leer (pila, cinta); nada en un automata finito
+        formatAction(transition) {
+            return null;
+        }
+
+        isSymbolRule(rule) {
+            // Un simbolo es un solo caracter o una categoria espesial
+            return typeof rule === 'string' && (rule.length === 1 || this.getSymbolClassNames().includes(rule));
+        }
+
+        getSymbolClassNames() {
+            return [...Object.keys(SYMBOL_CLASSES), ...Object.keys(this.symbolClasses)];
+        }
+
+        // Caracteres concretos que acepta una regla (simbolo o categoria)
+        expandSymbol(rule) {
+            if (SYMBOL_CLASSES[rule]) return SYMBOL_CLASSES[rule].split('');
+            if (this.symbolClasses[rule]) return this.symbolClasses[rule].split('');
+            return [rule];
+        }
+
+        clone(name = this.name) {
+            const copy = new Automaton(name);
+            copy.states = this.states.map(s => ({ ...s }));
+            copy.transitions = this.transitions.map(t => ({ ...t }));
+            copy.alphabet = this.alphabet ? [...this.alphabet] : null;
+            copy.symbolClasses = { ...this.symbolClasses };
+            copy.messages = { ...this.messages };
+            return copy;
+        }
+
+        // Estados alcanzables desde el inicial
+        getReachableStates() {
+            const start = this.states.find(s => s.isStart);
+            if (!start) return [];
+            const reached = new Set([start.id]);
+            const pending = [start.id];
+            while (pending.length) {
+                const id = pending.pop();
+                this.transitions.forEach(t => {
+                    if (t.from === id && !reached.has(t.to)) {
+                        reached.add(t.to);
+                        pending.push(t.to);
+                    }
+                });
+            }
+            return this.states.filter(s => reached.has(s.id));
+        }
+
+        // Minimizacion por refinamiento de particiones (Moore/Hopcroft).
+        // Regresa el DFA minimo junto con las rondas de particiones para visualizarlas.
+        minimize(name = `${this.name} (mínimo)`) {
+            const DEAD = '∅'; // estado trampa implicito para las transiciones que faltan
+            const reachable = this.getReachableStates();
+            const unreachable = this.states.filter(s => !reachable.includes(s));
+            const ids = reachable.map(s => s.id);
+            const { atoms } = partitionSymbols(this, this.transitions.map(t => t.symbol));
+
+            // Tabla de transiciones completa sobre los atomos
+            const delta = {};
+            [...ids, DEAD].forEach(id => {
+                delta[id] = atoms.map(atom => {
+                    const t = this.transitions.find(t => t.from === id && this.matchesSymbol(t.symbol, atom.chars[0]));
+                    return t ? t.to : DEAD;
+                });
+            });
+            const needsDead = ids.some(id => delta[id].includes(DEAD));
+            const all = needsDead ? [...ids, DEAD] : ids;
+
+            // Ronda 0: finales contra no finales
+            const isFinal = id => id !== DEAD && this.getState(id).isFinal;
+            let partition = [all.filter(isFinal), all.filter(id => !isFinal(id))].filter(b => b.length);
+            const rounds = [partition];
+
+            while (true) {
+                const blockOf = {};
+                partition.forEach((block, i) => block.forEach(id => blockOf[id] = i));
+
+                // Dos estados siguen juntos si van a los mismos bloques con cada simbolo
+                const refined = [];
+                partition.forEach(block => {
+                    const groups = new Map();
+                    block.forEach(id => {
+                        const signature = delta[id].map(to => blockOf[to]).join(',');
+                        if (!groups.has(signature)) groups.set(signature, []);
+                        groups.get(signature).push(id);
+                    });
+                    refined.push(...groups.values());
+                });
+
+                if (refined.length === partition.length) break;
+                partition = refined;
+                rounds.push(partition);
+            }
+
+            // Construir el DFA minimo: un estado por bloque (sin el bloque trampa)
+            const minimal = new Automaton(name);
+            minimal.alphabet = this.alphabet ? [...this.alphabet] : null;
+            minimal.symbolClasses = { ...this.symbolClasses };
+            minimal.messages = copyMessages(this.messages);
+
+            const blockState = {};
+            partition.forEach((block, i) => {
+                if (block.includes(DEAD)) return;
+                const members = block.map(id => this.getState(id));
+                const labels = [...new Set(members.map(m => m.label))];
+                const state = {
+                    id: `m${i}`,
+                    label: labels.join(','),
+                    x: Math.round(members.reduce((sum, m) => sum + m.x, 0) / members.length),
+                    y: Math.round(members.reduce((sum, m) => sum + m.y, 0) / members.length),
+                    isStart: members.some(m => m.isStart),
+                    isFinal: members[0].isFinal
+                };
+                // La fase y los mensajes pasan solo si todos los estados del bloque coinciden
+                ['phase', 'message', 'errorMessage'].forEach(key => {
+                    const values = new Set(members.map(m => JSON.stringify(m[key])));
+                    if (values.size === 1 && members[0][key]) state[key] = copyMessages(members[0][key]);
+                });
+                block.forEach(id => blockState[id] = state);
+                minimal.states.push(state);
+            });
+
+            // Las transiciones del representante conservan los simbolos originales (ej. ALPHANUM)
+            partition.forEach(block => {
+                const from = blockState[block[0]];
+                if (!from) return;
+                this.transitions.filter(t => t.from === block[0]).forEach(t => {
+                    const to = blockState[t.to];
+                    if (to) minimal.addTransition(from.id, to.id, t.symbol);
+                });
+            });
+
+            const stateMap = {}; // id original -> id en el DFA minimo
+            Object.entries(blockState).forEach(([id, state]) => stateMap[id] = state.id);
+
+            return { automaton: minimal, rounds, unreachable, stateMap, dead: DEAD };
+        }
+
+        // Expresion regular equivalente por eliminacion de estados
+        toRegex() {
+            return new StateEliminator(this).run();
+        }
+
+        // Alfabeto declarado o, si no hay, los caracteres que usan las transiciones
+        getAlphabet() {
+            if (this.alphabet) return [...this.alphabet];
+            const chars = new Set();
+            this.transitions.forEach(t => {
+                if (t.symbol === EPSILON) return;
+                this.expandSymbol(t.symbol).forEach(c => {
+                    if (this.matchesSymbol(t.symbol, c)) chars.add(c);
+                });
+            });
+            return [...chars];
+        }
+
+        inAlphabet(symbol) {
+            return this.getAlphabet().includes(symbol);
+        }
+
+        // Agrega al alfabeto declarado los caracteres de una regla que no esten (ej. al editar)
+        extendAlphabet(rule) {
+            if (!this.alphabet || rule === EPSILON) return [];
+            const added = this.expandSymbol(rule).filter(c => this.matchesSymbol(rule, c) && !this.alphabet.includes(c));
+            this.alphabet.push(...added);
+            return added;
+        }
+
+        // Revisa cada estado contra el alfabeto: caracteres sin transicion (faltantes),
+        // caracteres que llevan a mas de un estado (conflictos) y simbolos fuera del alfabeto
+        checkTotality() {
+            const alphabet = this.getAlphabet();
+            return this.states.map(state => {
+                // En un NFA cuenta todo lo alcanzable con ε desde el estado
+                const sources = this.epsilonClosure ? this.epsilonClosure([state.id]).map(s => s.id) : [state.id];
+                const outgoing = this.transitions.filter(t => sources.includes(t.from));
+                const missing = [];
+                const conflicts = new Map(); // destinos -> caracteres
+                alphabet.forEach(c => {
+                    const targets = [...new Set(outgoing.filter(t => this.matchesSymbol(t.symbol, c)).map(t => t.to))];
+                    if (!targets.length) {
+                        missing.push(c);
+                    } else if (targets.length > 1) {
+                        const key = targets.join(',');
+                        if (!conflicts.has(key)) conflicts.set(key, { chars: [], targets });
+                        conflicts.get(key).chars.push(c);
+                    }
+                });
+                const outside = new Set();
+                outgoing.forEach(t => {
+                    if (t.symbol === EPSILON) return;
+                    this.expandSymbol(t.symbol).forEach(c => {
+                        if (this.matchesSymbol(t.symbol, c) && !alphabet.includes(c)) outside.add(c);
+                    });
+                });
+                return {
+                    state,
+                    missing,
+                    conflicts: [...conflicts.values()],
+                    epsilon: this.transitions.filter(t => t.from === state.id && t.symbol === EPSILON).map(t => t.to),
+                    outside: [...outside]
+                };
+            });
+        }
+
+        // Copia determinista con un estado trampa explicito: cada estado tiene transicion para
+        // todo el alfabeto (el declarado, o los simbolos usados en las transiciones)
+        complete(name = this.name) {
+            const copy = Automaton.prototype.clone.call(asDFA(this), name);
+            const { atoms, symbolClasses } = partitionSymbols(copy, copy.transitions.map(t => t.symbol), copy.alphabet || []);
+            Object.assign(copy.symbolClasses, symbolClasses);
+
+            let trap = null;
+            [...copy.states].forEach(state => atoms.forEach(atom => {
+                if (copy.transitions.some(t => t.from === state.id && copy.matchesSymbol(t.symbol, atom.chars[0]))) return;
+                if (!trap) {
+                    const xs = copy.states.map(s => s.x);
+                    trap = copy.addState((Math.min(...xs) + Math.max(...xs)) / 2, Math.max(...copy.states.map(s => s.y)) + 160, 'Trampa');
+                }
+                copy.addTransition(state.id, trap.id, atom.symbol);
+            }));
+            if (trap) atoms.forEach(atom => copy.addTransition(trap.id, trap.id, atom.symbol));
+            return copy;
+        }
+
+        // Compara los lenguajes de dos automatas (construccion del producto)
+        compareWith(other) {
+            return new EquivalenceChecker(this, other).run();
+        }
+
+        // Reemplaza las etiquetas por nombres cortos (q0, q1, ...) en orden de los estados
+        relabelStates(prefix = 'q') {
+            this.states.forEach((s, i) => s.label = `${prefix}${i}`);
+        }
+
+        toNFA(name = this.name) {
+            const copy = new NFAutomaton(name);
+            const base = Automaton.prototype.clone.call(this, name);
+            ['states', 'transitions', 'alphabet', 'symbolClasses', 'messages'].forEach(k => copy[k] = base[k]);
+            return copy;
+        }
+
+        // --- Importar / Exportar JSON ---
+
+        toJSON() {
+            const definition = {
+                format: AUTOMATON_FORMAT,
+                version: AUTOMATON_FORMAT_VERSION,
+                type: this.type,
+                name: this.name
+            };
+            if (this.alphabet) definition.alphabet = [...this.alphabet];
+            if (Object.keys(this.symbolClasses).length) definition.symbolClasses = { ...this.symbolClasses };
+            if (Object.keys(this.messages).length) definition.messages = copyMessages(this.messages);
+
+            definition.states = this.states.map(s => {
+                const state = { id: s.id, label: s.label, x: s.x, y: s.y, isStart: !!s.isStart, isFinal: !!s.isFinal };
+                if (s.phase) state.phase = s.phase;
+                if (s.message) state.message = s.message;
+                if (s.errorMessage) state.errorMessage = copyMessages(s.errorMessage);
+                return state;
+            });
+            definition.transitions = this.transitions.map(t => ({ from: t.from, to: t.to, symbol: t.symbol }));
+            return definition;
+        }
+
+        static fromJSON(data) {
+            const errors = Automaton.validateDefinition(data);
+            if (errors.length) {
+                const error = new Error(`Definición inválida (${errors.length} error${errors.length > 1 ? 'es' : ''}).`);
+                error.errors = errors;
+                throw error;
+            }
+
+            const name = data.name || "Autómata Importado";
+            const automaton = new Automaton.types[data.type || 'DFA'](name);
+            automaton.alphabet = data.alphabet ? [...data.alphabet] : null;
+            automaton.symbolClasses = { ...(data.symbolClasses || {}) };
+            automaton.messages = copyMessages(data.messages || {});
+
+            automaton.states = data.states.map(s => {
+                const state = {
+                    id: s.id,
+                    label: s.label !== undefined ? s.label : s.id,
+                    x: s.x !== undefined ? s.x : 0,
+                    y: s.y !== undefined ? s.y : 0,
+                    isStart: !!s.isStart,
+                    isFinal: !!s.isFinal
+                };
+                if (s.phase) state.phase = s.phase;
+                if (s.message) state.message = s.message;
+                if (s.errorMessage) state.errorMessage = copyMessages(s.errorMessage);
+                return state;
+            });
+            automaton.transitions = data.transitions.map(t => automaton.readTransition(t));
+            automaton.readDefinition(data);
+            // Sin coordenadas en algun estado se acomoda todo el grafo automaticamente
+            if (data.states.some(s => s.x === undefined || s.y === undefined)) forceLayout(automaton);
+            return automaton;
+        }
+
+        // Lectura de una transicion y de los campos propios de cada tipo (ver PushdownAutomaton)
+        readTransition(t) {
+            return { from: t.from, to: t.to, symbol: t.symbol };
+        }
+
+        readDefinition(data) { }
+
+        // Errores de los campos propios de cada tipo; la base no tiene ninguno
+        static validateExtra(data) {
+            return [];
+        }
+
+        // Simbolos que pueden leer las transiciones (null: cualquiera); la base usa el alfabeto
+        static getReadableSymbols(data) {
+            return Array.isArray(data.alphabet) ? data.alphabet : null;
+        }
+
+        // Revisa una definicion y regresa una lista de errores legibles (vacia si es valida)
+        static validateDefinition(data) {
+            const errors = [];
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+            if (!isObject(data)) return ["La definición debe ser un objeto JSON."];
+
+            if (data.format !== AUTOMATON_FORMAT) {
+                errors.push(`"format" debe ser "${AUTOMATON_FORMAT}".`);
+            }
+            if (!Number.isInteger(data.version)) {
+                errors.push(`"version" es obligatorio y debe ser un número entero.`);
+            } else if (data.version > AUTOMATON_FORMAT_VERSION) {
+                errors.push(`La versión ${data.version} no es compatible (máxima soportada: ${AUTOMATON_FORMAT_VERSION}).`);
+            }
+            const types = Object.keys(Automaton.types);
+            if (data.type !== undefined && !types.includes(data.type)) {
+                errors.push(`"type" desconocido: "${data.type}". Tipos soportados: ${types.join(', ')}.`);
+            }
+            const Type = Automaton.types[data.type] || Automaton;
+            const deterministic = Type.deterministic;
+            const readable = Type.getReadableSymbols(data);
+            if (data.name !== undefined && typeof data.name !== 'string') {
+                errors.push(`"name" debe ser texto.`);
+            }
+
+            // Alfabeto y categorias
+            if (data.alphabet !== undefined) {
+                if (!Array.isArray(data.alphabet)) {
+                    errors.push(`"alphabet" debe ser un arreglo de símbolos.`);
+                } else {
+                    data.alphabet.forEach((a, i) => {
+                        if (typeof a !== 'string' || a.length !== 1) {
+                            errors.push(`alphabet[${i}] debe ser un solo carácter.`);
+                        } else if (data.alphabet.indexOf(a) !== i) {
+                            errors.push(`alphabet[${i}]: el símbolo '${a}' está repetido.`);
+                        }
+                    });
+                }
+            }
+
+            const classes = { ...SYMBOL_CLASSES };
+            if (data.symbolClasses !== undefined) {
+                if (!isObject(data.symbolClasses)) {
+                    errors.push(`"symbolClasses" debe ser un objeto { NOMBRE: "caracteres" }.`);
+                } else {
+                    Object.entries(data.symbolClasses).forEach(([name, chars]) => {
+                        if (!/^[A-Z][A-Z0-9_]*$/.test(name)) {
+                            errors.push(`symbolClasses.${name}: el nombre debe estar en MAYÚSCULAS (ej. VOCAL).`);
+                        } else if (SYMBOL_CLASSES[name]) {
+                            errors.push(`symbolClasses.${name}: no se puede redefinir una categoría predefinida.`);
+                        } else if (typeof chars !== 'string' || chars.length === 0) {
+                            errors.push(`symbolClasses.${name} debe ser un texto con los caracteres de la categoría.`);
+                        } else {
+                            classes[name] = chars;
+                        }
+                    });
+                }
+            }
+
+            // Mensajes: texto, o { simbolo | '*': texto }
+            const checkMessages = (value, where) => {
+                if (typeof value === 'string') return;
+                if (!isObject(value)) {
+                    errors.push(`${where} debe ser texto o un objeto { símbolo: "mensaje" }.`);
+                    return;
+                }
+                Object.entries(value).forEach(([symbol, text]) => {
+                    if (symbol !== '*' && [...symbol].length !== 1) errors.push(`${where}: la llave '${symbol}' debe ser un solo carácter o '*'.`);
+                    else if (typeof text !== 'string') errors.push(`${where}['${symbol}'] debe ser texto.`);
+                });
+            };
+            if (data.messages !== undefined) {
+                if (!isObject(data.messages)) {
+                    errors.push(`"messages" debe ser un objeto { stuck, outside }.`);
+                } else {
+                    Object.entries(data.messages).forEach(([k, value]) => {
+                        if (!['stuck', 'outside'].includes(k)) errors.push(`messages.${k}: tipo desconocido (usa stuck u outside).`);
+                        else checkMessages(value, `messages.${k}`);
+                    });
+                }
+            }
+
+            // Estados
+            const ids = new Set();
+            if (!Array.isArray(data.states) || data.states.length === 0) {
+                errors.push(`"states" debe ser un arreglo con al menos un estado.`);
+            } else {
+                let starts = 0;
+                data.states.forEach((s, i) => {
+                    const where = `states[${i}]`;
+                    if (!isObject(s)) {
+                        errors.push(`${where} debe ser un objeto.`);
+                        return;
+                    }
+                    if (typeof s.id !== 'string' || s.id === '') {
+                        errors.push(`${where}.id es obligatorio y debe ser texto.`);
+                    } else if (ids.has(s.id)) {
+                        errors.push(`${where}.id: el id '${s.id}' está repetido.`);
+                    } else {
+                        ids.add(s.id);
+                    }
+                    if (s.label !== undefined && typeof s.label !== 'string') errors.push(`${where}.label debe ser texto.`);
+                    ['x', 'y'].forEach(k => {
+                        if (s[k] !== undefined && !Number.isFinite(s[k])) errors.push(`${where}.${k} debe ser un número.`);
+                    });
+                    ['isStart', 'isFinal'].forEach(k => {
+                        if (s[k] !== undefined && typeof s[k] !== 'boolean') errors.push(`${where}.${k} debe ser true o false.`);
+                    });
+                    ['phase', 'message'].forEach(k => {
+                        if (s[k] !== undefined && typeof s[k] !== 'string') errors.push(`${where}.${k} debe ser texto.`);
+                    });
+                    if (s.errorMessage !== undefined) checkMessages(s.errorMessage, `${where}.errorMessage`);
+                    if (s.isStart === true) starts++;
+                });
+                if (starts !== 1) errors.push(`Debe haber exactamente un estado inicial (hay ${starts}).`);
+            }
+
+            // Transiciones
+            if (!Array.isArray(data.transitions)) {
+                errors.push(`"transitions" debe ser un arreglo.`);
+            } else {
+                const used = {}; // caracteres ya usados por estado, para detectar no determinismo
+                data.transitions.forEach((t, i) => {
+                    const where = `transitions[${i}]`;
+                    if (!isObject(t)) {
+                        errors.push(`${where} debe ser un objeto.`);
+                        return;
+                    }
+                    ['from', 'to'].forEach(k => {
+                        if (!ids.has(t[k])) errors.push(`${where}.${k}: el estado '${t[k]}' no existe.`);
+                    });
+                    if (t.symbol === EPSILON) {
+                        if (deterministic) errors.push(`${where}: las transiciones '${EPSILON}' no se permiten en ${Type.typeLabel}.`);
+                        return;
+                    }
+                    if (typeof t.symbol !== 'string' || (t.symbol.length !== 1 && !classes[t.symbol])) {
+                        errors.push(`${where}.symbol '${t.symbol}' debe ser un carácter o una categoría (${Object.keys(classes).join(', ')}).`);
+                        return;
+                    }
+                    if (readable && t.symbol.length === 1 && !readable.includes(t.symbol)) {
+                        errors.push(`${where}.symbol '${t.symbol}' no pertenece al alfabeto.`);
+                    }
+                    if (!deterministic) return;
+
+                    const chars = classes[t.symbol] ? classes[t.symbol].split('') : [t.symbol];
+                    used[t.from] = used[t.from] || {};
+                    const clash = chars.find(c => used[t.from][c] !== undefined);
+                    if (clash !== undefined) {
+                        errors.push(`${where}: el estado '${t.from}' ya tiene una transición para '${clash}' (transitions[${used[t.from][clash]}]); ${Type.typeLabel} debe ser determinista.`);
+                    } else {
+                        chars.forEach(c => used[t.from][c] = i);
+                    }
+                });
+            }
+
+            errors.push(...Type.validateExtra(data));
+            return errors;
+        }
+    }
+
+    // Quien recibe los mensajes de log: la interfaz en el navegador; en Node nadie por defecto
+    Automaton.onLog = null;
+
+    // Divide los simbolos usados en grupos disjuntos ("atomos") de caracteres que
+    // se comportan igual en todas las reglas. Cada atomo recibe un nombre de regla:
+    // el caracter mismo, una categoria existente o una categoria nueva (CLASE1, ...).
+    // Los caracteres de universe (ej. el alfabeto) forman atomos aunque ninguna regla los use.
+    function partitionSymbols(automaton, rules, universe = []) {
+        return partitionSymbolSets([{ automaton, rules }], universe);
+    }
+
+    // Igual que partitionSymbols, pero con las reglas de varios automatas a la vez
+    // (cada regla se interpreta con las categorias de su propio automata)
+    function partitionSymbolSets(sources, universe = []) {
+        const groups = new Map(); // firma -> caracteres
+        const signatures = new Map(); // caracter -> firma
+
+        sources.forEach(({ automaton, rules }, side) => {
+            [...new Set(rules)].filter(r => r !== EPSILON).forEach(rule => {
+                automaton.expandSymbol(rule).forEach(c => {
+                    if (!automaton.matchesSymbol(rule, c)) return;
+                    signatures.set(c, (signatures.has(c) ? signatures.get(c) + ',' : '') + `${side}:${rule}`);
+                });
+            });
+        });
+        new Set(universe).forEach(c => {
+            signatures.set(c, (signatures.has(c) ? signatures.get(c) + ',' : '') + 'Σ');
+        });
+        signatures.forEach((signature, c) => {
+            if (!groups.has(signature)) groups.set(signature, []);
+            groups.get(signature).push(c);
+        });
+
+        const knownClasses = { ...SYMBOL_CLASSES };
+        sources.forEach(({ automaton }) => Object.entries(automaton.symbolClasses).forEach(([name, chars]) => {
+            if (!knownClasses[name]) knownClasses[name] = chars;
+        }));
+        const symbolClasses = {};
+        let counter = 1;
+        const atoms = [...groups.values()].map(chars => {
+            if (chars.length === 1) return { symbol: chars[0], chars };
+
+            const key = [...chars].sort().join('');
+            let symbol = Object.keys(knownClasses).find(name => knownClasses[name].split('').sort().join('') === key);
+            if (!symbol) {
+                while (knownClasses[`CLASE${counter}`]) counter++;
+                symbol = `CLASE${counter}`;
+                knownClasses[symbol] = chars.join('');
+            }
+            if (!SYMBOL_CLASSES[symbol]) symbolClasses[symbol] = knownClasses[symbol];
+            return { symbol, chars };
+        });
+
+        return { atoms, symbolClasses };
+    }
+
+    // Version determinista de un automata: un NFA pasa por la construccion de subconjuntos
+    function asDFA(automaton) {
+        if (automaton.type !== 'NFA') return automaton;
+        automaton.silent = true;
+        const dfa = automaton.toDFA();
+        automaton.silent = false;
+        return dfa;
+    }
+
+    // Acomoda los estados en columnas segun su distancia (BFS) al estado inicial
+    function layeredLayout(automaton) {
+        const start = automaton.states.find(s => s.isStart);
+        const depth = {};
+        if (start) {
+            depth[start.id] = 0;
+            const queue = [start.id];
+            while (queue.length) {
+                const id = queue.shift();
+                automaton.transitions.forEach(t => {
+                    if (t.from === id && depth[t.to] === undefined) {
+                        depth[t.to] = depth[id] + 1;
+                        queue.push(t.to);
+                    }
+                });
+            }
+        }
+        // Los inalcanzables van en una columna extra al final
+        const lastColumn = Math.max(-1, ...Object.values(depth)) + 1;
+
+        const layers = {};
+        automaton.states.forEach(s => {
+            const d = depth[s.id] !== undefined ? depth[s.id] : lastColumn;
+            (layers[d] = layers[d] || []).push(s);
+        });
+        Object.entries(layers).forEach(([d, layer]) => layer.forEach((state, i) => {
+            state.x = 100 + d * 220;
+            state.y = 300 + (i - (layer.length - 1) / 2) * 160;
+        }));
+    }
+
+    // Dibujo dirigido por fuerzas (Fruchterman-Reingold): los estados se repelen y las
+    // transiciones los atraen. Parte de layeredLayout, asi que el resultado es siempre el mismo.
+    function forceLayout(automaton, iterations = 300) {
+        layeredLayout(automaton);
+        const states = automaton.states;
+        if (states.length < 2) return;
+
+        const ideal = 200; // distancia ideal entre estados vecinos
+        const index = new Map(states.map((s, i) => [s.id, i]));
+        const pairs = new Set();
+        automaton.transitions.forEach(t => {
+            if (t.from === t.to || !index.has(t.from) || !index.has(t.to)) return;
+            const [a, b] = [index.get(t.from), index.get(t.to)].sort((x, y) => x - y);
+            pairs.add(`${a},${b}`);
+        });
+        const edges = [...pairs].map(p => p.split(',').map(Number));
+
+        let temperature = ideal / 2;
+        for (let it = 0; it < iterations; it++) {
+            const moves = states.map(() => ({ x: 0, y: 0 }));
+            for (let i = 0; i < states.length; i++) {
+                for (let j = i + 1; j < states.length; j++) {
+                    const dx = states[i].x - states[j].x;
+                    const dy = states[i].y - states[j].y;
+                    const dist = Math.max(Math.hypot(dx, dy), 1);
+                    const force = (ideal * ideal) / dist;
+                    moves[i].x += (dx / dist) * force;
+                    moves[i].y += (dy / dist) * force;
+                    moves[j].x -= (dx / dist) * force;
+                    moves[j].y -= (dy / dist) * force;
+                }
+            }
+            edges.forEach(([i, j]) => {
+                const dx = states[i].x - states[j].x;
+                const dy = states[i].y - states[j].y;
+                const dist = Math.max(Math.hypot(dx, dy), 1);
+                const force = (dist * dist) / ideal;
+                moves[i].x -= (dx / dist) * force;
+                moves[i].y -= (dy / dist) * force;
+                moves[j].x += (dx / dist) * force;
+                moves[j].y += (dy / dist) * force;
+            });
+            states.forEach((state, i) => {
+                const length = Math.max(Math.hypot(moves[i].x, moves[i].y), 1);
+                const step = Math.min(length, temperature);
+                state.x += (moves[i].x / length) * step;
+                state.y += (moves[i].y / length) * step;
+            });
+            temperature = Math.max(1, temperature * 0.98);
+        }
+
+        // Redondear y llevar la esquina superior izquierda a (100, 100)
+        const minX = Math.min(...states.map(s => s.x));
+        const minY = Math.min(...states.map(s => s.y));
+        states.forEach(s => {
+            s.x = Math.round(s.x - minX + 100);
+            s.y = Math.round(s.y - minY + 100);
+        });
+    }
+
+    // Acomoda los estados en un circulo en el orden del arreglo, empezando arriba
+    function circularLayout(automaton, centerX = 600, centerY = 400) {
+        const n = automaton.states.length;
+        const radius = Math.max(250, Math.round(n * 160 / (2 * Math.PI)));
+        automaton.states.forEach((state, i) => {
+            const angle = (2 * Math.PI * i) / n - Math.PI / 2;
+            state.x = Math.round(centerX + (n > 1 ? radius * Math.cos(angle) : 0));
+            state.y = Math.round(centerY + (n > 1 ? radius * Math.sin(angle) : 0));
+        });
+    }
+
+    // --- Automata No Determinista (NFA / ε-NFA) ---
+    class NFAutomaton extends Automaton {
+        constructor(name) {
+            super(name);
+            this.type = 'NFA';
+            this.currentStates = []; // conjunto de estados activos
+        }
+
+        reset() {
+            const start = this.states.find(s => s.isStart);
+            this.history = [];
+            this.failure = null;
+            if (!start) {
+                this.currentStates = [];
+                this.currentState = null;
+                this.log("El autómata no tiene estado inicial.", 'error');
+                return;
+            }
+            this.setActive(this.epsilonClosure([start.id]));
+            this.log(`Reinicio al conjunto inicial: ${this.formatSet(this.currentStates)}`);
+        }
+
+        step(symbol) {
+            if (!this.currentStates.length) return { error: "No hay estados activos", valid: false };
+
+            const previous = this.currentStates;
+            const next = this.epsilonClosure(this.move(previous.map(s => s.id), symbol));
+
+            if (next.length === 0) {
+                const expected = [...new Set(this.transitions
+                    .filter(t => t.symbol !== EPSILON && previous.some(s => s.id === t.from))
+                    .map(t => t.symbol))];
+                let reason = "No hay más transiciones posibles desde estos estados (Callejón sin salida).";
+                if (!this.inAlphabet(symbol)) {
+                    reason = `El símbolo '${symbol}' no pertenece al alfabeto.`;
+                } else if (expected.length) {
+                    reason = `Se esperaba: [${expected.join(" o ")}], pero se encontró: '${symbol}'.`;
+                }
+                const error = `Error en ${this.formatSet(previous)}: ${reason}`;
+                this.fail(symbol, previous);
+                this.setActive([]);
+                this.log(error, 'error');
+                return { error: error, valid: false, reason: reason, failure: this.failure };
+            }
+
+            this.setActive(next);
+            const stepInfo = {
+                from: this.formatSet(previous),
+                to: this.formatSet(this.currentStates),
+                symbol: symbol,
+                valid: true,
+                // Todas las ramas: transiciones con el simbolo entre los dos conjuntos y ε dentro del nuevo
+                transitions: this.transitions.filter(t => next.some(s => s.id === t.to) && (t.symbol === EPSILON
+                    ? next.some(s => s.id === t.from)
+                    : previous.some(s => s.id === t.from) && this.matchesSymbol(t.symbol, symbol)))
+            };
+            this.history.push(stepInfo);
+            this.log(`Transición: ${stepInfo.from} --(${symbol})--> ${stepInfo.to}`);
+            return stepInfo;
+        }
+
+        setActive(states) {
+            this.currentStates = states;
+            // currentState apunta al primero para compatibilidad con el resto de la app
+            this.currentState = states[0] || null;
+        }
+
+        getActiveStates() {
+            return this.currentStates;
+        }
+
+        isAccepting() {
+            return this.currentStates.some(s => s.isFinal);
+        }
+
+        clearSimulation() {
+            super.clearSimulation();
+            this.currentStates = [];
+        }
+
+        // Incluye las transiciones ε de la cerradura inicial
+        getTraversedTransitions() {
+            const start = this.states.find(s => s.isStart);
+            const initial = start ? this.epsilonClosure([start.id]).map(s => s.id) : [];
+            const closure = this.transitions.filter(t => t.symbol === EPSILON && initial.includes(t.from) && initial.includes(t.to));
+            return [...new Set([...closure, ...super.getTraversedTransitions()])];
+        }
+
+        matchesSymbol(rule, symbol) {
+            if (rule === EPSILON) return false;
+            return super.matchesSymbol(rule, symbol);
+        }
+
+        isSymbolRule(rule) {
+            return rule === EPSILON || super.isSymbolRule(rule);
+        }
+
+        // Todos los estados alcanzables usando solo transiciones ε
+        epsilonClosure(ids) {
+            const closure = new Set(ids);
+            const pending = [...ids];
+            while (pending.length) {
+                const id = pending.pop();
+                this.transitions.forEach(t => {
+                    if (t.from === id && t.symbol === EPSILON && !closure.has(t.to)) {
+                        closure.add(t.to);
+                        pending.push(t.to);
+                    }
+                });
+            }
+            // Mantener el orden de this.states para que los conjuntos sean estables
+            return this.states.filter(s => closure.has(s.id));
+        }
+
+        move(ids, symbol) {
+            const targets = new Set();
+            this.transitions.forEach(t => {
+                if (ids.includes(t.from) && this.matchesSymbol(t.symbol, symbol)) targets.add(t.to);
+            });
+            return [...targets];
+        }
+
+        formatSet(states) {
+            return `{${states.map(s => s.label).join(', ')}}`;
+        }
+
+        describe(diagnostic) {
+            const active = this.formatSet(diagnostic.states);
+            switch (diagnostic.kind) {
+                case 'stuck':
+                    return `No se acepta porque ningún camino puede leer '${diagnostic.char}' (posición ${diagnostic.position + 1}).`;
+                case 'accepted': {
+                    const finals = diagnostic.states.filter(s => s.isFinal).map(s => s.label).join(', ');
+                    return `Es aceptada porque al terminar los estados activos son ${active} y ${finals} es final.`;
+                }
+                case 'rejected':
+                    return `No se acepta porque ninguno de los estados activos al terminar (${active}) es final.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+
+        clone(name = this.name) {
+            return this.toNFA(name);
+        }
+
+        isDeterministic() {
+            if (this.transitions.some(t => t.symbol === EPSILON)) return false;
+            return this.states.every(s => {
+                const outgoing = this.transitions.filter(t => t.from === s.id);
+                const seen = new Set();
+                return outgoing.every(t => this.expandSymbol(t.symbol).every(c => {
+                    if (seen.has(c)) return false;
+                    seen.add(c);
+                    return true;
+                }));
+            });
+        }
+
+        // Construccion de subconjuntos: genera un DFA equivalente
+        toDFA(name = `DFA de ${this.name}`) {
+            const dfa = new Automaton(name);
+            const start = this.states.find(s => s.isStart);
+            if (!start) return dfa;
+
+            const { atoms, symbolClasses } = partitionSymbols(this, this.transitions.map(t => t.symbol));
+            dfa.alphabet = this.alphabet ? [...this.alphabet] : null;
+            dfa.symbolClasses = { ...this.symbolClasses, ...symbolClasses };
+
+            const key = set => set.map(s => s.id).join(',');
+            const subsets = [];
+            const byKey = new Map();
+            const addSubset = set => {
+                const state = {
+                    id: `d${subsets.length}`,
+                    label: this.formatSet(set),
+                    x: 0,
+                    y: 0,
+                    isStart: subsets.length === 0,
+                    isFinal: set.some(s => s.isFinal)
+                };
+                subsets.push({ set, state });
+                byKey.set(key(set), state);
+                this.log(`Subconjunto ${state.id} = ${state.label}${state.isFinal ? ' (final)' : ''}`, 'system');
+                return state;
+            };
+
+            addSubset(this.epsilonClosure([start.id]));
+            for (let i = 0; i < subsets.length; i++) {
+                const { set, state } = subsets[i];
+                atoms.forEach(atom => {
+                    const target = this.epsilonClosure(this.move(set.map(s => s.id), atom.chars[0]));
+                    if (!target.length) return; // el conjunto vacio se omite (rechazo implicito)
+                    const targetState = byKey.get(key(target)) || addSubset(target);
+                    dfa.transitions.push({ from: state.id, to: targetState.id, symbol: atom.symbol });
+                });
+            }
+
+            dfa.states = subsets.map(({ state }) => state);
+            layeredLayout(dfa);
+            this.log(`Construcción de subconjuntos: ${dfa.states.length} estados, ${dfa.transitions.length} transiciones.`, 'system');
+            return dfa;
+        }
+    }
+
+    // Tipos que entiende fromJSON; otros modulos agregan los suyos (ej. PDA)
+    Automaton.types = { DFA: Automaton, NFA: NFAutomaton };
+    Automaton.deterministic = true;
+    Automaton.typeLabel = 'un DFA'; // para los mensajes de validacion
+    NFAutomaton.deterministic = false;
+    NFAutomaton.typeLabel = 'un NFA';
+
+    // --- Compilador de Expresiones Regulares (Thompson) ---
+    // Sintaxis: union (a|b), concatenacion (ab), a*, a+, a?, parentesis,
+    // clases [a-z0-9\d], \d (= DIGIT, tambien dentro de una clase), ε (cadena vacia) y
+    // escapes como \. o \*. No hay comodin '.' ni repeticiones {n}.
+    class RegexCompiler {
+        constructor(pattern) {
+            this.pattern = pattern;
+            this.pos = 0;
+            this.symbolClasses = {}; // clases nuevas creadas por los corchetes
+        }
+
+        // --- Analisis sintactico (descenso recursivo) ---
+
+        parse() {
+            this.pos = 0;
+            this.symbolClasses = {};
+            const ast = this.parseUnion();
+            if (this.pos < this.pattern.length) {
+                this.fail(`carácter inesperado '${this.peek()}'`);
+            }
+            return ast;
+        }
+
+        parseUnion() {
+            let node = this.parseConcat();
+            while (this.peek() === '|') {
+                this.pos++;
+                node = { type: 'union', left: node, right: this.parseConcat() };
+            }
+            return node;
+        }
+
+        parseConcat() {
+            let node = null;
+            while (this.pos < this.pattern.length && !['|', ')'].includes(this.peek())) {
+                const next = this.parseRepeat();
+                node = node ? { type: 'concat', left: node, right: next } : next;
+            }
+            return node || { type: 'epsilon' };
+        }
+
+        parseRepeat() {
+            let node = this.parseAtom();
+            while (['*', '+', '?'].includes(this.peek())) {
+                const op = this.pattern[this.pos++];
+                node = { type: { '*': 'star', '+': 'plus', '?': 'optional' }[op], child: node };
+            }
+            return node;
+        }
+
+        parseAtom() {
+            const c = this.peek();
+            if (c === '(') {
+                this.pos++;
+                const node = this.parseUnion();
+                if (this.peek() !== ')') this.fail("se esperaba ')'");
+                this.pos++;
+                return node;
+            }
+            if (c === '[') return this.parseClass();
+            if (c === '\\') return this.parseEscape();
+            if (c === EPSILON) {
+                this.pos++;
+                return { type: 'epsilon' };
+            }
+            if (['*', '+', '?'].includes(c)) this.fail(`'${c}' no tiene nada que repetir`);
+            if (c === ']') this.fail("']' sin '[' de apertura");
+            if (c === '.') this.fail("usa '\\.' para el punto literal (no hay comodín)");
+            if (c === '{') this.fail("las repeticiones {n} no están soportadas; usa '\\{' para la llave literal");
+            this.pos++;
+            return { type: 'symbol', symbol: c };
+        }
+
+        parseEscape() {
+            this.pos++;
+            const c = this.peek();
+            if (c === undefined) this.fail("escape incompleto al final");
+            this.pos++;
+            if (c === 'd') return { type: 'symbol', symbol: 'DIGIT' };
+            return { type: 'symbol', symbol: c };
+        }
+
+        parseClass() {
+            const start = this.pos;
+            this.pos++;
+            if (this.peek() === '^') this.fail("las clases negadas [^...] no están soportadas");
+
+            let chars = '';
+            while (this.peek() !== ']') {
+                if (this.pos >= this.pattern.length) {
+                    this.pos = start;
+                    this.fail("falta ']' para cerrar la clase");
+                }
+                let c = this.pattern[this.pos++];
+                if (c === '\\') {
+                    c = this.pattern[this.pos++];
+                    // \d es DIGIT igual que fuera de la clase
+                    if (c === 'd') {
+                        chars += SYMBOL_CLASSES.DIGIT;
+                        continue;
+                    }
+                }
+                // Rango a-z
+                if (this.peek() === '-' && this.pattern[this.pos + 1] !== ']' && this.pos + 1 < this.pattern.length) {
+                    this.pos++;
+                    let end = this.pattern[this.pos++];
+                    if (end === '\\') end = this.pattern[this.pos++];
+                    if (end < c) this.fail(`rango inválido '${c}-${end}'`);
+                    for (let code = c.charCodeAt(0); code <= end.charCodeAt(0); code++) chars += String.fromCharCode(code);
+                } else {
+                    chars += c;
+                }
+            }
+            this.pos++;
+
+            const unique = [...new Set(chars)].join('');
+            if (unique.length === 0) this.fail("clase vacía '[]'");
+            return { type: 'symbol', symbol: this.classFor(unique) };
+        }
+
+        // Reusa DIGIT/ALPHA/ALPHANUM si la clase coincide exactamente; si no, crea una nueva
+        classFor(chars) {
+            if (chars.length === 1) return chars;
+            const key = chars.split('').sort().join('');
+            const known = { ...SYMBOL_CLASSES, ...this.symbolClasses };
+            const existing = Object.keys(known).find(name => known[name].split('').sort().join('') === key);
+            if (existing) return existing;
+
+            let n = 1;
+            while (known[`CLASE${n}`]) n++;
+            this.symbolClasses[`CLASE${n}`] = chars;
+            return `CLASE${n}`;
+        }
+
+        peek() {
+            return this.pattern[this.pos];
+        }
+
+        fail(message) {
+            throw new Error(`Error en la posición ${this.pos + 1}: ${message}.`);
+        }
+
+        // --- Construccion de Thompson ---
+
+        toNFA(name = `Regex: ${this.pattern}`) {
+            const ast = this.parse();
+            const nfa = new NFAutomaton(name);
+            nfa.symbolClasses = { ...this.symbolClasses };
+
+            const newState = () => {
+                const id = `s${nfa.states.length}`;
+                const state = { id, label: id, x: 0, y: 0, isStart: false, isFinal: false };
+                nfa.states.push(state);
+                return state;
+            };
+            const edge = (from, to, symbol) => nfa.transitions.push({ from: from.id, to: to.id, symbol });
+
+            // Cada fragmento tiene un estado de entrada y uno de salida
+            const build = node => {
+                if (node.type === 'concat') {
+                    const left = build(node.left);
+                    const right = build(node.right);
+                    edge(left.end, right.start, EPSILON);
+                    return { start: left.start, end: right.end };
+                }
+
+                const start = newState();
+                let end;
+                switch (node.type) {
+                    case 'epsilon':
+                    case 'symbol':
+                        end = newState();
+                        edge(start, end, node.type === 'symbol' ? node.symbol : EPSILON);
+                        break;
+                    case 'union': {
+                        const left = build(node.left);
+                        const right = build(node.right);
+                        end = newState();
+                        edge(start, left.start, EPSILON);
+                        edge(start, right.start, EPSILON);
+                        edge(left.end, end, EPSILON);
+                        edge(right.end, end, EPSILON);
+                        break;
+                    }
+                    case 'star':
+                    case 'plus':
+                    case 'optional': {
+                        const inner = build(node.child);
+                        end = newState();
+                        edge(start, inner.start, EPSILON);
+                        edge(inner.end, end, EPSILON);
+                        if (node.type !== 'plus') edge(start, end, EPSILON); // cero veces
+                        if (node.type !== 'optional') edge(inner.end, inner.start, EPSILON); // repetir
+                        break;
+                    }
+                }
+                return { start, end };
+            };
+
+            const fragment = build(ast);
+            fragment.start.isStart = true;
+            fragment.end.isFinal = true;
+
+            layeredLayout(nfa);
+            return nfa;
+        }
+    }
+
+    // Clase de caracteres con rangos compactos, ej. [0-9a-z]
+    function formatCharClass(chars) {
+        const codes = [...new Set(chars)].map(c => c.charCodeAt(0)).sort((a, b) => a - b);
+        const escape = code => {
+            const c = String.fromCharCode(code);
+            return /[\]\\^-]/.test(c) ? `\\${c}` : c;
+        };
+        let text = '';
+        for (let i = 0; i < codes.length; i++) {
+            let j = i;
+            while (j + 1 < codes.length && codes[j + 1] === codes[j] + 1) j++;
+            if (j - i >= 2) {
+                text += `${escape(codes[i])}-${escape(codes[j])}`;
+                i = j;
+            } else {
+                text += escape(codes[i]);
+            }
+        }
+        return `[${text}]`;
+    }
+
+    // Inverso de formatCharClass sin corchetes: "0-9a-f\-" -> caracteres (se ignoran los espacios)
+    function parseCharList(text) {
+        const chars = [];
+        for (let i = 0; i < text.length; i++) {
+            let c = text[i];
+            if (/\s/.test(c)) continue;
+            if (c === '\\' && i + 1 < text.length) c = text[++i];
+            if (text[i + 1] === '-' && i + 2 < text.length) {
+                let end = text[i + 2];
+                i += 2;
+                if (end === '\\' && i + 1 < text.length) end = text[++i];
+                for (let code = c.charCodeAt(0); code <= end.charCodeAt(0); code++) chars.push(String.fromCharCode(code));
+            } else {
+                chars.push(c);
+            }
+        }
+        return [...new Set(chars)];
+    }
+
+    // --- Eliminacion de Estados (Automata -> Expresion Regular) ---
+    // Trabaja sobre un GNFA cuyas aristas tienen expresiones regulares como etiqueta.
+    // Las expresiones se guardan como arboles simples para poder simplificarlas:
+    // { type: 'empty' } (∅), { type: 'epsilon' }, { type: 'symbol', symbol },
+    // { type: 'union', items }, { type: 'concat', items }, { type: 'star', child }
+    class StateEliminator {
+        constructor(automaton) {
+            this.automaton = automaton;
+            this.startId = '__inicio';
+            this.endId = '__fin';
+        }
+
+        // Elimina los estados uno por uno y regresa la expresion final y cada paso
+        run() {
+            const source = this.automaton;
+            const start = source.states.find(s => s.isStart);
+            if (!start) return { regex: '∅', steps: [] };
+
+            // GNFA: nuevo inicio y nuevo final unico conectados con ε
+            this.nodes = source.states.map(s => ({ id: s.id, label: s.label, x: s.x, y: s.y }));
+            const xs = source.states.map(s => s.x);
+            const ys = source.states.map(s => s.y);
+            const midY = (Math.min(...ys) + Math.max(...ys)) / 2;
+            this.nodes.push({ id: this.startId, label: 'inicio', x: Math.min(...xs) - 180, y: midY });
+            this.nodes.push({ id: this.endId, label: 'fin', x: Math.max(...xs) + 180, y: midY });
+
+            this.edges = new Map(); // "from->to" -> expresion
+            this.addEdge(this.startId, start.id, { type: 'epsilon' });
+            source.states.filter(s => s.isFinal).forEach(s => this.addEdge(s.id, this.endId, { type: 'epsilon' }));
+            source.transitions.forEach(t => this.addEdge(t.from, t.to, this.fromRule(t.symbol)));
+
+            const steps = [{ eliminated: null, view: this.snapshot(), changes: [] }];
+
+            let pending = source.states.map(s => s.id);
+            while (pending.length) {
+                // Heuristica: eliminar primero el estado con menos combinaciones entrada x salida
+                const cost = id => {
+                    const incoming = [...this.edges.keys()].filter(k => k.endsWith(`->${id}`) && !k.startsWith(`${id}->`)).length;
+                    const outgoing = [...this.edges.keys()].filter(k => k.startsWith(`${id}->`) && !k.endsWith(`->${id}`)).length;
+                    return incoming * outgoing;
+                };
+                const rip = pending.reduce((best, id) => cost(id) < cost(best) ? id : best);
+                pending = pending.filter(id => id !== rip);
+                const eliminated = this.nodes.find(n => n.id === rip);
+                const changes = this.eliminate(rip);
+                steps.push({ eliminated, view: this.snapshot(), changes });
+            }
+
+            const result = this.edges.get(`${this.startId}->${this.endId}`) || { type: 'empty' };
+            return { regex: this.format(result), steps };
+        }
+
+        // R(p,r) = R(p,r) | R(p,q) R(q,q)* R(q,r) para cada par p -> q -> r
+        eliminate(rip) {
+            const loop = this.edges.get(`${rip}->${rip}`);
+            const loopStar = loop ? this.star(loop) : { type: 'epsilon' };
+            const incoming = [];
+            const outgoing = [];
+            this.edges.forEach((regex, key) => {
+                const [from, to] = key.split('->');
+                if (from === rip && to === rip) return;
+                if (to === rip) incoming.push({ from, regex });
+                if (from === rip) outgoing.push({ to, regex });
+            });
+
+            // Quitar el estado y sus aristas
+            [...this.edges.keys()].forEach(key => {
+                const [from, to] = key.split('->');
+                if (from === rip || to === rip) this.edges.delete(key);
+            });
+            this.nodes = this.nodes.filter(n => n.id !== rip);
+
+            const changes = [];
+            incoming.forEach(i => outgoing.forEach(o => {
+                const path = this.concat(this.concat(i.regex, loopStar), o.regex);
+                const regex = this.addEdge(i.from, o.to, path);
+                changes.push({ from: this.labelOf(i.from), to: this.labelOf(o.to), regex: this.format(regex) });
+            }));
+            return changes;
+        }
+
+        addEdge(from, to, regex) {
+            const key = `${from}->${to}`;
+            const combined = this.edges.has(key) ? this.union(this.edges.get(key), regex) : regex;
+            this.edges.set(key, combined);
+            return combined;
+        }
+
+        labelOf(id) {
+            return this.nodes.find(n => n.id === id).label;
+        }
+
+        // Automata temporal para dibujar el GNFA en el lienzo
+        snapshot() {
+            const view = new Automaton("GNFA");
+            view.states = this.nodes.map(n => ({
+                id: n.id,
+                label: n.label,
+                x: n.x,
+                y: n.y,
+                isStart: n.id === this.startId,
+                isFinal: n.id === this.endId
+            }));
+            this.edges.forEach((regex, key) => {
+                const [from, to] = key.split('->');
+                view.transitions.push({ from, to, symbol: this.format(regex) });
+            });
+            return view;
+        }
+
+        // --- Constructores con simplificacion ---
+
+        fromRule(rule) {
+            return rule === EPSILON ? { type: 'epsilon' } : { type: 'symbol', symbol: rule };
+        }
+
+        union(a, b) {
+            if (a.type === 'empty') return b;
+            if (b.type === 'empty') return a;
+            const items = [];
+            const seen = new Set();
+            [a, b].forEach(r => (r.type === 'union' ? r.items : [r]).forEach(item => {
+                const key = this.format(item);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    items.push(item);
+                }
+            }));
+            // ε sobra si otra alternativa ya es una estrella
+            const filtered = items.some(r => r.type === 'star') ? items.filter(r => r.type !== 'epsilon') : items;
+            return filtered.length === 1 ? filtered[0] : { type: 'union', items: filtered };
+        }
+
+        concat(a, b) {
+            if (a.type === 'empty' || b.type === 'empty') return { type: 'empty' };
+            if (a.type === 'epsilon') return b;
+            if (b.type === 'epsilon') return a;
+            const items = [...(a.type === 'concat' ? a.items : [a]), ...(b.type === 'concat' ? b.items : [b])];
+            return { type: 'concat', items };
+        }
+
+        star(r) {
+            if (r.type === 'empty' || r.type === 'epsilon') return { type: 'epsilon' };
+            if (r.type === 'star') return r;
+            // (ε|r)* = r*
+            if (r.type === 'union' && r.items.some(i => i.type === 'epsilon')) {
+                const rest = r.items.filter(i => i.type !== 'epsilon');
+                return this.star(rest.length === 1 ? rest[0] : { type: 'union', items: rest });
+            }
+            return { type: 'star', child: r };
+        }
+
+        // --- Impresion (compatible con RegexCompiler) ---
+
+        format(r, parent = 0) {
+            // Precedencias: union 0, concatenacion 1, estrella 2
+            switch (r.type) {
+                case 'empty': return '∅';
+                case 'epsilon': return EPSILON;
+                case 'symbol': return this.formatSymbol(r.symbol);
+                case 'star': return `${this.format(r.child, 2)}*`;
+                case 'union': {
+                    const options = r.items.filter(i => i.type !== 'epsilon');
+                    const optional = options.length < r.items.length;
+                    let text;
+                    // Solo caracteres sueltos: se imprime como clase [abc]
+                    if (options.length > 1 && options.every(i => i.type === 'symbol' && i.symbol.length === 1)) {
+                        text = formatCharClass(options.map(i => i.symbol).join(''));
+                        return optional ? `${text}?` : text;
+                    }
+                    text = options.map(i => this.format(i, 0)).join('|');
+                    if (optional) return `${options.length > 1 || options[0].type === 'concat' ? `(${text})` : text}?`;
+                    return parent > 0 ? `(${text})` : text;
+                }
+                case 'concat': {
+                    const parts = [];
+                    for (let i = 0; i < r.items.length; i++) {
+                        const item = r.items[i];
+                        const next = r.items[i + 1];
+                        // r r* se escribe r+
+                        if (next && next.type === 'star' && this.format(next.child) === this.format(item)) {
+                            parts.push(`${this.format(item, 2)}+`);
+                            i++;
+                        } else {
+                            parts.push(this.format(item, 1));
+                        }
+                    }
+                    const text = parts.join('');
+                    return parent > 1 ? `(${text})` : text;
+                }
+            }
+        }
+
+        formatSymbol(symbol) {
+            const chars = SYMBOL_CLASSES[symbol] || this.automaton.symbolClasses[symbol];
+            if (chars) return formatCharClass(chars);
+            return /[.*+?|()[\]{}\\]/.test(symbol) ? `\\${symbol}` : symbol;
+        }
+    }
+
+    // --- Gramaticas Regulares (lineales por la derecha) ---
+    class RegularGrammar {
+        // Genera la gramatica a partir de los estados y transiciones.
+        // options.naming: 'letters' (S, A, B, ...) o 'labels' (<etiqueta del estado>)
+        // options.classes: 'range' ([0-9]), 'name' (DIGIT) o 'expand' (una produccion por caracter)
+        static fromAutomaton(automaton, options = {}) {
+            const naming = options.naming || 'letters';
+            const classes = options.classes || 'range';
+            const start = automaton.states.find(s => s.isStart);
+            if (!start) return "(El autómata no tiene estado inicial)";
+
+            // El inicial primero para que sea el simbolo de arranque
+            const ordered = [start, ...automaton.states.filter(s => s !== start)];
+            const names = new Map();
+            const letters = 'ABCDEFGHIJKLMNOPQRTUVWXYZ'; // sin S, reservada para el inicio
+            ordered.forEach((state, i) => {
+                if (naming === 'labels') {
+                    // Etiquetas repetidas (ej. dos 'Sep') se distinguen con el id
+                    const taken = [...names.values()];
+                    const label = taken.some(n => n === state.label || n === `<${state.label}>`) ? `${state.label}_${state.id}` : state.label;
+                    names.set(state.id, /^[A-Za-z][A-Za-z0-9_]*$/.test(label) ? label : `<${label}>`);
+                } else if (i === 0) {
+                    names.set(state.id, 'S');
+                } else {
+                    const n = i - 1;
+                    names.set(state.id, letters[n % letters.length] + (n >= letters.length ? Math.floor(n / letters.length) : ''));
+                }
+            });
+
+            // Un terminal que se podria leer como no terminal (A, S o el nombre de un estado) se escapa: \A
+            const nonterminals = new Set(names.values());
+            const terminal = symbol => {
+                const chars = SYMBOL_CLASSES[symbol] || automaton.symbolClasses[symbol];
+                if (!chars) {
+                    const escape = /[\s|[\]<>\\]/.test(symbol) || symbol === EPSILON || /^[A-Z]$/.test(symbol) || nonterminals.has(symbol);
+                    return escape ? `\\${symbol}` : symbol;
+                }
+                // Por nombre solo las categorias que parse conoce; las propias van como rango
+                return classes === 'name' && SYMBOL_CLASSES[symbol] ? symbol : formatCharClass(chars);
+            };
+
+            const lines = ordered.map(state => {
+                const outgoing = automaton.transitions.filter(t => t.from === state.id);
+                const bodies = [];
+
+                // Agrupar por destino para juntar caracteres sueltos en una clase
+                const targets = [...new Set(outgoing.map(t => t.to))];
+                targets.forEach(to => {
+                    const target = names.get(to);
+                    const symbols = outgoing.filter(t => t.to === to).map(t => t.symbol);
+                    if (symbols.includes(EPSILON)) bodies.push(target);
+
+                    const rules = symbols.filter(sym => sym !== EPSILON);
+                    if (classes === 'expand') {
+                        [...new Set(rules.flatMap(r => automaton.expandSymbol(r)))]
+                            .forEach(c => bodies.push(`${terminal(c)} ${target}`));
+                        return;
+                    }
+                    const singles = rules.filter(r => r.length === 1);
+                    if (classes === 'range' && singles.length > 1) {
+                        bodies.push(`${formatCharClass(singles.join(''))} ${target}`);
+                        rules.filter(r => r.length > 1).forEach(r => bodies.push(`${terminal(r)} ${target}`));
+                    } else {
+                        rules.forEach(r => bodies.push(`${terminal(r)} ${target}`));
+                    }
+                });
+
+                if (state.isFinal) bodies.push(EPSILON);
+                return `${names.get(state.id)} -> ${bodies.length ? bodies.join(' | ') : '∅'}`;
+            });
+
+            if (naming !== 'labels') {
+                lines.push(`(Donde ${ordered.map(s => `${names.get(s.id)}=${s.label}`).join(', ')})`);
+            }
+            return lines.join('\n');
+        }
+
+        // Construye un automata a partir de una gramatica lineal por la derecha.
+        // Cada linea: X -> a Y | b | ε  (tambien se acepta →). El primer no terminal es el inicial.
+        static parse(text, name = "Autómata de Gramática") {
+            const productions = [];
+            text.split('\n').forEach((raw, i) => {
+                const line = raw.trim();
+                // Lineas vacias, comentarios y la leyenda "(Donde ...)"
+                if (!line || line.startsWith('#') || line.startsWith('//') || line.startsWith('(')) return;
+                const match = line.match(/^(<[^>]+>|[^\s<>|-]+)\s*(?:->|→)\s*(.*)$/);
+                if (!match) throw new Error(`Línea ${i + 1}: se esperaba "X -> ...".`);
+                productions.push({ line: i + 1, head: match[1], body: match[2] });
+            });
+            if (!productions.length) throw new Error("La gramática está vacía.");
+
+            const heads = [...new Set(productions.map(p => p.head))];
+            const nfa = new NFAutomaton(name);
+            const regexHelper = new RegexCompiler('');
+            heads.forEach((head, i) => nfa.states.push({
+                id: `N${i}`,
+                label: head.replace(/^<(.*)>$/, '$1'),
+                x: 0,
+                y: 0,
+                isStart: i === 0,
+                isFinal: false
+            }));
+            const stateOf = head => nfa.states[heads.indexOf(head)];
+            let finalState = null;
+            let counter = 0;
+            const newState = () => {
+                const state = { id: `T${counter}`, label: `T${counter}`, x: 0, y: 0, isStart: false, isFinal: false };
+                counter++;
+                nfa.states.push(state);
+                return state;
+            };
+
+            productions.forEach(({ line, head, body }) => {
+                RegularGrammar.splitAlternatives(body).forEach(alternative => {
+                    const tokens = RegularGrammar.tokenize(alternative, heads, line);
+                    const from = stateOf(head);
+
+                    // X -> ε
+                    if (tokens.length === 0 || (tokens.length === 1 && tokens[0] === EPSILON)) {
+                        from.isFinal = true;
+                        return;
+                    }
+                    if (tokens.length === 1 && tokens[0] === '∅') return;
+
+                    const last = tokens[tokens.length - 1];
+                    const target = heads.includes(last) ? stateOf(last) : null;
+                    const terminals = target ? tokens.slice(0, -1) : tokens;
+                    terminals.forEach(tok => {
+                        if (heads.includes(tok)) throw new Error(`Línea ${line}: '${tok}' debe ir al final (la gramática debe ser lineal por la derecha).`);
+                    });
+
+                    // X -> Y (produccion unitaria)
+                    if (terminals.length === 0) {
+                        nfa.transitions.push({ from: from.id, to: target.id, symbol: EPSILON });
+                        return;
+                    }
+
+                    // Una cadena de terminales usa estados intermedios
+                    let current = from;
+                    terminals.forEach((tok, k) => {
+                        let next;
+                        if (k < terminals.length - 1) {
+                            next = newState();
+                        } else if (target) {
+                            next = target;
+                        } else {
+                            if (!finalState) {
+                                finalState = { id: 'F', label: 'Final', x: 0, y: 0, isStart: false, isFinal: true };
+                                nfa.states.push(finalState);
+                            }
+                            next = finalState;
+                        }
+                        nfa.transitions.push({ from: current.id, to: next.id, symbol: RegularGrammar.terminalSymbol(tok, regexHelper) });
+                        current = next;
+                    });
+                });
+            });
+            nfa.symbolClasses = { ...regexHelper.symbolClasses };
+            layeredLayout(nfa);
+
+            // Si resulto determinista se entrega como DFA
+            return nfa.isDeterministic() ? Automaton.prototype.clone.call(nfa) : nfa;
+        }
+
+        // Separa por '|' fuera de corchetes y sin escapar
+        static splitAlternatives(body) {
+            const parts = [];
+            let current = '';
+            let inClass = false;
+            for (let i = 0; i < body.length; i++) {
+                const c = body[i];
+                if (c === '\\') {
+                    current += c + (body[i + 1] || '');
+                    i++;
+                    continue;
+                }
+                if (c === '[') inClass = true;
+                if (c === ']') inClass = false;
+                if (c === '|' && !inClass) {
+                    parts.push(current.trim());
+                    current = '';
+                } else {
+                    current += c;
+                }
+            }
+            parts.push(current.trim());
+            return parts;
+        }
+
+        // Divide una alternativa en terminales y (al final) un no terminal
+        static tokenize(alternative, heads, line) {
+            const tokens = [];
+            let i = 0;
+            while (i < alternative.length) {
+                const c = alternative[i];
+                if (/\s/.test(c)) {
+                    i++;
+                } else if (c === '<') {
+                    const end = alternative.indexOf('>', i);
+                    if (end === -1) throw new Error(`Línea ${line}: falta '>'.`);
+                    tokens.push(alternative.slice(i, end + 1));
+                    i = end + 1;
+                } else if (c === '[') {
+                    let end = i + 1;
+                    while (end < alternative.length && alternative[end] !== ']') end += alternative[end] === '\\' ? 2 : 1;
+                    if (end >= alternative.length) throw new Error(`Línea ${line}: falta ']'.`);
+                    tokens.push(alternative.slice(i, end + 1));
+                    i = end + 1;
+                } else if (c === '\\') {
+                    tokens.push(alternative.slice(i, i + 2));
+                    i += 2;
+                } else {
+                    // Palabra: no terminal, categoria o caracteres sueltos (ej. "aB" = a B)
+                    let end = i;
+                    while (end < alternative.length && !/[\s<[\\]/.test(alternative[end])) end++;
+                    const word = alternative.slice(i, end);
+                    i = end;
+                    if (heads.includes(word) || SYMBOL_CLASSES[word] || word === EPSILON || word === '∅') {
+                        tokens.push(word);
+                        continue;
+                    }
+                    const suffix = heads.filter(h => word.endsWith(h) && h.length < word.length)
+                        .sort((a, b) => b.length - a.length)[0];
+                    const terminals = suffix ? word.slice(0, -suffix.length) : word;
+                    tokens.push(...terminals.split(''));
+                    if (suffix) tokens.push(suffix);
+                }
+            }
+            return tokens;
+        }
+
+        static terminalSymbol(token, regexHelper) {
+            if (token.startsWith('\\')) return token[1];
+            if (token.startsWith('[')) {
+                regexHelper.pattern = token;
+                regexHelper.pos = 0;
+                return regexHelper.parseClass().symbol;
+            }
+            return token;
+        }
+    }
+
+    // --- Equivalencia de Automatas ---
+    // Recorre en anchura el automata producto (pares de estados de A y B) hasta
+    // encontrar un par donde solo uno acepta: el camino hasta ese par es el
+    // contraejemplo mas corto.
+    class EquivalenceChecker {
+        constructor(a, b) {
+            this.a = asDFA(a);
+            this.b = asDFA(b);
+        }
+
+        // Un caracter representante por cada grupo que ambos automatas tratan igual,
+        // en orden para que el contraejemplo sea el menor de su longitud
+        getAtoms() {
+            const { atoms } = partitionSymbolSets([this.a, this.b].map(automaton => ({
+                automaton,
+                rules: automaton.transitions.map(t => t.symbol)
+            })));
+            return atoms.map(atom => [...atom.chars].sort()[0]).sort();
+        }
+
+        next(automaton, id, c) {
+            if (id === null) return null; // estado trampa implicito
+            const t = automaton.transitions.find(t => t.from === id && automaton.matchesSymbol(t.symbol, c));
+            return t ? t.to : null;
+        }
+
+        accepts(automaton, id) {
+            return id !== null && automaton.getState(id).isFinal;
+        }
+
+        label(automaton, id) {
+            return id === null ? '∅' : automaton.getState(id).label;
+        }
+
+        run() {
+            const atoms = this.getAtoms();
+            const startOf = automaton => {
+                const start = automaton.states.find(s => s.isStart);
+                return start ? start.id : null;
+            };
+            const key = pair => pair.map(id => id === null ? '' : id).join('|');
+
+            const first = { pair: [startOf(this.a), startOf(this.b)], parent: null, symbol: '' };
+            const visited = new Map([[key(first.pair), first]]);
+            const queue = [first];
+
+            while (queue.length) {
+                const node = queue.shift();
+                const [p, q] = node.pair;
+                const acceptsA = this.accepts(this.a, p);
+                if (acceptsA !== this.accepts(this.b, q)) {
+                    // Reconstruir el camino desde el par inicial
+                    const path = [];
+                    for (let n = node; n; n = n.parent) path.unshift(n);
+                    return {
+                        equivalent: false,
+                        counterexample: path.map(n => n.symbol).join(''),
+                        acceptedBy: acceptsA ? 'a' : 'b',
+                        path: path.map(n => ({
+                            symbol: n.symbol,
+                            states: [this.label(this.a, n.pair[0]), this.label(this.b, n.pair[1])]
+                        })),
+                        explored: visited.size
+                    };
+                }
+                if (p === null && q === null) continue;
+
+                atoms.forEach(c => {
+                    const pair = [this.next(this.a, p, c), this.next(this.b, q, c)];
+                    if (visited.has(key(pair))) return;
+                    const child = { pair, parent: node, symbol: c };
+                    visited.set(key(pair), child);
+                    queue.push(child);
+                });
+            }
+
+            return { equivalent: true, counterexample: null, acceptedBy: null, path: [], explored: visited.size };
+        }
+    }
+
+    return {
+        SYMBOL_CLASSES, EPSILON, AUTOMATON_FORMAT, AUTOMATON_FORMAT_VERSION, formatSymbolList, Automaton,
+        partitionSymbols, partitionSymbolSets, asDFA, layeredLayout, forceLayout, circularLayout,
+        NFAutomaton, RegexCompiler, formatCharClass, parseCharList, StateEliminator, RegularGrammar,
+        EquivalenceChecker
+    };
+});
@@ -0,0 +1,126 @@
+/**
+ * Pruebas por Lotes
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./automaton.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (core) {
+    const { EPSILON } = core;
+
+    // --- Pruebas por Lotes ---
+    class BatchRunner {
+        // Cada linea: "cadena", "cadena<TAB>esperado" o "cadena => esperado". ε representa la cadena vacia.
+        static parse(text) {
+            return text.split(/\r?\n/)
+                .map(line => line.replace(/\r$/, ''))
+                .filter(line => line.trim() !== '' && !line.startsWith('#'))
+                .map(line => {
+                    let input = line;
+                    let label = null;
+                    if (line.includes('\t')) {
+                        const i = line.lastIndexOf('\t');
+                        input = line.slice(0, i);
+                        label = line.slice(i + 1);
+                    } else if (line.includes(' => ')) {
+                        const i = line.lastIndexOf(' => ');
+                        input = line.slice(0, i);
+                        label = line.slice(i + 4);
+                    }
+                    if (input === EPSILON) input = '';
+                    return { input, expected: BatchRunner.parseLabel(label), label };
+                });
+        }
+
+        static parseLabel(label) {
+            if (label === null || label.trim() === '') return null;
+            const value = label.trim().toLowerCase();
+            if (/^(acepta(da|do|r)?|s[ií]|s|1|true|\+|v[aá]lid[ao]|ok)$/.test(value)) return true;
+            if (/^(rechaza(da|do|r)?|no|n|0|false|-|inv[aá]lid[ao])$/.test(value)) return false;
+            return undefined; // etiqueta desconocida
+        }
+
+        // Convierte un CSV (cadena,esperado) al formato de lineas con tabulador. Acepta el que
+        // exporta toCSV: sin el BOM ni la fila de encabezados. Una cadena no puede tener saltos
+        // de linea porque cada caso ocupa una linea
+        static fromCSV(text) {
+            const rows = [];
+            let row = [''];
+            let quoted = false;
+            if (text.startsWith('\ufeff')) text = text.slice(1);
+            for (let i = 0; i < text.length; i++) {
+                const c = text[i];
+                if (quoted) {
+                    if (c === '"' && text[i + 1] === '"') {
+                        row[row.length - 1] += '"';
+                        i++;
+                    } else if (c === '"') {
+                        quoted = false;
+                    } else {
+                        row[row.length - 1] += c;
+                    }
+                } else if (c === '"') {
+                    quoted = true;
+                } else if (c === ',' || c === ';') {
+                    row.push('');
+                } else if (c === '\n') {
+                    rows.push(row);
+                    row = [''];
+                } else if (c !== '\r') {
+                    row[row.length - 1] += c;
+                }
+            }
+            rows.push(row);
+            const [first] = rows;
+            const header = first[0].trim().toLowerCase() === 'cadena' && (first.length === 1 || first[1].trim().toLowerCase() === 'esperado');
+            rows.forEach((r, i) => {
+                if (r.slice(0, 2).some(cell => /[\r\n]/.test(cell))) {
+                    throw new Error(`La fila ${i + 1} del CSV tiene un salto de línea dentro de una celda; cada caso debe ocupar una sola línea.`);
+                }
+            });
+            if (header) rows.shift();
+            return rows
+                .filter(r => r.some(cell => cell !== ''))
+                .map(r => (r[0] === '' ? EPSILON : r[0]) + (r[1] ? `\t${r[1]}` : ''))
+                .join('\n');
+        }
+
+        static run(automaton, cases) {
+            const results = cases.map(c => {
+                const result = automaton.run(c.input);
+                return {
+                    ...result,
+                    expected: c.expected,
+                    label: c.label,
+                    passed: c.expected === null || c.expected === undefined ? null : c.expected === result.accepted
+                };
+            });
+            automaton.clearSimulation();
+            return results;
+        }
+
+        static toCSV(results) {
+            const escape = value => {
+                const text = String(value === null || value === undefined ? '' : value);
+                return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const header = ['cadena', 'esperado', 'veredicto', 'estado_final', 'posicion_fallo', 'coincide', 'conclusion'];
+            const rows = results.map(r => [
+                r.input,
+                r.expected === null ? '' : r.expected === undefined ? `? (${r.label})` : (r.expected ? 'acepta' : 'rechaza'),
+                r.accepted ? 'acepta' : 'rechaza',
+                r.finalState ? r.finalState.label : '',
+                r.failedAt === null ? '' : r.failedAt + 1,
+                r.passed === null ? '' : (r.passed ? 'si' : 'no'),
+                r.conclusion
+            ]);
+            return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+        }
+    }
+
+    return { BatchRunner };
+});
@@ -0,0 +1,351 @@
+/**
+ * Importar Graphviz DOT
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./automaton.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (core) {
+    const { SYMBOL_CLASSES, EPSILON, AUTOMATON_FORMAT, AUTOMATON_FORMAT_VERSION, Automaton, parseCharList } = core;
+
+    // --- Importar Graphviz DOT ---
+    // Subconjunto de DOT: digraph con nodos, aristas (a -> b -> c), listas de atributos,
+    // atributos por defecto (node [shape=doublecircle]) y subgrafos, que se aplanan.
+    // El inicial es el destino de un nodo invisible (shape=point/none o style=invis);
+    // si no hay, el primer nodo. Los finales son los de shape=doublecircle.
+    // El atributo del grafo type="PDA" | "TM" | "Mealy" | "Moore" cambia el formato de las
+    // etiquetas (el mismo que dibuja cada tipo) y agrega sus atributos propios.
+    class DotParser {
+        constructor(text) {
+            this.tokens = DotParser.tokenize(text);
+            this.pos = 0;
+            this.nodes = new Map(); // id -> atributos
+            this.edges = [];
+            this.graphAttributes = {}; // rankdir, type, stackstart... (en minusculas)
+        }
+
+        static tokenize(text) {
+            const tokens = [];
+            let line = 1;
+            let i = 0;
+            while (i < text.length) {
+                const c = text[i];
+                if (c === '\n') line++;
+                if (/\s/.test(c)) { i++; continue; }
+                if (c === '#' || (c === '/' && text[i + 1] === '/')) {
+                    while (i < text.length && text[i] !== '\n') i++;
+                    continue;
+                }
+                if (c === '/' && text[i + 1] === '*') {
+                    const end = text.indexOf('*/', i + 2);
+                    const stop = end === -1 ? text.length : end + 2;
+                    line += (text.slice(i, stop).match(/\n/g) || []).length;
+                    i = stop;
+                    continue;
+                }
+                if (c === '"') {
+                    let value = '';
+                    i++;
+                    while (i < text.length && text[i] !== '"') {
+                        if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) i++;
+                        if (text[i] === '\n') line++;
+                        value += text[i++];
+                    }
+                    if (i >= text.length) throw new Error(`Línea ${line}: falta cerrar una cadena con comillas.`);
+                    i++;
+                    tokens.push({ type: 'id', value, line });
+                    continue;
+                }
+                if (c === '<') {
+                    // Etiqueta HTML: se toma el contenido tal cual
+                    let depth = 0;
+                    let value = '';
+                    do {
+                        if (text[i] === '<') depth++;
+                        if (text[i] === '>') depth--;
+                        value += text[i++];
+                    } while (i < text.length && depth > 0);
+                    tokens.push({ type: 'id', value: value.slice(1, -1), line });
+                    continue;
+                }
+                if (text.startsWith('->', i) || text.startsWith('--', i)) {
+                    tokens.push({ type: text.slice(i, i + 2), line });
+                    i += 2;
+                    continue;
+                }
+                if ('{}[]=;,:'.includes(c)) {
+                    tokens.push({ type: c, line });
+                    i++;
+                    continue;
+                }
+                const match = /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-￿][\w\u0080-￿]*)/.exec(text.slice(i));
+                if (!match) throw new Error(`Línea ${line}: carácter inesperado '${c}'.`);
+                tokens.push({ type: 'id', value: match[0], line });
+                i += match[0].length;
+            }
+            return tokens;
+        }
+
+        peek(type) {
+            const token = this.tokens[this.pos];
+            return token && (type === undefined || token.type === type) ? token : null;
+        }
+
+        expect(type, what) {
+            const token = this.tokens[this.pos];
+            if (!token || token.type !== type) {
+                const where = token ? `Línea ${token.line}` : 'Al final';
+                throw new Error(`${where}: se esperaba ${what}.`);
+            }
+            this.pos++;
+            return token;
+        }
+
+        isKeyword(token, ...words) {
+            return token && token.type === 'id' && words.includes(token.value.toLowerCase());
+        }
+
+        parse() {
+            if (this.isKeyword(this.peek(), 'strict')) this.pos++;
+            const kind = this.peek();
+            if (this.isKeyword(kind, 'graph')) throw new Error("Solo se admiten grafos dirigidos (digraph).");
+            if (!this.isKeyword(kind, 'digraph')) throw new Error("El texto debe empezar con 'digraph'.");
+            this.pos++;
+            this.name = this.peek('id') ? this.tokens[this.pos++].value : null;
+            this.expect('{', "'{'");
+            this.parseStatements({});
+            this.expect('}', "'}' al final del grafo");
+            return this;
+        }
+
+        parseStatements(defaults) {
+            const nodeDefaults = { ...defaults };
+            while (this.peek() && !this.peek('}')) {
+                const token = this.peek();
+                if (this.peek(';')) {
+                    this.pos++;
+                    continue;
+                }
+                if (this.isKeyword(token, 'graph')) {
+                    this.pos++;
+                    Object.assign(this.graphAttributes, this.parseAttributes());
+                } else if (this.isKeyword(token, 'edge')) {
+                    this.pos++;
+                    this.parseAttributes();
+                } else if (this.isKeyword(token, 'node')) {
+                    this.pos++;
+                    Object.assign(nodeDefaults, this.parseAttributes());
+                } else if (this.isKeyword(token, 'subgraph') || this.peek('{')) {
+                    if (this.isKeyword(token, 'subgraph')) this.pos++;
+                    if (this.peek('id')) this.pos++;
+                    this.expect('{', "'{' del subgrafo");
+                    this.parseStatements(nodeDefaults);
+                    this.expect('}', "'}' del subgrafo");
+                } else if (token.type === 'id' && this.tokens[this.pos + 1] && this.tokens[this.pos + 1].type === '=') {
+                    this.pos += 2; // atributo del grafo (rankdir=LR)
+                    this.graphAttributes[token.value.toLowerCase()] = this.expect('id', 'un valor').value;
+                } else {
+                    this.parseNodeOrEdge(nodeDefaults);
+                }
+            }
+        }
+
+        parseNodeOrEdge(nodeDefaults) {
+            const chain = [this.parseNodeId()];
+            while (this.peek('->') || this.peek('--')) {
+                if (this.peek('--')) throw new Error(`Línea ${this.peek().line}: usa '->' (el grafo es dirigido).`);
+                this.pos++;
+                chain.push(this.parseNodeId());
+            }
+            const attributes = this.peek('[') ? this.parseAttributes() : {};
+            chain.forEach(id => {
+                if (!this.nodes.has(id)) this.nodes.set(id, { ...nodeDefaults });
+            });
+            if (chain.length === 1) {
+                Object.assign(this.nodes.get(chain[0]), attributes);
+                return;
+            }
+            for (let i = 0; i + 1 < chain.length; i++) {
+                this.edges.push({ from: chain[i], to: chain[i + 1], label: attributes.label });
+            }
+        }
+
+        parseNodeId() {
+            const id = this.expect('id', 'el nombre de un nodo').value;
+            // Puertos (a:n) se ignoran
+            while (this.peek(':')) {
+                this.pos++;
+                this.expect('id', 'un puerto');
+            }
+            return id;
+        }
+
+        parseAttributes() {
+            const attributes = {};
+            while (this.peek('[')) {
+                this.pos++;
+                while (!this.peek(']')) {
+                    const key = this.expect('id', 'un atributo').value.toLowerCase();
+                    this.expect('=', `'=' después de '${key}'`);
+                    attributes[key] = this.expect('id', `el valor de '${key}'`).value;
+                    if (this.peek(',') || this.peek(';')) this.pos++;
+                }
+                this.pos++;
+            }
+            return attributes;
+        }
+
+        // Regresa la definicion JSON equivalente (se valida con Automaton.fromJSON)
+        toDefinition() {
+            const { type, stackstart, acceptance, blank, maxsteps } = this.graphAttributes;
+            if (type !== undefined && !Automaton.types[type]) {
+                throw new Error(`Tipo '${type}' no soportado: usa ${Object.keys(Automaton.types).join(', ')}.`);
+            }
+            const isHidden = attrs => ['point', 'none', 'plaintext', 'plain'].includes((attrs.shape || '').toLowerCase()) ||
+                (attrs.style || '').toLowerCase().includes('invis');
+            const hidden = new Set([...this.nodes].filter(([, attrs]) => isHidden(attrs)).map(([id]) => id));
+            const startEdge = this.edges.find(e => hidden.has(e.from) && !hidden.has(e.to));
+            const visible = [...this.nodes.keys()].filter(id => !hidden.has(id));
+            const start = startEdge ? startEdge.to : visible[0];
+
+            const symbolClasses = {};
+            const transitions = [];
+            this.edges.filter(e => !hidden.has(e.from) && !hidden.has(e.to)).forEach(edge => {
+                const label = edge.label === undefined ? '' : edge.label;
+                // En un PDA y una MT las transiciones de una arista se separan con |
+                const parts = DotParser.splitLabel(label, type === 'PDA' || type === 'TM' ? '|' : ',');
+                if (!parts.length) throw new Error(`La arista ${edge.from} -> ${edge.to} no tiene etiqueta (label).`);
+                parts.forEach(part => transitions.push({ from: edge.from, to: edge.to, ...DotParser.readTransition(part, type, symbolClasses) }));
+            });
+
+            const definition = {
+                format: AUTOMATON_FORMAT,
+                version: AUTOMATON_FORMAT_VERSION,
+                type: type || 'NFA',
+                name: this.name || "Autómata DOT",
+                symbolClasses,
+                states: visible.map(id => {
+                    const attrs = this.nodes.get(id);
+                    const state = {
+                        id,
+                        label: attrs.label !== undefined && attrs.label !== '\\N' ? attrs.label : id,
+                        isStart: id === start,
+                        isFinal: (attrs.shape || '').toLowerCase() === 'doublecircle'
+                    };
+                    if (type === 'Moore') state.output = attrs.output || '';
+                    if (type === 'TM' && attrs.reject === 'true') state.isReject = true;
+                    // pos="x,y" (con ! opcional) en puntos, con y hacia arriba
+                    const pos = /^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)/.exec(attrs.pos || '');
+                    if (pos) {
+                        state.x = Math.round(Number(pos[1]));
+                        state.y = Math.round(-Number(pos[2]));
+                    }
+                    return state;
+                }),
+                transitions
+            };
+            if (stackstart !== undefined) definition.stackStart = stackstart;
+            if (acceptance !== undefined) definition.acceptance = acceptance;
+            if (blank !== undefined) definition.blank = blank;
+            if (maxsteps !== undefined) definition.maxSteps = Number(maxsteps);
+            return definition;
+        }
+
+        // Texto DOT -> autómata (sin type, DFA si resulta determinista)
+        static toAutomaton(text) {
+            const parser = new DotParser(text).parse();
+            const automaton = Automaton.fromJSON(parser.toDefinition());
+            if (parser.graphAttributes.type !== undefined) return automaton;
+            return automaton.isDeterministic() ? Automaton.prototype.clone.call(automaton) : automaton;
+        }
+
+        // Separa por comas (o el separador dado) fuera de corchetes: "a, [,.], b" -> ['a', '[,.]', 'b']
+        static splitLabel(label, separator = ',') {
+            const parts = [];
+            let current = '';
+            let depth = 0;
+            for (let i = 0; i < label.length; i++) {
+                const c = label[i];
+                if (c === '\\' && i + 1 < label.length) {
+                    current += c + label[++i];
+                    continue;
+                }
+                if (c === '[') depth++;
+                if (c === ']') depth = Math.max(0, depth - 1);
+                if (c === separator && depth === 0) {
+                    parts.push(current);
+                    current = '';
+                    continue;
+                }
+                current += c;
+            }
+            parts.push(current);
+            return parts.map(part => part.trim()).filter(part => part !== '');
+        }
+
+        // Una transicion de la etiqueta segun el tipo:
+        //   PDA "a, Z/aZ"   MT "a → b, R"   Mealy "a/0"   DFA, NFA y Moore solo el simbolo
+        static readTransition(part, type, symbolClasses) {
+            const formats = { PDA: "'símbolo, saca/mete' (ej. a, Z/aZ)", TM: "'lee → escribe, mueve' (ej. a → b, R)", Mealy: "'símbolo/salida' (ej. a/0)" };
+            if (!formats[type]) return { symbol: DotParser.toSymbol(part, symbolClasses) };
+
+            const separator = { PDA: /,/, TM: /→|->/, Mealy: /\// }[type];
+            const [read, rest] = DotParser.splitSymbol(part, separator);
+            const action = {
+                PDA: /^,\s*(\S)\s*\/(.*)$/,
+                TM: /^(?:→|->)\s*(.+?)\s*,\s*([LRS])$/i,
+                Mealy: /^\/(.*)$/
+            }[type].exec(rest);
+            if (read === '' || !action) {
+                throw new Error(`Etiqueta '${part}' no reconocida en ${Automaton.types[type].typeLabel}: usa ${formats[type]}.`);
+            }
+            const symbol = DotParser.toSymbol(read, symbolClasses);
+            const text = value => value.trim() === EPSILON ? '' : value.trim();
+            if (type === 'PDA') return { symbol, pop: action[1], push: text(action[2]) };
+            if (type === 'Mealy') return { symbol, output: text(action[1]) };
+            // Sin escribir otra cosa la etiqueta repite lo que se leyo
+            const transition = { symbol, move: action[2].toUpperCase() };
+            if (action[1] !== read) transition.write = action[1];
+            return transition;
+        }
+
+        // Separa lo que se lee (una clase [..] o el texto hasta el separador) del resto
+        static splitSymbol(part, separator) {
+            if (part.startsWith('[')) {
+                let end = 1;
+                while (end < part.length && part[end] !== ']') end += part[end] === '\\' ? 2 : 1;
+                return [part.slice(0, end + 1), part.slice(end + 1).trim()];
+            }
+            // Desde el segundo caracter, asi el simbolo puede ser el mismo separador
+            const match = separator.exec(part.slice(1));
+            if (!match) return [part, ''];
+            return [part.slice(0, match.index + 1).trim(), part.slice(match.index + 1).trim()];
+        }
+
+        // "a", "ε", "DIGIT", una clase "[0-9a-f]" o un rango "a-z" (se crea una categoria)
+        static toSymbol(part, symbolClasses) {
+            if (['ε', 'eps', 'epsilon', '&epsilon;', '\\epsilon', '\\varepsilon', 'λ', 'lambda'].includes(part.toLowerCase())) return EPSILON;
+            if ([...part].length === 1 || SYMBOL_CLASSES[part] || symbolClasses[part]) return part;
+            const bracket = /^\[(.+)\]$/.exec(part);
+            if (bracket || /^(.-.)+$/.test(part)) {
+                const chars = [...new Set(parseCharList(bracket ? bracket[1] : part))].sort().join('');
+                if (chars.length === 1) return chars;
+                const known = { ...SYMBOL_CLASSES, ...symbolClasses };
+                const existing = Object.keys(known).find(name => [...known[name]].sort().join('') === chars);
+                if (existing) return existing;
+                let n = 1;
+                while (symbolClasses[`CLASE${n}`]) n++;
+                symbolClasses[`CLASE${n}`] = chars;
+                return `CLASE${n}`;
+            }
+            const hint = /[\/→]/.test(part) ? " Si es de un PDA, una MT o una máquina de Mealy, indica el tipo en el grafo (ej. type=PDA)." : '';
+            throw new Error(`Etiqueta '${part}' no reconocida: usa un carácter, ε, una categoría (${Object.keys(SYMBOL_CLASSES).join(', ')}) o un rango como a-z.${hint}`);
+        }
+    }
+
+    return { DotParser };
+});
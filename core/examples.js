@@ -0,0 +1,728 @@
+/**
+ * Ejercicios Predefinidos
+ * Email, Modulo 3, Divisible entre N, Numeros Decimales (ε-NFA), los automatas de pila
+ * de parentesis balanceados y aⁿbⁿ, las maquinas de Turing de incremento binario y palindromos,
+ * y los transductores de codigo Gray (Mealy) y residuo entre 3 (Moore).
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory({ ...require('./automaton.js'), ...require('./pushdown.js'), ...require('./turing.js'), ...require('./transducer.js') });
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (core) {
+    const { SYMBOL_CLASSES, EPSILON, Automaton, circularLayout, NFAutomaton, PushdownAutomaton, TuringMachine,
+        MealyMachine, MooreMachine } = core;
+
+    // --- Automata de Email ---
+    class EmailAutomaton extends Automaton {
+        constructor() {
+            super("Email Validator");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            // Estados
+            // q0: Inicio, esperando el inicio de la parte local
+            // q1: Adentro de la parte local
+            // q2: Leyo '@', esperando inicio del dominio
+            // q3: Adentro de la parte del dominio
+            // q4: Leyo '.', esperando extencion del dominio
+            // q5: Adentro de la extencion del dominio (Final)
+
+            this.states = [
+                { id: 'q0', label: 'q0', x: 100, y: 300, isStart: true, isFinal: false },
+                { id: 'q1', label: 'q1', x: 250, y: 300, isStart: false, isFinal: false },
+                { id: 'q2', label: 'q2', x: 400, y: 300, isStart: false, isFinal: false },
+                { id: 'q3', label: 'q3', x: 550, y: 300, isStart: false, isFinal: false },
+                { id: 'q4', label: 'q4', x: 700, y: 300, isStart: false, isFinal: false },
+                { id: 'q5', label: 'q5', x: 850, y: 300, isStart: false, isFinal: true }
+            ];
+
+            // Letras, digitos y los separadores permitidos
+            this.alphabet = [...SYMBOL_CLASSES.ALPHANUM, '.', '-', '_', '@'];
+
+            this.transitions = [
+                // q0 -> q1 (Inicia parte local: alfa o digito, sin punto/guion)
+                { from: 'q0', to: 'q1', symbol: 'ALPHANUM' },
+
+                // q1 -> q1 (Continua parte local: alfa, digito, punto, guion, guion bajo)
+                // Nota: Simplificasion para checar "no terminar con punto" es dificil en DFA puro sin ver adelante o mas estados.
+                // Usaremos un DFA simplificado que permite punto/guion en medio pero podriamos necesitar mas estados para enforsar "no al final".
+                // Estricto "no punto al final de parte local" antes de @ requiere dividir q1.
+                // Vamos a refinar:
+                // q1: Solo leyo alfanum (final valido para parte local)
+                // q1_sep: Solo leyo punto/guion/guion bajo (final invalido)
+
+                // Estados Revisados para cumplimiento mas estricto:
+                // q0: Inicio
+                // q1: Final valido de parte local (leyo alfanum)
+                // q1_sep: Leyo separador (., -, _), debe ser seguido por alfanum
+                // q2: Leyo @
+                // q3: Final valido de parte de dominio (leyo alfanum)
+                // q3_sep: Leyo separador (., -), debe ser seguido por alfanum
+                // q4: Leyo PUNTO (separador especial para extencion)
+                // q5: Extencion valida (leyo alfanum)
+            ];
+
+            // Redefiniendo estados para estrictez - ESCALADO
+            // Cada estado dice en que parte del email esta (phase) y sus mensajes de conclusion:
+            // message al terminar ahi, errorMessage al atorarse ahi ({char}, {position} se sustituyen)
+            this.states = [
+                {
+                    id: 'q0', label: 'Start', x: 100, y: 400, isStart: true, isFinal: false, phase: 'parte local',
+                    message: "No se acepta porque está vacío.",
+                    errorMessage: "No se acepta porque un email debe comenzar con una letra o número."
+                },
+                {
+                    id: 'q1', label: 'Local', x: 300, y: 400, isStart: false, isFinal: false, phase: 'parte local',
+                    message: "No se acepta porque falta el símbolo '@' y el dominio."
+                },
+                {
+                    id: 'q1s', label: 'Sep', x: 300, y: 200, isStart: false, isFinal: false, phase: 'parte local',
+                    message: "No se acepta porque falta el símbolo '@' y el dominio.",
+                    errorMessage: "No se acepta porque después de '.', '-' o '_' debe seguir una letra o número, pero se encontró '{char}' (posición {position})."
+                },
+                {
+                    id: 'q2', label: '@', x: 500, y: 400, isStart: false, isFinal: false, phase: 'dominio',
+                    message: "No se acepta porque falta el dominio después del '@'.",
+                    errorMessage: { '*': "No se acepta porque el dominio debe comenzar con una letra o número, pero se encontró '{char}' (posición {position})." }
+                },
+                {
+                    id: 'q3', label: 'Dom', x: 700, y: 400, isStart: false, isFinal: false, phase: 'dominio',
+                    message: "No se acepta porque falta la extensión del dominio (ej. .com).",
+                    errorMessage: { '*': "No se acepta porque el carácter '{char}' (posición {position}) no está permitido en el dominio." }
+                },
+                {
+                    id: 'q3s', label: 'Sep', x: 700, y: 200, isStart: false, isFinal: false, phase: 'dominio',
+                    message: "No se acepta porque falta la extensión del dominio (ej. .com).",
+                    errorMessage: { '*': "No se acepta porque después de '-' en el dominio debe seguir una letra o número, pero se encontró '{char}' (posición {position})." }
+                },
+                {
+                    id: 'q4', label: 'Dot', x: 900, y: 400, isStart: false, isFinal: false, phase: 'extensión',
+                    message: "No se acepta porque el dominio no puede terminar en un punto.",
+                    errorMessage: {
+                        '.': "No se acepta porque hay dos puntos consecutivos ('..').",
+                        '*': "No se acepta porque después del punto debe seguir una letra o número, pero se encontró '{char}' (posición {position})."
+                    }
+                },
+                {
+                    id: 'q5', label: 'Ext', x: 1100, y: 400, isStart: false, isFinal: true, phase: 'extensión',
+                    message: "Es un email válido. Cumple con el formato local@dominio.ext",
+                    errorMessage: { '*': "No se acepta porque el carácter '{char}' (posición {position}) no está permitido en la extensión del dominio." }
+                }
+            ];
+
+            // Mensajes que no dependen del estado
+            this.messages = {
+                stuck: { '@': "No se acepta porque contiene más de un símbolo '@'." },
+                outside: {
+                    ',': "No se acepta porque contiene una coma (',') que no es válida en emails.",
+                    '*': "No se acepta porque el carácter '{char}' no está permitido."
+                }
+            };
+
+            this.transitions = [
+                // q0 -> q1 (Inicio local)
+                { from: 'q0', to: 'q1', symbol: 'ALPHANUM' },
+
+                // q1 -> q1 (Mas alfanum)
+                { from: 'q1', to: 'q1', symbol: 'ALPHANUM' },
+                // q1 -> q1s (Separador)
+                { from: 'q1', to: 'q1s', symbol: '.' },
+                { from: 'q1', to: 'q1s', symbol: '-' },
+                { from: 'q1', to: 'q1s', symbol: '_' },
+
+                // q1s -> q1 (De vuelta a valido)
+                { from: 'q1s', to: 'q1', symbol: 'ALPHANUM' },
+
+                // q1 -> q2 (Arroba) - Solo desde final local valido
+                { from: 'q1', to: 'q2', symbol: '@' },
+
+                // q2 -> q3 (Inicio dominio)
+                { from: 'q2', to: 'q3', symbol: 'ALPHANUM' },
+
+                // q3 -> q3 (Mas alfanum)
+                { from: 'q3', to: 'q3', symbol: 'ALPHANUM' },
+                // q3 -> q3s (Separador: guion) - Punto es especial
+                { from: 'q3', to: 'q3s', symbol: '-' },
+
+                // q3s -> q3 (De vuelta a valido)
+                { from: 'q3s', to: 'q3', symbol: 'ALPHANUM' },
+
+                // q3 -> q4 (El Punto)
+                { from: 'q3', to: 'q4', symbol: '.' },
+
+                // q4 -> q5 (Inicio Extencion)
+                { from: 'q4', to: 'q5', symbol: 'ALPHANUM' },
+
+                // q5 -> q5 (Mas extencion)
+                { from: 'q5', to: 'q5', symbol: 'ALPHANUM' },
+                // q5 -> q4 (Otro punto? ej. .co.uk)
+                { from: 'q5', to: 'q4', symbol: '.' }
+            ];
+
+            this.reset();
+        }
+
+        matchesSymbol(rule, symbol) {
+            // Sobreescribir para caracteres especificos
+            if (['.', '-', '_', '@'].includes(symbol)) {
+                return rule === symbol;
+            }
+            return super.matchesSymbol(rule, symbol);
+        }
+
+    }
+
+    // --- Automata Modulo 3 ---
+    class Modulo3Automaton extends Automaton {
+        constructor() {
+            super("Modulo 3 Calculator");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            // Estados: q0 (rem 0), q1 (rem 1), q2 (rem 2) - ESCALADO
+            this.states = [
+                { id: 'q0', label: 'Rem 0', x: 600, y: 150, isStart: true, isFinal: true },
+                { id: 'q1', label: 'Rem 1', x: 900, y: 600, isStart: false, isFinal: false },
+                { id: 'q2', label: 'Rem 2', x: 300, y: 600, isStart: false, isFinal: false }
+            ];
+
+            // Logica de transiciones: nuevo_rem = (viejo_rem * 10 + digito) % 3
+            // 10 % 3 = 1. Asi que nuevo_rem = (viejo_rem * 1 + digito) % 3 = (viejo_rem + digito) % 3
+            // Solo importa el residuo del digito, asi que se agrupan en tres categorias:
+            // MOD0 = {0, 3, 6, 9}, MOD1 = {1, 4, 7}, MOD2 = {2, 5, 8}
+
+            // Desde q0 (0): MOD0 -> q0, MOD1 -> q1, MOD2 -> q2
+            // Desde q1 (1): MOD0 -> q1, MOD1 -> q2, MOD2 -> q0
+            // Desde q2 (2): MOD0 -> q2, MOD1 -> q0, MOD2 -> q1
+
+            this.alphabet = SYMBOL_CLASSES.DIGIT.split('');
+            this.symbolClasses = { MOD0: '0369', MOD1: '147', MOD2: '258' };
+
+            this.transitions = [
+                { from: 'q0', to: 'q0', symbol: 'MOD0' },
+                { from: 'q0', to: 'q1', symbol: 'MOD1' },
+                { from: 'q0', to: 'q2', symbol: 'MOD2' },
+
+                { from: 'q1', to: 'q1', symbol: 'MOD0' },
+                { from: 'q1', to: 'q2', symbol: 'MOD1' },
+                { from: 'q1', to: 'q0', symbol: 'MOD2' },
+
+                { from: 'q2', to: 'q2', symbol: 'MOD0' },
+                { from: 'q2', to: 'q0', symbol: 'MOD1' },
+                { from: 'q2', to: 'q1', symbol: 'MOD2' }
+            ];
+
+            this.reset();
+        }
+
+        // Conclusiones a partir del diagnostico: la suma de los digitos al terminar, o el
+        // caracter que no es digito y su posicion al atorarse
+        describe(diagnostic) {
+            const { kind, input } = diagnostic;
+            const sum = [...input].reduce((total, d) => total + Number(d), 0);
+            switch (kind) {
+                case 'accepted':
+                    return `Es aceptada porque la suma de sus dígitos es ${sum}, que es múltiplo de 3.`;
+                case 'rejected':
+                    return `No es aceptada porque la suma de sus dígitos es ${sum} (residuo ${sum % 3}), y para ser múltiplo de 3 el residuo debe ser 0.`;
+                case 'outside':
+                case 'stuck':
+                    return `No se acepta porque '${diagnostic.char}' (posición ${diagnostic.position + 1}) no es un dígito.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+    }
+
+    // --- Generador: Divisible entre N en base B ---
+    // Generaliza el ejercicio de Modulo 3: un estado por residuo y, al leer el digito d,
+    // nuevo_rem = (viejo_rem * B + d) % N. El destino solo depende de d % N, asi que los
+    // digitos con el mismo residuo comparten la categoria MODk.
+    const BASE_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const MAX_DIVISOR = 64;
+
+    class DivisibilityAutomaton extends Automaton {
+        constructor(divisor, base = 10, remainder = 0) {
+            DivisibilityAutomaton.validate(divisor, base, remainder);
+            super(remainder === 0
+                ? `Divisible entre ${divisor} (base ${base})`
+                : `Residuo ${remainder} mod ${divisor} (base ${base})`);
+            this.divisor = divisor;
+            this.base = base;
+            this.remainder = remainder;
+            this.setupGraph();
+        }
+
+        static validate(divisor, base, remainder) {
+            if (!Number.isInteger(base) || base < 2 || base > BASE_DIGITS.length) {
+                throw new Error(`La base debe ser un entero entre 2 y ${BASE_DIGITS.length}.`);
+            }
+            if (!Number.isInteger(divisor) || divisor < 1 || divisor > MAX_DIVISOR) {
+                throw new Error(`N debe ser un entero entre 1 y ${MAX_DIVISOR}.`);
+            }
+            if (!Number.isInteger(remainder) || remainder < 0 || remainder >= divisor) {
+                throw new Error(`El residuo debe ser un entero entre 0 y ${divisor - 1}.`);
+            }
+        }
+
+        // Parametros con los que se vuelve a generar (espacios de trabajo y enlaces)
+        getParameters() {
+            return { divisor: this.divisor, base: this.base, remainder: this.remainder };
+        }
+
+        // Vuelve a generar el automata con el grafo guardado encima (posiciones y ediciones);
+        // asi conserva las conclusiones con el valor del numero
+        static restore(parameters, automaton) {
+            if (automaton.type !== 'DFA') throw new Error("el autómata guardado no es un DFA.");
+            const { divisor, base, remainder } = parameters;
+            const generated = new DivisibilityAutomaton(divisor, base, remainder);
+            ['name', 'states', 'transitions', 'alphabet', 'symbolClasses', 'messages'].forEach(k => generated[k] = automaton[k]);
+            generated.reset();
+            return generated;
+        }
+
+        setupGraph() {
+            const digits = BASE_DIGITS.slice(0, this.base).split('');
+            this.alphabet = digits;
+
+            // Digitos agrupados por su residuo mod N (un solo digito se usa tal cual)
+            const groups = [];
+            digits.forEach((d, value) => {
+                const k = value % this.divisor;
+                (groups[k] = groups[k] || []).push(d);
+            });
+            const symbolOf = [];
+            groups.forEach((chars, k) => {
+                if (chars.length === 1) {
+                    symbolOf[k] = chars[0];
+                } else {
+                    symbolOf[k] = `MOD${k}`;
+                    this.symbolClasses[symbolOf[k]] = chars.join('');
+                }
+            });
+
+            this.states = [];
+            for (let r = 0; r < this.divisor; r++) {
+                this.states.push({
+                    id: `r${r}`,
+                    label: `Rem ${r}`,
+                    x: 0,
+                    y: 0,
+                    isStart: r === 0,
+                    isFinal: r === this.remainder
+                });
+            }
+            this.states.forEach((state, r) => {
+                groups.forEach((chars, k) => {
+                    const to = (r * this.base + k) % this.divisor;
+                    this.transitions.push({ from: state.id, to: `r${to}`, symbol: symbolOf[k] });
+                });
+            });
+
+            circularLayout(this);
+            this.reset();
+        }
+
+        // Valor exacto de la cadena en la base (BigInt para numeros largos)
+        valueOf(input) {
+            return [...input].reduce((value, d) => value * BigInt(this.base) + BigInt(BASE_DIGITS.indexOf(d)), 0n);
+        }
+
+        // Conclusiones a partir del diagnostico, con el valor exacto del numero al terminar
+        describe(diagnostic) {
+            const { kind, input, char } = diagnostic;
+            if (kind === 'outside' || kind === 'stuck') {
+                const hint = BASE_DIGITS.slice(0, this.base).includes(char.toUpperCase()) ? ' (usa mayúsculas)' : '';
+                return `No se acepta porque '${char}' (posición ${diagnostic.position + 1}) no es un dígito de base ${this.base}${hint}.`;
+            }
+            if (kind !== 'accepted' && kind !== 'rejected') return super.describe(diagnostic);
+
+            const value = this.valueOf(input);
+            const remainder = Number(value % BigInt(this.divisor));
+            const number = input === '' ? "la cadena vacía equivale a 0" : `${input} en base ${this.base} es ${value}`;
+            if (kind === 'accepted') {
+                return `Es aceptada porque ${number} y ${value} mod ${this.divisor} = ${remainder}.`;
+            }
+            return `No es aceptada porque ${number} y ${value} mod ${this.divisor} = ${remainder}; se necesita residuo ${this.remainder}.`;
+        }
+    }
+
+    // --- Automata de Numeros Decimales (ε-NFA) ---
+    class DecimalNFA extends NFAutomaton {
+        constructor() {
+            super("Decimal ε-NFA");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            // Ejemplo clasico: signo opcional, digitos, punto y digitos,
+            // con al menos un digito antes o despues del punto.
+            // q0: Inicio (el signo es opcional gracias a ε)
+            // q1: Parte entera
+            // q2: Leyo punto sin digitos antes
+            // q3: Parte decimal
+            // q4: Leyo digitos, esperando el punto
+            // q5: Final
+            this.states = [
+                { id: 'q0', label: 'q0', x: 100, y: 300, isStart: true, isFinal: false },
+                { id: 'q1', label: 'q1', x: 300, y: 300, isStart: false, isFinal: false },
+                { id: 'q2', label: 'q2', x: 500, y: 300, isStart: false, isFinal: false },
+                { id: 'q3', label: 'q3', x: 700, y: 300, isStart: false, isFinal: false },
+                { id: 'q4', label: 'q4', x: 500, y: 500, isStart: false, isFinal: false },
+                { id: 'q5', label: 'q5', x: 900, y: 300, isStart: false, isFinal: true }
+            ];
+
+            this.alphabet = [...SYMBOL_CLASSES.DIGIT, '+', '-', '.'];
+
+            this.transitions = [
+                // Signo opcional
+                { from: 'q0', to: 'q1', symbol: EPSILON },
+                { from: 'q0', to: 'q1', symbol: '+' },
+                { from: 'q0', to: 'q1', symbol: '-' },
+
+                // Parte entera: el NFA "adivina" si despues viene el punto
+                { from: 'q1', to: 'q1', symbol: 'DIGIT' },
+                { from: 'q1', to: 'q4', symbol: 'DIGIT' },
+                { from: 'q1', to: 'q2', symbol: '.' },
+
+                { from: 'q2', to: 'q3', symbol: 'DIGIT' },
+                { from: 'q4', to: 'q3', symbol: '.' },
+
+                // Parte decimal
+                { from: 'q3', to: 'q3', symbol: 'DIGIT' },
+                { from: 'q3', to: 'q5', symbol: EPSILON }
+            ];
+
+            this.reset();
+        }
+    }
+
+    // --- Parentesis Balanceados (PDA, acepta por pila vacia) ---
+    class BalancedParensPDA extends PushdownAutomaton {
+        constructor() {
+            super("Paréntesis Balanceados (PDA)");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            // Un solo estado: cada '(' mete una X y cada ')' saca una.
+            // Cuando solo queda Z se puede sacar con ε; si la pila queda vacia, se acepta.
+            this.states = [
+                { id: 'q0', label: 'q0', x: 400, y: 300, isStart: true, isFinal: false }
+            ];
+            this.alphabet = ['(', ')'];
+            this.stackStart = 'Z';
+            this.acceptance = 'empty';
+
+            this.transitions = [
+                { from: 'q0', to: 'q0', symbol: '(', pop: 'Z', push: 'XZ' },
+                { from: 'q0', to: 'q0', symbol: '(', pop: 'X', push: 'XX' },
+                { from: 'q0', to: 'q0', symbol: ')', pop: 'X', push: '' },
+                { from: 'q0', to: 'q0', symbol: EPSILON, pop: 'Z', push: '' }
+            ];
+
+            this.reset();
+        }
+
+        // Profundidad (parentesis abiertos) despues de leer los primeros n caracteres
+        depthAfter(input, n) {
+            return [...input].slice(0, n).reduce((depth, c) => depth + (c === '(' ? 1 : c === ')' ? -1 : 0), 0);
+        }
+
+        describe(diagnostic) {
+            const { kind, input } = diagnostic;
+            const position = diagnostic.position + 1;
+            if (kind === 'accepted') {
+                if (input === '') return "Es aceptada porque la cadena vacía está balanceada.";
+                let depth = 0;
+                let deepest = 0;
+                [...input].forEach(c => deepest = Math.max(deepest, depth += c === '(' ? 1 : -1));
+                return `Es aceptada porque cada '(' se cierra con una ')' y la pila queda vacía (profundidad máxima ${deepest}).`;
+            }
+            if (kind === 'stuck') {
+                return `No se acepta porque la ')' de la posición ${position} no tiene un '(' que cerrar.`;
+            }
+            if (kind === 'rejected') {
+                const open = this.depthAfter(input, diagnostic.position);
+                return `No se acepta porque ${open === 1 ? "queda 1 '(' sin cerrar" : `quedan ${open} '(' sin cerrar`}: la pila no se vacía.`;
+            }
+            return super.describe(diagnostic);
+        }
+    }
+
+    // --- aⁿbⁿ (PDA, acepta por estado final) ---
+    class AnBnPDA extends PushdownAutomaton {
+        constructor() {
+            super("aⁿbⁿ (PDA)");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            // q0: Inicio (final: n = 0)
+            // q1: Leyendo 'a' (cada una mete una A)
+            // q2: Leyendo 'b' (cada una saca una A)
+            // q3: Solo queda Z: ya se emparejaron todas (Final)
+            this.states = [
+                { id: 'q0', label: 'q0', x: 100, y: 300, isStart: true, isFinal: true },
+                { id: 'q1', label: 'q1', x: 350, y: 300, isStart: false, isFinal: false },
+                { id: 'q2', label: 'q2', x: 600, y: 300, isStart: false, isFinal: false },
+                { id: 'q3', label: 'q3', x: 850, y: 300, isStart: false, isFinal: true }
+            ];
+            this.alphabet = ['a', 'b'];
+            this.stackStart = 'Z';
+            this.acceptance = 'final';
+
+            this.transitions = [
+                { from: 'q0', to: 'q1', symbol: 'a', pop: 'Z', push: 'AZ' },
+                { from: 'q1', to: 'q1', symbol: 'a', pop: 'A', push: 'AA' },
+                { from: 'q1', to: 'q2', symbol: 'b', pop: 'A', push: '' },
+                { from: 'q2', to: 'q2', symbol: 'b', pop: 'A', push: '' },
+                { from: 'q2', to: 'q3', symbol: EPSILON, pop: 'Z', push: 'Z' }
+            ];
+
+            this.reset();
+        }
+
+        describe(diagnostic) {
+            const { kind, input } = diagnostic;
+            const read = [...input].slice(0, diagnostic.position);
+            const a = read.filter(c => c === 'a').length;
+            const b = read.filter(c => c === 'b').length;
+            const position = diagnostic.position + 1;
+            switch (kind) {
+                case 'accepted':
+                    return a === 0
+                        ? "Es aceptada porque la cadena vacía es aⁿbⁿ con n = 0."
+                        : `Es aceptada porque tiene ${a} 'a' seguidas de ${b} 'b'.`;
+                case 'stuck':
+                    return diagnostic.char === 'a'
+                        ? `No se acepta porque hay una 'a' (posición ${position}) después de las 'b'.`
+                        : `No se acepta porque la 'b' de la posición ${position} no tiene una 'a' con la cual emparejarse.`;
+                case 'rejected':
+                    return `No se acepta porque tiene ${a} 'a' y ${b} 'b'; ${a - b === 1 ? "falta 1 'b'" : `faltan ${a - b} 'b'`}.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+    }
+
+    // --- Incremento Binario (Maquina de Turing) ---
+    class BinaryIncrementTM extends TuringMachine {
+        constructor() {
+            super("Incremento Binario (MT)");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            // q0: Va a la derecha hasta el blanco que sigue al numero
+            // q1: Suma 1 de derecha a izquierda: cada 1 se vuelve 0 y se lleva el acarreo
+            // q2: Ya no hay acarreo (Final)
+            this.states = [
+                { id: 'q0', label: 'q0', x: 150, y: 300, isStart: true, isFinal: false },
+                { id: 'q1', label: 'q1', x: 450, y: 300, isStart: false, isFinal: false },
+                { id: 'q2', label: 'q2', x: 750, y: 300, isStart: false, isFinal: true }
+            ];
+            this.alphabet = ['0', '1'];
+            this.blank = '_';
+
+            this.transitions = [
+                { from: 'q0', to: 'q0', symbol: '0', move: 'R' },
+                { from: 'q0', to: 'q0', symbol: '1', move: 'R' },
+                { from: 'q0', to: 'q1', symbol: '_', move: 'L' },
+                { from: 'q1', to: 'q1', symbol: '1', write: '0', move: 'L' },
+                { from: 'q1', to: 'q2', symbol: '0', write: '1', move: 'S' },
+                { from: 'q1', to: 'q2', symbol: '_', write: '1', move: 'S' }
+            ];
+
+            this.reset();
+        }
+
+        describe(diagnostic) {
+            const { kind, input, tape } = diagnostic;
+            switch (kind) {
+                case 'accepted':
+                    if (input === '') return "Es aceptada: la cinta vacía se toma como 0, así que el resultado es 1.";
+                    return `Es aceptada: ${input} + 1 = ${tape} en binario (${BigInt('0b' + input)} + 1 = ${BigInt('0b' + tape)}).`;
+                case 'halted':
+                    return `No se acepta: '${diagnostic.char}' (posición ${diagnostic.position + 1}) no es un dígito binario.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+    }
+
+    // --- Palindromos sobre {a, b} (Maquina de Turing) ---
+    class PalindromeTM extends TuringMachine {
+        constructor() {
+            super("Palíndromos (MT)");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            // q0: Borra el primer simbolo y lo recuerda (q1 si es 'a', q2 si es 'b')
+            // q1/q2: Van a la derecha hasta el blanco
+            // q3/q4: Revisan que el ultimo simbolo sea el recordado y lo borran
+            // q5: Regresa a la izquierda hasta el blanco para repetir
+            this.states = [
+                { id: 'q0', label: 'q0', x: 100, y: 300, isStart: true, isFinal: false },
+                { id: 'q1', label: 'q1', x: 320, y: 130, isStart: false, isFinal: false },
+                { id: 'q2', label: 'q2', x: 320, y: 470, isStart: false, isFinal: false },
+                { id: 'q3', label: 'q3', x: 580, y: 130, isStart: false, isFinal: false },
+                { id: 'q4', label: 'q4', x: 580, y: 470, isStart: false, isFinal: false },
+                { id: 'q5', label: 'q5', x: 340, y: 300, isStart: false, isFinal: false },
+                { id: 'qa', label: 'Acepta', x: 830, y: 220, isStart: false, isFinal: true },
+                { id: 'qr', label: 'Rechaza', x: 830, y: 380, isStart: false, isFinal: false, isReject: true }
+            ];
+            this.alphabet = ['a', 'b'];
+            this.blank = '_';
+
+            this.transitions = [
+                { from: 'q0', to: 'q1', symbol: 'a', write: '_', move: 'R' },
+                { from: 'q0', to: 'q2', symbol: 'b', write: '_', move: 'R' },
+                { from: 'q0', to: 'qa', symbol: '_', move: 'S' },
+                { from: 'q1', to: 'q1', symbol: 'a', move: 'R' },
+                { from: 'q1', to: 'q1', symbol: 'b', move: 'R' },
+                { from: 'q1', to: 'q3', symbol: '_', move: 'L' },
+                { from: 'q2', to: 'q2', symbol: 'a', move: 'R' },
+                { from: 'q2', to: 'q2', symbol: 'b', move: 'R' },
+                { from: 'q2', to: 'q4', symbol: '_', move: 'L' },
+                { from: 'q3', to: 'q5', symbol: 'a', write: '_', move: 'L' },
+                { from: 'q3', to: 'qr', symbol: 'b', move: 'S' },
+                { from: 'q3', to: 'qa', symbol: '_', move: 'S' },
+                { from: 'q4', to: 'q5', symbol: 'b', write: '_', move: 'L' },
+                { from: 'q4', to: 'qr', symbol: 'a', move: 'S' },
+                { from: 'q4', to: 'qa', symbol: '_', move: 'S' },
+                { from: 'q5', to: 'q5', symbol: 'a', move: 'L' },
+                { from: 'q5', to: 'q5', symbol: 'b', move: 'L' },
+                { from: 'q5', to: 'q0', symbol: '_', move: 'R' }
+            ];
+
+            this.reset();
+        }
+
+        describe(diagnostic) {
+            const { kind, input } = diagnostic;
+            const chars = [...input];
+            switch (kind) {
+                case 'accepted':
+                    return input === ''
+                        ? "Es aceptada: la cadena vacía es un palíndromo."
+                        : `Es aceptada: "${input}" se lee igual al revés.`;
+                case 'rejected': {
+                    const i = chars.findIndex((c, j) => c !== chars[chars.length - 1 - j]);
+                    return `No se acepta: la posición ${i + 1} ('${chars[i]}') y la ${chars.length - i} ('${chars[chars.length - 1 - i]}') no coinciden.`;
+                }
+                case 'halted':
+                    return `No se acepta: '${diagnostic.char}' no pertenece al alfabeto {a, b}.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+    }
+
+    // --- Binario a Codigo Gray (Mealy) ---
+    class GrayCodeMealy extends MealyMachine {
+        constructor() {
+            super("Binario a Gray (Mealy)");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            // Cada bit de Gray es el bit leido XOR el anterior (el primero se compara con 0)
+            // q0: el bit anterior fue 0 (o no hay)
+            // q1: el bit anterior fue 1
+            this.states = [
+                { id: 'q0', label: 'q0', x: 250, y: 300, isStart: true, isFinal: true },
+                { id: 'q1', label: 'q1', x: 650, y: 300, isStart: false, isFinal: true }
+            ];
+            this.alphabet = ['0', '1'];
+
+            this.transitions = [
+                { from: 'q0', to: 'q0', symbol: '0', output: '0' },
+                { from: 'q0', to: 'q1', symbol: '1', output: '1' },
+                { from: 'q1', to: 'q0', symbol: '0', output: '1' },
+                { from: 'q1', to: 'q1', symbol: '1', output: '0' }
+            ];
+
+            this.reset();
+        }
+
+        describe(diagnostic) {
+            const { kind, input, output } = diagnostic;
+            switch (kind) {
+                case 'accepted':
+                    return input === ''
+                        ? "Es aceptada: la cadena vacía no tiene bits, así que la salida también está vacía."
+                        : `Es aceptada: el código Gray de ${input} es ${output} (cada bit es el leído XOR el anterior).`;
+                case 'outside':
+                case 'stuck':
+                    return `No se acepta porque '${diagnostic.char}' (posición ${diagnostic.position + 1}) no es un bit. Salida hasta ahí: ${output || EPSILON}.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+    }
+
+    // --- Residuo entre 3 (Moore) ---
+    // El mismo grafo del ejercicio de Modulo 3, pero cada estado emite su residuo:
+    // la salida es el residuo de cada prefijo de la cadena (empezando por el vacio)
+    class Modulo3Moore extends MooreMachine {
+        constructor() {
+            super("Residuo entre 3 (Moore)");
+            this.setupGraph();
+        }
+
+        setupGraph() {
+            this.states = [
+                { id: 'q0', label: 'Rem 0', x: 600, y: 150, isStart: true, isFinal: true, output: '0' },
+                { id: 'q1', label: 'Rem 1', x: 900, y: 600, isStart: false, isFinal: false, output: '1' },
+                { id: 'q2', label: 'Rem 2', x: 300, y: 600, isStart: false, isFinal: false, output: '2' }
+            ];
+            this.alphabet = SYMBOL_CLASSES.DIGIT.split('');
+            this.symbolClasses = { MOD0: '0369', MOD1: '147', MOD2: '258' };
+
+            this.transitions = [
+                { from: 'q0', to: 'q0', symbol: 'MOD0' },
+                { from: 'q0', to: 'q1', symbol: 'MOD1' },
+                { from: 'q0', to: 'q2', symbol: 'MOD2' },
+
+                { from: 'q1', to: 'q1', symbol: 'MOD0' },
+                { from: 'q1', to: 'q2', symbol: 'MOD1' },
+                { from: 'q1', to: 'q0', symbol: 'MOD2' },
+
+                { from: 'q2', to: 'q2', symbol: 'MOD0' },
+                { from: 'q2', to: 'q0', symbol: 'MOD1' },
+                { from: 'q2', to: 'q1', symbol: 'MOD2' }
+            ];
+
+            this.reset();
+        }
+
+        describe(diagnostic) {
+            const { kind, output } = diagnostic;
+            const remainder = output[output.length - 1];
+            switch (kind) {
+                case 'accepted':
+                    return `Es aceptada porque el residuo entre 3 es 0. Residuos de cada prefijo: ${output}.`;
+                case 'rejected':
+                    return `No es aceptada porque el residuo entre 3 es ${remainder}. Residuos de cada prefijo: ${output}.`;
+                case 'outside':
+                case 'stuck':
+                    return `No se acepta porque '${diagnostic.char}' (posición ${diagnostic.position + 1}) no es un dígito. Residuos hasta ahí: ${output}.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+    }
+
+    return {
+        EmailAutomaton, Modulo3Automaton, BASE_DIGITS, MAX_DIVISOR, DivisibilityAutomaton,
+        DecimalNFA, BalancedParensPDA, AnBnPDA, BinaryIncrementTM, PalindromeTM, GrayCodeMealy, Modulo3Moore
+    };
+});
@@ -0,0 +1,17 @@
+/**
+ * Punto de entrada para Node: todo el motor en un solo require
+ *   const { Automaton, Modulo3Automaton } = require('./core');
+ */
+
+module.exports = {
+    ...require('./automaton.js'),
+    ...require('./pushdown.js'),
+    ...require('./turing.js'),
+    ...require('./transducer.js'),
+    ...require('./examples.js'),
+    ...require('./operations.js'),
+    ...require('./dot.js'),
+    ...require('./batch.js'),
+    ...require('./language.js'),
+    ...require('./share.js')
+};
@@ -0,0 +1,258 @@
+/**
+ * Explorar el Lenguaje
+ * Enumeracion en orden shortlex, conteo por longitud, vacio/infinito y muestras al azar.
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./automaton.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (core) {
+    const { asDFA } = core;
+
+    // --- Explorador del Lenguaje ---
+    // Trabaja sobre la version determinista del automata con caracteres concretos
+    // (las categorias se expanden), asi que las cadenas salen listas para validarse.
+    class LanguageExplorer {
+        constructor(automaton) {
+            this.dfa = asDFA(automaton);
+            const start = this.dfa.states.find(s => s.isStart);
+            this.start = start ? start.id : null;
+
+            // Caracteres del alfabeto en orden de codigo (el orden de la enumeracion)
+            this.chars = [...new Set(this.dfa.getAlphabet())].sort();
+
+            // delta[estado][caracter] -> estado destino (sin entrada = estado trampa)
+            this.delta = {};
+            this.dfa.states.forEach(s => {
+                this.delta[s.id] = {};
+                this.chars.forEach(c => {
+                    const t = this.dfa.transitions.find(t => t.from === s.id && this.dfa.matchesSymbol(t.symbol, c));
+                    if (t) this.delta[s.id][c] = t.to;
+                });
+            });
+
+            // ways[k][estado]: cadenas de longitud k que llevan de ese estado a un final
+            this.ways = [];
+        }
+
+        next(id, c) {
+            return id !== null && this.delta[id][c] !== undefined ? this.delta[id][c] : null;
+        }
+
+        accepts(text) {
+            let id = this.start;
+            for (const c of text) id = this.next(id, c);
+            return id !== null && this.dfa.getState(id).isFinal;
+        }
+
+        // Tabla de conteos hasta maxLength (BigInt, se extiende si se pide mas)
+        countTable(maxLength) {
+            const { ways } = this;
+            if (!ways.length) {
+                const base = {};
+                this.dfa.states.forEach(s => base[s.id] = s.isFinal ? 1n : 0n);
+                ways.push(base);
+            }
+            while (ways.length <= maxLength) {
+                const previous = ways[ways.length - 1];
+                const row = {};
+                this.dfa.states.forEach(s => {
+                    row[s.id] = this.chars.reduce((sum, c) => {
+                        const to = this.next(s.id, c);
+                        return to === null ? sum : sum + previous[to];
+                    }, 0n);
+                });
+                ways.push(row);
+            }
+            return ways;
+        }
+
+        // Cuantas cadenas de cada longitud (0..maxLength) acepta el automata
+        countByLength(maxLength) {
+            const ways = this.countTable(maxLength);
+            const counts = [];
+            for (let length = 0; length <= maxLength; length++) {
+                counts.push({ length, count: this.start === null ? 0n : ways[length][this.start] });
+            }
+            return counts;
+        }
+
+        // Cadenas aceptadas en orden shortlex (primero las cortas, luego alfabetico).
+        // Solo se baja por caracteres que todavia pueden terminar en un final con la
+        // longitud exacta, asi que no se exploran ramas muertas.
+        enumerate(maxLength, limit = 50) {
+            const ways = this.countTable(maxLength);
+            const strings = [];
+            const visit = (id, prefix, remaining) => {
+                if (remaining === 0) {
+                    strings.push(prefix);
+                    return;
+                }
+                for (const c of this.chars) {
+                    if (strings.length >= limit) return;
+                    const to = this.next(id, c);
+                    if (to !== null && ways[remaining - 1][to] > 0n) visit(to, prefix + c, remaining - 1);
+                }
+            };
+            for (let length = 0; length <= maxLength && strings.length < limit; length++) {
+                if (this.start !== null && ways[length][this.start] > 0n) visit(this.start, '', length);
+            }
+            const total = this.countByLength(maxLength).reduce((sum, { count }) => sum + count, 0n);
+            return { strings, total, truncated: total > BigInt(strings.length) };
+        }
+
+        // Estados alcanzables desde el inicial que todavia pueden llegar a un final
+        getUsefulStates() {
+            if (this.start === null) return new Set();
+            const reachable = new Set([this.start]);
+            const pending = [this.start];
+            while (pending.length) {
+                const id = pending.pop();
+                Object.values(this.delta[id]).forEach(to => {
+                    if (!reachable.has(to)) {
+                        reachable.add(to);
+                        pending.push(to);
+                    }
+                });
+            }
+            const useful = new Set(this.dfa.states.filter(s => s.isFinal && reachable.has(s.id)).map(s => s.id));
+            let changed = true;
+            while (changed) {
+                changed = false;
+                reachable.forEach(id => {
+                    if (!useful.has(id) && Object.values(this.delta[id]).some(to => useful.has(to))) {
+                        useful.add(id);
+                        changed = true;
+                    }
+                });
+            }
+            return useful;
+        }
+
+        isEmpty() {
+            return this.getUsefulStates().size === 0;
+        }
+
+        // Infinito si hay un ciclo entre estados utiles (se puede "bombear")
+        isInfinite() {
+            const useful = this.getUsefulStates();
+            const color = {}; // 1: en la pila, 2: terminado
+            const hasCycle = id => {
+                color[id] = 1;
+                const found = Object.values(this.delta[id]).some(to =>
+                    useful.has(to) && (color[to] === 1 || (!color[to] && hasCycle(to))));
+                color[id] = 2;
+                return found;
+            };
+            return [...useful].some(id => !color[id] && hasCycle(id));
+        }
+
+        // La menor cadena aceptada en orden shortlex, o null si el lenguaje es vacio
+        shortest() {
+            if (this.start === null) return null;
+            const seen = new Map([[this.start, '']]);
+            const queue = [this.start];
+            while (queue.length) {
+                const id = queue.shift();
+                if (this.dfa.getState(id).isFinal) return seen.get(id);
+                this.chars.forEach(c => {
+                    const to = this.next(id, c);
+                    if (to !== null && !seen.has(to)) {
+                        seen.set(to, seen.get(id) + c);
+                        queue.push(to);
+                    }
+                });
+            }
+            return null;
+        }
+
+        // Cadena aceptada al azar de longitud <= maxLength. La longitud se elige entre
+        // las posibles (para no favorecer siempre a las largas) y cada caracter con
+        // probabilidad proporcional a las cadenas que puede completar.
+        randomAccepted(maxLength, random = Math.random) {
+            const ways = this.countTable(maxLength);
+            if (this.start === null) return null;
+            const lengths = [];
+            for (let length = 0; length <= maxLength; length++) {
+                if (ways[length][this.start] > 0n) lengths.push(length);
+            }
+            if (!lengths.length) return null;
+
+            let id = this.start;
+            let text = '';
+            for (let remaining = lengths[Math.floor(random() * lengths.length)]; remaining > 0; remaining--) {
+                const options = this.chars
+                    .map(c => ({ c, to: this.next(id, c) }))
+                    .filter(o => o.to !== null && ways[remaining - 1][o.to] > 0n);
+                const weights = options.map(o => Number(ways[remaining - 1][o.to]));
+                let pick = random() * weights.reduce((a, b) => a + b, 0);
+                let chosen = options[options.length - 1];
+                for (let i = 0; i < options.length; i++) {
+                    pick -= weights[i];
+                    if (pick < 0) {
+                        chosen = options[i];
+                        break;
+                    }
+                }
+                text += chosen.c;
+                id = chosen.to;
+            }
+            return text;
+        }
+
+        // Cadena rechazada "casi valida": una aceptada con un solo cambio (cambiar, quitar,
+        // insertar o repetir un caracter, o intercambiar dos vecinos). Si no se logra,
+        // una cadena cualquiera; null si el automata acepta todo hasta esa longitud.
+        randomRejected(maxLength, random = Math.random) {
+            const pickChar = () => this.chars[Math.floor(random() * this.chars.length)];
+            for (let attempt = 0; attempt < 100; attempt++) {
+                const base = this.randomAccepted(maxLength, random);
+                if (base === null) break;
+                const candidate = this.mutate(base, random, pickChar);
+                if (candidate !== null && [...candidate].length <= maxLength && !this.accepts(candidate)) return candidate;
+            }
+            for (let attempt = 0; attempt < 100; attempt++) {
+                const length = Math.floor(random() * (maxLength + 1));
+                let text = '';
+                for (let i = 0; i < length && this.chars.length; i++) text += pickChar();
+                if (!this.accepts(text)) return text;
+            }
+            return null;
+        }
+
+        mutate(text, random, pickChar) {
+            const chars = [...text];
+            const i = Math.floor(random() * chars.length);
+            switch (Math.floor(random() * 5)) {
+                case 0: // cambiar
+                    if (!chars.length || !this.chars.length) return null;
+                    chars[i] = pickChar();
+                    break;
+                case 1: // quitar
+                    if (!chars.length) return null;
+                    chars.splice(i, 1);
+                    break;
+                case 2: // insertar
+                    if (!this.chars.length) return null;
+                    chars.splice(Math.floor(random() * (chars.length + 1)), 0, pickChar());
+                    break;
+                case 3: // repetir
+                    if (!chars.length) return null;
+                    chars.splice(i, 0, chars[i]);
+                    break;
+                default: { // intercambiar vecinos
+                    if (chars.length < 2) return null;
+                    const j = Math.min(i, chars.length - 2);
+                    [chars[j], chars[j + 1]] = [chars[j + 1], chars[j]];
+                }
+            }
+            return chars.join('');
+        }
+    }
+
+    return { LanguageExplorer };
+});
@@ -0,0 +1,200 @@
+/**
+ * Operaciones con Lenguajes
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./automaton.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (core) {
+    const { EPSILON, Automaton, partitionSymbolSets, asDFA, layeredLayout, NFAutomaton } = core;
+
+    // --- Operaciones con Lenguajes ---
+    // Cada operacion regresa un automata nuevo; los operandos no se modifican.
+    class LanguageOperations {
+        static complement(automaton) {
+            const result = automaton.complete(`Complemento de ${automaton.name}`);
+            result.states.forEach(s => {
+                s.isFinal = !s.isFinal;
+                // Los mensajes del original ya no describen al complemento
+                delete s.message;
+                delete s.errorMessage;
+            });
+            result.messages = {};
+            return result;
+        }
+
+        // Construccion del producto; mode: 'union', 'intersection' o 'difference'
+        static product(a, b, mode) {
+            [a, b].forEach(LanguageOperations.requireStart);
+            const A = asDFA(a);
+            const B = asDFA(b);
+            const operator = { union: '∪', intersection: '∩', difference: '−' }[mode];
+            const accepts = {
+                union: (p, q) => p || q,
+                intersection: (p, q) => p && q,
+                difference: (p, q) => p && !q
+            }[mode];
+
+            const { atoms, symbolClasses } = partitionSymbolSets([A, B].map(automaton => ({
+                automaton,
+                rules: automaton.transitions.map(t => t.symbol)
+            })), [...(A.alphabet || []), ...(B.alphabet || [])]);
+            const result = new Automaton(`${a.name} ${operator} ${b.name}`);
+            result.symbolClasses = symbolClasses;
+            result.alphabet = LanguageOperations.mergeAlphabets(A, B);
+
+            // null representa el estado trampa implicito de cada operando
+            const next = (automaton, id, c) => {
+                if (id === null) return null;
+                const t = automaton.transitions.find(t => t.from === id && automaton.matchesSymbol(t.symbol, c));
+                return t ? t.to : null;
+            };
+            const isFinal = (automaton, id) => id !== null && automaton.getState(id).isFinal;
+            const label = (automaton, id) => id === null ? '∅' : automaton.getState(id).label;
+            const key = pair => pair.map(id => id === null ? '' : id).join('|');
+
+            const byKey = new Map();
+            const pending = [];
+            const addPair = pair => {
+                const state = {
+                    id: `p${result.states.length}`,
+                    label: `(${label(A, pair[0])}, ${label(B, pair[1])})`,
+                    x: 0,
+                    y: 0,
+                    isStart: result.states.length === 0,
+                    isFinal: accepts(isFinal(A, pair[0]), isFinal(B, pair[1]))
+                };
+                result.states.push(state);
+                byKey.set(key(pair), state);
+                pending.push({ pair, state });
+                return state;
+            };
+
+            addPair([A, B].map(automaton => automaton.states.find(s => s.isStart).id));
+            while (pending.length) {
+                const { pair, state } = pending.shift();
+                atoms.forEach(atom => {
+                    const target = [next(A, pair[0], atom.chars[0]), next(B, pair[1], atom.chars[0])];
+                    // Pares que ya no pueden aceptar se dejan como rechazo implicito
+                    if (target[0] === null && (target[1] === null || mode !== 'union')) return;
+                    if (mode === 'intersection' && target[1] === null) return;
+                    const to = byKey.get(key(target)) || addPair(target);
+                    result.transitions.push({ from: state.id, to: to.id, symbol: atom.symbol });
+                });
+            }
+
+            layeredLayout(result);
+            return result;
+        }
+
+        static concatenate(a, b) {
+            [a, b].forEach(LanguageOperations.requireStart);
+            const result = new NFAutomaton(`${a.name} · ${b.name}`);
+            result.alphabet = LanguageOperations.mergeAlphabets(a, b);
+            LanguageOperations.embed(result, a, 'a_', 'A:');
+
+            // B va a la derecha de A
+            const right = Math.max(...a.states.map(s => s.x)) + 220 - Math.min(...b.states.map(s => s.x));
+            LanguageOperations.embed(result, b, 'b_', 'B:', right);
+
+            result.getState(`a_${a.states.find(s => s.isStart).id}`).isStart = true;
+            const startB = `b_${b.states.find(s => s.isStart).id}`;
+            a.states.filter(s => s.isFinal).forEach(s => {
+                result.getState(`a_${s.id}`).isFinal = false;
+                result.transitions.push({ from: `a_${s.id}`, to: startB, symbol: EPSILON });
+            });
+            return result;
+        }
+
+        // Estrella de Kleene: un inicio nuevo (final) y regresos ε desde los finales
+        static star(automaton) {
+            LanguageOperations.requireStart(automaton);
+            const result = new NFAutomaton(`(${automaton.name})*`);
+            result.alphabet = automaton.alphabet ? [...automaton.alphabet] : null;
+            LanguageOperations.embed(result, automaton, 'a_', '');
+
+            const oldStart = automaton.states.find(s => s.isStart);
+            result.states.unshift({ id: 'start', label: 'Inicio', x: oldStart.x - 160, y: oldStart.y, isStart: true, isFinal: true });
+            result.transitions.push({ from: 'start', to: `a_${oldStart.id}`, symbol: EPSILON });
+            automaton.states.filter(s => s.isFinal).forEach(s => {
+                result.transitions.push({ from: `a_${s.id}`, to: `a_${oldStart.id}`, symbol: EPSILON });
+            });
+            return result;
+        }
+
+        // Reverso: se invierten las transiciones, el inicial pasa a ser final y
+        // un inicio nuevo salta con ε a los antiguos finales
+        static reverse(automaton) {
+            LanguageOperations.requireStart(automaton);
+            const result = new NFAutomaton(`Reverso de ${automaton.name}`);
+            result.alphabet = automaton.alphabet ? [...automaton.alphabet] : null;
+            LanguageOperations.embed(result, automaton, 'a_', '');
+
+            // Espejo horizontal para que se lea de izquierda a derecha
+            const xs = result.states.map(s => s.x);
+            const mirror = Math.min(...xs) + Math.max(...xs);
+            result.states.forEach(s => s.x = mirror - s.x);
+            result.transitions.forEach(t => [t.from, t.to] = [t.to, t.from]);
+
+            const finals = automaton.states.filter(s => s.isFinal).map(s => `a_${s.id}`);
+            result.states.forEach(s => s.isFinal = s.id === `a_${automaton.states.find(st => st.isStart).id}`);
+            const ys = result.states.map(s => s.y);
+            result.states.unshift({
+                id: 'start',
+                label: 'Inicio',
+                x: Math.min(...result.states.map(s => s.x)) - 160,
+                y: Math.round((Math.min(...ys) + Math.max(...ys)) / 2),
+                isStart: true,
+                isFinal: false
+            });
+            finals.forEach(id => result.transitions.push({ from: 'start', to: id, symbol: EPSILON }));
+            return result;
+        }
+
+        static requireStart(automaton) {
+            if (!automaton.states.some(s => s.isStart)) {
+                throw new Error(`${automaton.name} no tiene estado inicial.`);
+            }
+        }
+
+        // El resultado solo declara alfabeto si ambos operandos lo declaran
+        static mergeAlphabets(a, b) {
+            if (!a.alphabet || !b.alphabet) return null;
+            return [...new Set([...a.alphabet, ...b.alphabet])];
+        }
+
+        // Copia estados y transiciones dentro de otro automata con un prefijo en los ids.
+        // Las categorias propias con el mismo nombre y distintos caracteres se renombran.
+        static embed(target, automaton, prefix, labelPrefix, offsetX = 0) {
+            const rename = {};
+            Object.entries(automaton.symbolClasses).forEach(([name, chars]) => {
+                let unique = name;
+                for (let n = 2; target.symbolClasses[unique] !== undefined && target.symbolClasses[unique] !== chars; n++) {
+                    unique = `${name}_${n}`;
+                }
+                target.symbolClasses[unique] = chars;
+                rename[name] = unique;
+            });
+
+            automaton.states.forEach(s => target.states.push({
+                id: prefix + s.id,
+                label: labelPrefix + s.label,
+                x: s.x + offsetX,
+                y: s.y,
+                isStart: false,
+                isFinal: !!s.isFinal
+            }));
+            automaton.transitions.forEach(t => target.transitions.push({
+                from: prefix + t.from,
+                to: prefix + t.to,
+                symbol: rename[t.symbol] || t.symbol
+            }));
+        }
+    }
+
+    return { LanguageOperations };
+});
@@ -0,0 +1,340 @@
+/**
+ * Automata de Pila (PDA)
+ * Configuraciones (estado, pila), transiciones con pop/push y aceptacion por estado final o pila vacia.
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./automaton.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (core) {
+    const { EPSILON, Automaton } = core;
+
+    // Modos de aceptacion: al terminar la cadena hay un estado final, o la pila quedo vacia
+    const ACCEPTANCE_MODES = ['final', 'empty'];
+
+    // Limites de la simulacion: las transiciones ε que solo meten a la pila nunca terminarian
+    const MAX_STACK = 64;
+    const MAX_CONFIGURATIONS = 256;
+
+    // --- Automata de Pila ---
+    // La pila es un texto con el tope en la posicion 0 ("aZ": 'a' esta arriba de 'Z').
+    // Cada transicion { from, to, symbol, pop, push } lee symbol (o ε), saca pop del tope
+    // (ε: no saca nada) y mete push ('' no mete nada; push[0] queda como nuevo tope).
+    // La simulacion es no determinista: sigue todas las configuraciones a la vez.
+    class PushdownAutomaton extends Automaton {
+        constructor(name) {
+            super(name);
+            this.type = 'PDA';
+            this.stackStart = 'Z'; // simbolo inicial de la pila
+            this.acceptance = 'final';
+            this.configurations = []; // configuraciones activas { state, stack }
+            this.initialTransitions = []; // transiciones ε de la cerradura inicial
+            this.truncated = false; // se descartaron ramas por los limites
+        }
+
+        reset() {
+            const start = this.states.find(s => s.isStart);
+            this.history = [];
+            this.failure = null;
+            this.truncated = false;
+            if (!start) {
+                this.setConfigurations([]);
+                this.initialTransitions = [];
+                this.log("El autómata no tiene estado inicial.", 'error');
+                return;
+            }
+            const { configurations, transitions } = this.closure([{ state: start, stack: this.stackStart }]);
+            this.setConfigurations(configurations);
+            this.initialTransitions = transitions;
+            this.log(`Reinicio a la configuración inicial: ${this.formatConfigurations(configurations)}`);
+        }
+
+        step(symbol) {
+            if (!this.configurations.length) return { error: "No hay configuraciones activas", valid: false };
+
+            const previous = this.configurations;
+            const moved = [];
+            const used = new Set();
+            previous.forEach(config => this.transitions.forEach(t => {
+                if (t.from !== config.state.id || !this.matchesSymbol(t.symbol, symbol) || !this.canPop(t, config)) return;
+                moved.push(this.apply(t, config));
+                used.add(t);
+            }));
+            const { configurations, transitions } = this.closure(moved);
+
+            if (configurations.length === 0) {
+                const expected = this.getExpectedFrom(previous);
+                let reason = "Ninguna transición puede leer el símbolo con el tope de pila actual.";
+                if (!this.inAlphabet(symbol)) {
+                    reason = `El símbolo '${symbol}' no pertenece al alfabeto.`;
+                } else if (expected.length) {
+                    reason = `Con esa pila se esperaba: [${expected.join(" o ")}], pero se encontró: '${symbol}'.`;
+                }
+                const error = `Error en ${this.formatConfigurations(previous)}: ${reason}`;
+                this.fail(symbol, this.statesOf(previous));
+                this.failure.configurations = previous;
+                this.setConfigurations([]);
+                this.log(error, 'error');
+                return { error: error, valid: false, reason: reason, failure: this.failure };
+            }
+
+            this.setConfigurations(configurations);
+            transitions.forEach(t => used.add(t));
+            const stepInfo = {
+                from: this.formatConfigurations(previous),
+                to: this.formatConfigurations(configurations),
+                symbol: symbol,
+                valid: true,
+                transitions: [...used]
+            };
+            this.history.push(stepInfo);
+            this.log(`Transición: ${stepInfo.from} --(${symbol})--> ${stepInfo.to}`);
+            return stepInfo;
+        }
+
+        canPop(transition, config) {
+            return transition.pop === EPSILON || config.stack[0] === transition.pop;
+        }
+
+        apply(transition, config) {
+            const rest = transition.pop === EPSILON ? config.stack : config.stack.slice(1);
+            return { state: this.getState(transition.to), stack: transition.push + rest };
+        }
+
+        // Configuraciones alcanzables con transiciones ε (sin repetir estado y pila)
+        closure(configurations) {
+            const seen = new Map();
+            const used = new Set();
+            const pending = [];
+            const add = config => {
+                const key = `${config.state.id}|${config.stack}`;
+                if (seen.has(key)) return;
+                if (config.stack.length > MAX_STACK || seen.size >= MAX_CONFIGURATIONS) {
+                    if (!this.truncated) {
+                        this.log(`Se descartaron ramas: la pila pasó de ${MAX_STACK} símbolos o hubo más de ${MAX_CONFIGURATIONS} configuraciones.`, 'error');
+                    }
+                    this.truncated = true;
+                    return;
+                }
+                seen.set(key, config);
+                pending.push(config);
+            };
+            configurations.forEach(add);
+            while (pending.length) {
+                const config = pending.pop();
+                this.transitions.forEach(t => {
+                    if (t.symbol !== EPSILON || t.from !== config.state.id || !this.canPop(t, config)) return;
+                    used.add(t);
+                    add(this.apply(t, config));
+                });
+            }
+            // Orden estable: el de this.states y, en el mismo estado, el orden en que se encontraron
+            const order = config => this.states.indexOf(config.state);
+            const sorted = [...seen.values()].sort((a, b) => order(a) - order(b));
+            return { configurations: sorted, transitions: [...used] };
+        }
+
+        matchesSymbol(rule, symbol) {
+            if (rule === EPSILON) return false;
+            return super.matchesSymbol(rule, symbol);
+        }
+
+        isSymbolRule(rule) {
+            return rule === EPSILON || super.isSymbolRule(rule);
+        }
+
+        setConfigurations(configurations) {
+            this.configurations = configurations;
+            // currentState apunta al primero para compatibilidad con el resto de la app
+            this.currentState = configurations[0] ? configurations[0].state : null;
+        }
+
+        statesOf(configurations) {
+            return this.states.filter(s => configurations.some(c => c.state === s));
+        }
+
+        getActiveStates() {
+            return this.statesOf(this.configurations);
+        }
+
+        isAccepting() {
+            if (this.acceptance === 'empty') return this.configurations.some(c => c.stack === '');
+            return this.configurations.some(c => c.state.isFinal);
+        }
+
+        clearSimulation() {
+            super.clearSimulation();
+            this.configurations = [];
+            this.initialTransitions = [];
+        }
+
+        getTraversedTransitions() {
+            return [...new Set([...this.initialTransitions, ...super.getTraversedTransitions()])];
+        }
+
+        // Reglas que se podian leer: solo cuentan las transiciones cuyo pop coincide con el tope
+        getExpectedFrom(configurations) {
+            return [...new Set(configurations.flatMap(config => this.transitions
+                .filter(t => t.from === config.state.id && t.symbol !== EPSILON && this.canPop(t, config))
+                .map(t => t.symbol)))];
+        }
+
+        // Agrega las configuraciones y la pila de la configuracion que explica el resultado
+        getDiagnostic(input) {
+            const diagnostic = super.getDiagnostic(input);
+            if (diagnostic.kind === 'no-start') return { ...diagnostic, configurations: [], stack: null };
+            const configurations = this.failure ? this.failure.configurations : this.configurations;
+            let config = configurations.find(c => c.state === diagnostic.state) || configurations[0] || null;
+            if (diagnostic.kind === 'accepted' && this.acceptance === 'empty') {
+                config = configurations.find(c => c.stack === '');
+                diagnostic.state = config.state;
+                diagnostic.phase = config.state.phase || null;
+            }
+            diagnostic.configurations = configurations;
+            diagnostic.stack = config ? config.stack : null;
+            diagnostic.expected = this.getExpectedFrom(configurations);
+            return diagnostic;
+        }
+
+        // Ademas de los de la base, los mensajes pueden usar {stack}
+        formatMessage(template, diagnostic) {
+            const stack = diagnostic.stack === null ? '' : diagnostic.stack || EPSILON;
+            return super.formatMessage(template.replace(/\{stack\}/g, stack), diagnostic);
+        }
+
+        describe(diagnostic) {
+            const { kind, state } = diagnostic;
+            const shown = this.formatConfigurations(diagnostic.configurations);
+            switch (kind) {
+                case 'stuck':
+                    return `No se acepta porque desde ${shown} ninguna transición puede leer '${diagnostic.char}' (posición ${diagnostic.position + 1}) con el tope de la pila.`;
+                case 'accepted':
+                    return this.acceptance === 'empty'
+                        ? `Es aceptada porque al terminar la pila queda vacía (en ${state.label}).`
+                        : `Es aceptada porque termina en el estado final ${state.label} con la pila ${diagnostic.stack || EPSILON}.`;
+                case 'rejected':
+                    return this.acceptance === 'empty'
+                        ? `No se acepta porque al terminar la pila no queda vacía: ${shown}.`
+                        : `No se acepta porque al terminar ninguna configuración está en un estado final: ${shown}.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+
+        formatConfiguration(config) {
+            return `(${config.state.label}, ${config.stack || EPSILON})`;
+        }
+
+        formatConfigurations(configurations) {
+            const shown = configurations.map(c => this.formatConfiguration(c));
+            return shown.length === 1 ? shown[0] : `{${shown.join(', ')}}`;
+        }
+
+        // "a, Z/aZ": lee a, saca Z y mete aZ; varias transiciones se separan con |
+        getEdgeLabel(transitions, symbol = rule => rule) {
+            return [...new Set(transitions.map(t => `${symbol(t.symbol)}, ${this.formatAction(t)}`))].join(' | ');
+        }
+
+        formatAction(transition) {
+            return `${transition.pop}/${transition.push || EPSILON}`;
+        }
+
+        // --- Edicion del grafo ---
+
+        addTransition(from, to, symbol, pop = EPSILON, push = '') {
+            const duplicate = this.transitions.find(t =>
+                t.from === from && t.to === to && t.symbol === symbol && t.pop === pop && t.push === push);
+            if (duplicate) return null;
+            const transition = { from, to, symbol, pop, push };
+            this.transitions.push(transition);
+            return transition;
+        }
+
+        // Si alguna transicion saca o mete algo (o se acepta por pila vacia) la pila importa
+        usesStack() {
+            return this.acceptance === 'empty' || this.transitions.some(t => t.pop !== EPSILON || t.push !== '');
+        }
+
+        clone(name = this.name) {
+            const copy = new PushdownAutomaton(name);
+            const base = Automaton.prototype.clone.call(this, name);
+            ['states', 'transitions', 'alphabet', 'symbolClasses', 'messages'].forEach(k => copy[k] = base[k]);
+            copy.stackStart = this.stackStart;
+            copy.acceptance = this.acceptance;
+            return copy;
+        }
+
+        // Sin pop ni push las transiciones son las de un NFA (usar solo si !usesStack())
+        toNFA(name = this.name) {
+            const copy = super.toNFA(name);
+            copy.transitions = copy.transitions.map(t => ({ from: t.from, to: t.to, symbol: t.symbol }));
+            return copy;
+        }
+
+        // PDA que ignora la pila: acepta el mismo lenguaje que el DFA/NFA dado
+        static fromAutomaton(automaton, name = automaton.name) {
+            const pda = new PushdownAutomaton(name);
+            const base = Automaton.prototype.clone.call(automaton, name);
+            ['states', 'transitions', 'alphabet', 'symbolClasses', 'messages'].forEach(k => pda[k] = base[k]);
+            pda.transitions.forEach(t => Object.assign(t, { pop: EPSILON, push: '' }));
+            return pda;
+        }
+
+        // --- Importar / Exportar JSON ---
+
+        toJSON() {
+            const definition = super.toJSON();
+            definition.stackStart = this.stackStart;
+            definition.acceptance = this.acceptance;
+            definition.transitions = this.transitions.map(t => ({ from: t.from, to: t.to, symbol: t.symbol, pop: t.pop, push: t.push }));
+            return definition;
+        }
+
+        readTransition(t) {
+            return {
+                from: t.from,
+                to: t.to,
+                symbol: t.symbol,
+                pop: t.pop !== undefined ? t.pop : EPSILON,
+                push: t.push === undefined || t.push === EPSILON ? '' : t.push
+            };
+        }
+
+        readDefinition(data) {
+            if (data.stackStart !== undefined) this.stackStart = data.stackStart;
+            if (data.acceptance !== undefined) this.acceptance = data.acceptance;
+        }
+
+        static validateExtra(data) {
+            const errors = [];
+            const isStackSymbol = value => typeof value === 'string' && value.length === 1 && value !== EPSILON;
+            if (data.stackStart !== undefined && !isStackSymbol(data.stackStart)) {
+                errors.push(`"stackStart" debe ser un solo carácter (el símbolo inicial de la pila).`);
+            }
+            if (data.acceptance !== undefined && !ACCEPTANCE_MODES.includes(data.acceptance)) {
+                errors.push(`"acceptance" debe ser "final" (estado final) o "empty" (pila vacía).`);
+            }
+            if (!Array.isArray(data.transitions)) return errors;
+            data.transitions.forEach((t, i) => {
+                if (t === null || typeof t !== 'object') return; // ya reportado
+                if (t.pop !== undefined && t.pop !== EPSILON && !isStackSymbol(t.pop)) {
+                    errors.push(`transitions[${i}].pop debe ser un símbolo de pila o '${EPSILON}' (no sacar nada).`);
+                }
+                if (t.push !== undefined && t.push !== EPSILON && (typeof t.push !== 'string' || t.push.includes(EPSILON))) {
+                    errors.push(`transitions[${i}].push debe ser texto con los símbolos a meter ('' o '${EPSILON}' para no meter nada).`);
+                }
+            });
+            return errors;
+        }
+    }
+
+    PushdownAutomaton.deterministic = false;
+    PushdownAutomaton.typeLabel = 'un PDA';
+    Automaton.types.PDA = PushdownAutomaton;
+
+    return { ACCEPTANCE_MODES, MAX_STACK, MAX_CONFIGURATIONS, PushdownAutomaton };
+});
@@ -0,0 +1,42 @@
+/**
+ * Enlaces para compartir
+ * El espacio de trabajo va en el hash de la URL: JSON en UTF-8 y base64 apto para URL.
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    const SHARE_PREFIX = '#compartir=';
+
+    // --- Enlace para Compartir ---
+    class ShareLink {
+        // El JSON en UTF-8 y base64 apto para URL (sin '+', '/' ni '=')
+        static encode(share) {
+            const bytes = new TextEncoder().encode(JSON.stringify(share));
+            let binary = '';
+            bytes.forEach(b => binary += String.fromCharCode(b));
+            return SHARE_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        }
+
+        // Regresa null si el hash no es un enlace compartido; lanza un error si esta dañado
+        static decode(hash) {
+            if (!hash.startsWith(SHARE_PREFIX)) return null;
+            const base64 = hash.slice(SHARE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+            try {
+                const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+                const share = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+                if (share === null || typeof share !== 'object') throw new Error();
+                return share;
+            } catch (e) {
+                throw new Error("El enlace compartido está incompleto o dañado.");
+            }
+        }
+    }
+
+    return { SHARE_PREFIX, ShareLink };
+});
@@ -0,0 +1,267 @@
+/**
+ * Maquinas de Mealy y de Moore (transductores)
+ * Automatas deterministas que ademas de aceptar o rechazar escriben una cinta de salida.
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./automaton.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (core) {
+    const { EPSILON, Automaton } = core;
+
+    // --- Transductor ---
+    // Base comun: simula como un DFA y en cada paso agrega a la cinta de salida lo que emite
+    // la transicion (Mealy) o el estado al que se llega (Moore). Una salida '' no escribe nada.
+    class Transducer extends Automaton {
+        constructor(name) {
+            super(name);
+            this.emitted = []; // salidas emitidas en la simulacion actual, en orden
+        }
+
+        reset() {
+            super.reset();
+            this.emitted = [];
+            if (this.currentState) this.emit(this.getInitialOutput());
+        }
+
+        step(symbol) {
+            // La base registra la transicion; aqui se registra junto con la salida
+            const silent = this.silent;
+            this.silent = true;
+            const result = super.step(symbol);
+            this.silent = silent;
+            if (!result.valid) {
+                this.log(result.error, 'error');
+                return result;
+            }
+            result.output = this.getOutputOf(result.transitions[0]);
+            this.emit(result.output);
+            this.log(`Transición: ${result.from} --(${symbol})--> ${result.to}, ${result.output ? `emite '${result.output}'` : 'sin salida'}`);
+            return result;
+        }
+
+        emit(output) {
+            if (output) this.emitted.push(output);
+        }
+
+        getOutput() {
+            return this.emitted.join('');
+        }
+
+        clearSimulation() {
+            super.clearSimulation();
+            this.emitted = [];
+        }
+
+        // Igual que en la base, mas la cinta de salida completa
+        run(input) {
+            return { ...super.run(input), output: this.getOutput() };
+        }
+
+        getDiagnostic(input) {
+            return { ...super.getDiagnostic(input), output: this.getOutput() };
+        }
+
+        // Ademas de los de la base, los mensajes pueden usar {output}
+        formatMessage(template, diagnostic) {
+            return super.formatMessage(template.replace(/\{output\}/g, diagnostic.output || EPSILON), diagnostic);
+        }
+
+        describe(diagnostic) {
+            const conclusion = super.describe(diagnostic);
+            if (diagnostic.kind === 'no-start') return conclusion;
+            return `${conclusion} Salida: ${diagnostic.output || EPSILON}.`;
+        }
+
+        // Copia con el mismo tipo; los campos de salida vienen en los estados y transiciones.
+        // Los ejercicios no reciben nombre, asi que la copia es siempre la clase generica
+        clone(name = this.name) {
+            const copy = new (this.type === 'Mealy' ? MealyMachine : MooreMachine)(name);
+            const base = Automaton.prototype.clone.call(this, name);
+            ['states', 'transitions', 'alphabet', 'symbolClasses', 'messages'].forEach(k => copy[k] = base[k]);
+            return copy;
+        }
+
+        // Copia de otro automata con el tipo dado, sin las salidas que tuviera
+        static copyFrom(Type, automaton, name) {
+            const copy = new Type(name);
+            const base = Automaton.prototype.clone.call(automaton, name);
+            ['alphabet', 'symbolClasses', 'messages'].forEach(k => copy[k] = base[k]);
+            copy.states = base.states.map(({ output, ...s }) => s);
+            copy.transitions = base.transitions.map(t => ({ from: t.from, to: t.to, symbol: t.symbol }));
+            return copy;
+        }
+
+        static validateOutput(value, where) {
+            return value === undefined || typeof value === 'string' ? [] : [`${where}.output debe ser texto (la salida; "" para no escribir nada).`];
+        }
+    }
+
+    // --- Maquina de Mealy ---
+    // La salida va en las transiciones: { from, to, symbol, output } ("a/0" en el grafo)
+    class MealyMachine extends Transducer {
+        constructor(name) {
+            super(name);
+            this.type = 'Mealy';
+        }
+
+        getInitialOutput() {
+            return '';
+        }
+
+        getOutputOf(transition) {
+            return transition.output || '';
+        }
+
+        // "a/0, b/1": cada simbolo con lo que emite
+        getEdgeLabel(transitions, symbol = rule => rule) {
+            return [...new Set(transitions.map(t => `${symbol(t.symbol)}/${t.output || EPSILON}`))].join(', ');
+        }
+
+        formatAction(transition) {
+            return `salida ${transition.output || EPSILON}`;
+        }
+
+        addTransition(from, to, symbol, output = '') {
+            const transition = super.addTransition(from, to, symbol);
+            if (transition) transition.output = output;
+            return transition;
+        }
+
+        // Moore equivalente: cada estado se divide segun la salida con la que se llega a el.
+        // El estado inicial conserva una copia sin salida, asi las dos cintas son iguales.
+        toMoore(name = this.name) {
+            const moore = new MooreMachine(name);
+            const base = Automaton.prototype.clone.call(this, name);
+            ['alphabet', 'symbolClasses', 'messages'].forEach(k => moore[k] = base[k]);
+            const start = this.states.find(s => s.isStart);
+            const variants = new Map(); // id -> salidas con las que se llega
+            this.states.forEach(s => variants.set(s.id, s === start ? [''] : []));
+            this.transitions.forEach(t => {
+                const outputs = variants.get(t.to);
+                if (!outputs.includes(t.output || '')) outputs.push(t.output || '');
+            });
+            // Un estado al que no se llega se queda con una sola copia sin salida
+            variants.forEach(outputs => {
+                if (!outputs.length) outputs.push('');
+            });
+
+            const ids = new Map(); // "id|salida" -> id en la maquina de Moore
+            this.states.forEach(s => variants.get(s.id).forEach((output, i) => {
+                const split = variants.get(s.id).length > 1;
+                const id = split ? `${s.id}_${i}` : s.id;
+                ids.set(`${s.id}|${output}`, id);
+                moore.states.push({
+                    ...s,
+                    id,
+                    label: s.label + "'".repeat(i), // q1, q1', q1''...
+                    x: s.x + i * 40,
+                    y: s.y + i * 70,
+                    isStart: s === start && i === 0,
+                    output
+                });
+            }));
+            // Cada copia sale con las mismas transiciones que el estado original
+            this.states.forEach(s => variants.get(s.id).forEach(output => {
+                this.transitions.filter(t => t.from === s.id).forEach(t => moore.transitions.push({
+                    from: ids.get(`${s.id}|${output}`),
+                    to: ids.get(`${t.to}|${t.output || ''}`),
+                    symbol: t.symbol
+                }));
+            }));
+            return moore;
+        }
+
+        static fromAutomaton(automaton, name = automaton.name) {
+            const mealy = Transducer.copyFrom(MealyMachine, automaton, name);
+            mealy.transitions.forEach(t => t.output = '');
+            return mealy;
+        }
+
+        // --- Importar / Exportar JSON ---
+
+        toJSON() {
+            const definition = super.toJSON();
+            definition.transitions = this.transitions.map(t => ({ from: t.from, to: t.to, symbol: t.symbol, output: t.output || '' }));
+            return definition;
+        }
+
+        readTransition(t) {
+            return { from: t.from, to: t.to, symbol: t.symbol, output: t.output || '' };
+        }
+
+        static validateExtra(data) {
+            if (!Array.isArray(data.transitions)) return [];
+            return data.transitions.flatMap((t, i) =>
+                t !== null && typeof t === 'object' ? Transducer.validateOutput(t.output, `transitions[${i}]`) : []);
+        }
+    }
+
+    // --- Maquina de Moore ---
+    // La salida va en los estados: { id, ..., output }; al empezar se emite la del inicial
+    class MooreMachine extends Transducer {
+        constructor(name) {
+            super(name);
+            this.type = 'Moore';
+        }
+
+        getInitialOutput() {
+            return this.currentState.output || '';
+        }
+
+        getOutputOf(transition) {
+            return this.getState(transition.to).output || '';
+        }
+
+        addState(x, y, label) {
+            const state = super.addState(x, y, label);
+            state.output = '';
+            return state;
+        }
+
+        // Mealy equivalente: cada transicion emite la salida del estado al que llega.
+        // La salida del estado inicial se pierde (Mealy no escribe nada antes de leer).
+        toMealy(name = this.name) {
+            const mealy = Transducer.copyFrom(MealyMachine, this, name);
+            mealy.transitions.forEach(t => t.output = this.getState(t.to).output || '');
+            return mealy;
+        }
+
+        static fromAutomaton(automaton, name = automaton.name) {
+            const moore = Transducer.copyFrom(MooreMachine, automaton, name);
+            moore.states.forEach(s => s.output = '');
+            return moore;
+        }
+
+        // --- Importar / Exportar JSON ---
+
+        toJSON() {
+            const definition = super.toJSON();
+            definition.states.forEach((s, i) => s.output = this.states[i].output || '');
+            return definition;
+        }
+
+        readDefinition(data) {
+            data.states.forEach((s, i) => this.states[i].output = s.output || '');
+        }
+
+        static validateExtra(data) {
+            if (!Array.isArray(data.states)) return [];
+            return data.states.flatMap((s, i) =>
+                s !== null && typeof s === 'object' ? Transducer.validateOutput(s.output, `states[${i}]`) : []);
+        }
+    }
+
+    MealyMachine.deterministic = true;
+    MealyMachine.typeLabel = 'una máquina de Mealy';
+    MooreMachine.deterministic = true;
+    MooreMachine.typeLabel = 'una máquina de Moore';
+    Automaton.types.Mealy = MealyMachine;
+    Automaton.types.Moore = MooreMachine;
+
+    return { Transducer, MealyMachine, MooreMachine };
+});
@@ -0,0 +1,367 @@
+/**
+ * Maquina de Turing de una cinta
+ * Cinta infinita en ambas direcciones, transiciones lee/escribe/mueve y un limite de pasos.
+ */
+
+(function (root, factory) {
+    // Node: require(); navegador: las clases quedan globales
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./automaton.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function (core) {
+    const { EPSILON, Automaton } = core;
+
+    // Movimientos de la cabeza: izquierda, derecha o quedarse
+    const MOVES = { L: -1, R: 1, S: 0 };
+
+    // Pasos por defecto antes de dar por hecho que la maquina no se detiene
+    const DEFAULT_MAX_STEPS = 500;
+    const MAX_STEPS_LIMIT = 100000;
+
+    // Blancos para convertir un DFA, en orden de preferencia
+    const BLANKS = ['_', '□', '#', '$', 'B'];
+
+    // --- Maquina de Turing ---
+    // Cada transicion { from, to, symbol, write, move } lee symbol en la celda de la cabeza,
+    // escribe write (si falta, deja lo que leyo) y mueve la cabeza (L, R o S).
+    // La maquina se detiene al entrar a un estado final (acepta), a uno de rechazo
+    // (isReject), cuando no hay transicion para lo que lee, o al llegar a maxSteps.
+    class TuringMachine extends Automaton {
+        constructor(name) {
+            super(name);
+            this.type = 'TM';
+            this.blank = '_'; // simbolo de las celdas vacias
+            this.maxSteps = DEFAULT_MAX_STEPS;
+            this.input = '';
+            this.tape = new Map(); // celda -> simbolo (solo las que no estan en blanco)
+            this.head = 0;
+            this.outcome = null; // null mientras corre; 'accept', 'reject', 'halt' o 'limit'
+        }
+
+        // A diferencia de los automatas finitos, la cadena se escribe en la cinta al reiniciar
+        reset(input = '') {
+            this.input = input;
+            this.tape = new Map();
+            [...input].forEach((c, i) => {
+                if (c !== this.blank) this.tape.set(i, c);
+            });
+            this.head = 0;
+            this.history = [];
+            this.failure = null;
+            this.outcome = null;
+            this.currentState = this.states.find(s => s.isStart) || null;
+            if (!this.currentState) {
+                this.log("La máquina no tiene estado inicial.", 'error');
+                return;
+            }
+            this.log(`Reinicio: ${this.currentState.label} con la cinta ${this.formatTape()}`);
+            this.updateOutcome();
+        }
+
+        // Un paso de la maquina; el simbolo lo decide la cinta, no la cadena
+        step() {
+            if (!this.currentState) return { error: "No hay estado actual", valid: false };
+            if (this.outcome) return { error: "La máquina ya se detuvo", valid: false };
+
+            const symbol = this.read();
+            const transition = this.findTransition();
+            const write = transition.write !== undefined ? transition.write : symbol;
+            const previousState = this.currentState;
+            this.writeCell(write);
+            this.head += MOVES[transition.move];
+            this.currentState = this.getState(transition.to);
+            const stepInfo = {
+                from: previousState.label,
+                to: this.currentState.label,
+                symbol: symbol,
+                write: write,
+                move: transition.move,
+                head: this.head,
+                valid: true,
+                transitions: [transition]
+            };
+            this.history.push(stepInfo);
+            this.log(`Transición: ${previousState.label} --(${symbol} → ${write}, ${transition.move})--> ${this.currentState.label}`);
+            this.updateOutcome();
+            return stepInfo;
+        }
+
+        // Revisa si la maquina se detiene en la configuracion actual
+        updateOutcome() {
+            const state = this.currentState;
+            if (state.isFinal) {
+                this.outcome = 'accept';
+                this.log(`La máquina se detiene en el estado de aceptación ${state.label}.`, 'system');
+            } else if (state.isReject) {
+                this.outcome = 'reject';
+                this.log(`La máquina se detiene en el estado de rechazo ${state.label}.`, 'system');
+            } else if (!this.findTransition()) {
+                this.outcome = 'halt';
+                this.log(`La máquina se detiene en ${state.label}: no hay transición para '${this.read()}'.`, 'system');
+            } else if (this.history.length >= this.maxSteps) {
+                this.outcome = 'limit';
+                this.log(`Se alcanzó el límite de ${this.maxSteps} pasos sin que la máquina se detuviera.`, 'error');
+            }
+        }
+
+        // La simulacion termina cuando la maquina se detiene, sin importar cuanto se leyo
+        isFinished() {
+            return !this.currentState || this.outcome !== null;
+        }
+
+        findTransition() {
+            const symbol = this.read();
+            return this.transitions.find(t => t.from === this.currentState.id && this.matchesSymbol(t.symbol, symbol));
+        }
+
+        read(cell = this.head) {
+            return this.tape.has(cell) ? this.tape.get(cell) : this.blank;
+        }
+
+        writeCell(symbol) {
+            if (symbol === this.blank) this.tape.delete(this.head);
+            else this.tape.set(this.head, symbol);
+        }
+
+        // Celdas escritas de la cinta, de la primera a la ultima que no esta en blanco
+        getTapeRange() {
+            const cells = [...this.tape.keys()];
+            if (!cells.length) return null;
+            return { first: Math.min(...cells), last: Math.max(...cells) };
+        }
+
+        // Contenido de la cinta sin los blancos de los extremos ('' si esta vacia)
+        getTapeContents() {
+            const range = this.getTapeRange();
+            if (!range) return '';
+            let contents = '';
+            for (let cell = range.first; cell <= range.last; cell++) contents += this.read(cell);
+            return contents;
+        }
+
+        // Cinta con la celda de la cabeza entre corchetes: "1[0]1"
+        formatTape() {
+            const range = this.getTapeRange() || { first: this.head, last: this.head };
+            let shown = '';
+            for (let cell = Math.min(range.first, this.head); cell <= Math.max(range.last, this.head); cell++) {
+                shown += cell === this.head ? `[${this.read(cell)}]` : this.read(cell);
+            }
+            return shown;
+        }
+
+        isAccepting() {
+            return this.outcome === 'accept';
+        }
+
+        clearSimulation() {
+            super.clearSimulation();
+            this.tape = new Map();
+            this.head = 0;
+            this.outcome = null;
+        }
+
+        // Igual que en la base, mas el resultado de la maquina y el contenido final de la cinta
+        run(input) {
+            const result = super.run(input);
+            return { ...result, outcome: this.outcome, tape: this.getTapeContents(), head: this.head };
+        }
+
+        // kind: 'accepted', 'rejected' (estado de rechazo), 'halted' (sin transicion),
+        // 'limit' (no se detuvo en maxSteps) o 'no-start'
+        getDiagnostic(input) {
+            const diagnostic = super.getDiagnostic(input);
+            const tape = this.getTapeContents();
+            if (diagnostic.kind === 'no-start') return { ...diagnostic, tape, steps: 0 };
+            const kinds = { accept: 'accepted', reject: 'rejected', halt: 'halted', limit: 'limit' };
+            const state = this.currentState;
+            return {
+                ...diagnostic,
+                kind: kinds[this.outcome] || 'halted',
+                position: this.head,
+                char: this.read(),
+                state,
+                states: [state],
+                expected: this.getExpected([state]),
+                phase: state.phase || null,
+                tape,
+                steps: this.history.length
+            };
+        }
+
+        // Al detenerse sin transicion cuentan los mensajes de atorarse (errorMessage, messages.stuck)
+        getMessage(diagnostic) {
+            if (diagnostic.kind === 'halted') return super.getMessage({ ...diagnostic, kind: 'stuck' });
+            if (diagnostic.kind === 'limit') return null;
+            return super.getMessage(diagnostic);
+        }
+
+        // Ademas de los de la base, los mensajes pueden usar {tape} y {steps}
+        formatMessage(template, diagnostic) {
+            const shown = template
+                .replace(/\{tape\}/g, diagnostic.tape || this.blank)
+                .replace(/\{steps\}/g, diagnostic.steps);
+            return super.formatMessage(shown, diagnostic);
+        }
+
+        describe(diagnostic) {
+            const { kind, state, steps } = diagnostic;
+            const tape = diagnostic.tape || this.blank;
+            const moves = `${steps} paso${steps === 1 ? '' : 's'}`;
+            switch (kind) {
+                case 'accepted':
+                    return `Es aceptada: la máquina llegó al estado de aceptación ${state.label} en ${moves}. Cinta: ${tape}.`;
+                case 'rejected':
+                    return `No se acepta: la máquina llegó al estado de rechazo ${state.label} en ${moves}. Cinta: ${tape}.`;
+                case 'halted':
+                    return `No se acepta: la máquina se detuvo en ${state.label} porque no hay transición para '${diagnostic.char}' (celda ${diagnostic.position}) y no es un estado de aceptación. Cinta: ${tape}.`;
+                case 'limit':
+                    return `No se sabe: la máquina no se detuvo en ${moves} (límite), quizá nunca termine. Va en ${state.label} con la cinta ${this.formatTape()}.`;
+                default:
+                    return super.describe(diagnostic);
+            }
+        }
+
+        // "a → b, R": lee a, escribe b y mueve a la derecha; varias transiciones se separan con |
+        getEdgeLabel(transitions, symbol = rule => rule) {
+            // Si no escribe otra cosa se repite lo leido, con el mismo formato
+            const write = t => t.write !== undefined ? t.write : symbol(t.symbol);
+            return [...new Set(transitions.map(t => `${symbol(t.symbol)} → ${write(t)}, ${t.move}`))].join(' | ');
+        }
+
+        // Lo que hace la transicion ademas de leer: "b, R"
+        formatAction(transition) {
+            const write = transition.write !== undefined ? transition.write : transition.symbol;
+            return `${write}, ${transition.move}`;
+        }
+
+        // --- Edicion del grafo ---
+
+        addTransition(from, to, symbol, write = undefined, move = 'R') {
+            const duplicate = this.transitions.find(t => t.from === from && t.to === to && t.symbol === symbol);
+            if (duplicate) return null;
+            const transition = { from, to, symbol, move };
+            if (write !== undefined) transition.write = write;
+            this.transitions.push(transition);
+            return transition;
+        }
+
+        // El blanco y los simbolos de trabajo no son parte del alfabeto de entrada
+        extendAlphabet(rule) {
+            if (rule === this.blank) return [];
+            return super.extendAlphabet(rule);
+        }
+
+        clone(name = this.name) {
+            const copy = new TuringMachine(name);
+            const base = Automaton.prototype.clone.call(this, name);
+            ['states', 'transitions', 'alphabet', 'symbolClasses', 'messages'].forEach(k => copy[k] = base[k]);
+            copy.blank = this.blank;
+            copy.maxSteps = this.maxSteps;
+            return copy;
+        }
+
+        // Maquina que recorre la cadena hacia la derecha como el DFA dado y, al llegar al
+        // blanco desde un estado final, pasa a un estado de aceptacion nuevo. El blanco no
+        // puede ser de la entrada (ej. '_' en el Email) y los mensajes del DFA no se copian:
+        // hablan de caracteres que la maquina ya no lee igual
+        static fromAutomaton(automaton, name = automaton.name) {
+            const tm = new TuringMachine(name);
+            const base = Automaton.prototype.clone.call(automaton, name);
+            ['states', 'alphabet', 'symbolClasses'].forEach(k => tm[k] = base[k]);
+            tm.states.forEach(s => {
+                delete s.message;
+                delete s.errorMessage;
+            });
+            const alphabet = automaton.getAlphabet();
+            tm.blank = BLANKS.find(c => !alphabet.includes(c)) || tm.blank;
+            tm.transitions = base.transitions.map(t => ({ from: t.from, to: t.to, symbol: t.symbol, move: 'R' }));
+            const finals = tm.states.filter(s => s.isFinal);
+            if (!finals.length) return tm;
+            const xs = tm.states.map(s => s.x);
+            const accept = tm.addState((Math.min(...xs) + Math.max(...xs)) / 2, Math.max(...tm.states.map(s => s.y)) + 160, 'Acepta');
+            finals.forEach(s => {
+                s.isFinal = false;
+                tm.addTransition(s.id, accept.id, tm.blank, undefined, 'S');
+            });
+            accept.isFinal = true;
+            return tm;
+        }
+
+        // --- Importar / Exportar JSON ---
+
+        toJSON() {
+            const definition = super.toJSON();
+            definition.blank = this.blank;
+            definition.maxSteps = this.maxSteps;
+            definition.states.forEach((s, i) => {
+                if (this.states[i].isReject) s.isReject = true;
+            });
+            definition.transitions = this.transitions.map(t => {
+                const transition = { from: t.from, to: t.to, symbol: t.symbol };
+                if (t.write !== undefined) transition.write = t.write;
+                transition.move = t.move;
+                return transition;
+            });
+            return definition;
+        }
+
+        readTransition(t) {
+            const transition = { from: t.from, to: t.to, symbol: t.symbol, move: t.move };
+            if (t.write !== undefined) transition.write = t.write;
+            return transition;
+        }
+
+        readDefinition(data) {
+            if (data.blank !== undefined) this.blank = data.blank;
+            if (data.maxSteps !== undefined) this.maxSteps = data.maxSteps;
+            data.states.forEach((s, i) => {
+                if (s.isReject) this.states[i].isReject = true;
+            });
+        }
+
+        // Los simbolos de la cinta (blanco, marcas) pueden no estar en el alfabeto de entrada
+        static getReadableSymbols(data) {
+            return null;
+        }
+
+        static validateExtra(data) {
+            const errors = [];
+            const isTapeSymbol = value => typeof value === 'string' && value.length === 1 && value !== EPSILON;
+            if (data.blank !== undefined && !isTapeSymbol(data.blank)) {
+                errors.push(`"blank" debe ser un solo carácter (el símbolo de las celdas vacías).`);
+            }
+            if (data.maxSteps !== undefined && (!Number.isInteger(data.maxSteps) || data.maxSteps < 1 || data.maxSteps > MAX_STEPS_LIMIT)) {
+                errors.push(`"maxSteps" debe ser un entero entre 1 y ${MAX_STEPS_LIMIT}.`);
+            }
+            if (Array.isArray(data.states)) {
+                data.states.forEach((s, i) => {
+                    if (s === null || typeof s !== 'object') return; // ya reportado
+                    if (s.isReject !== undefined && typeof s.isReject !== 'boolean') {
+                        errors.push(`states[${i}].isReject debe ser true o false.`);
+                    } else if (s.isReject && s.isFinal) {
+                        errors.push(`states[${i}]: un estado no puede ser de aceptación y de rechazo a la vez.`);
+                    }
+                });
+            }
+            if (!Array.isArray(data.transitions)) return errors;
+            data.transitions.forEach((t, i) => {
+                if (t === null || typeof t !== 'object') return; // ya reportado
+                if (t.write !== undefined && !isTapeSymbol(t.write)) {
+                    errors.push(`transitions[${i}].write debe ser un solo carácter (el símbolo a escribir).`);
+                }
+                if (!Object.keys(MOVES).includes(t.move)) {
+                    errors.push(`transitions[${i}].move debe ser "L" (izquierda), "R" (derecha) o "S" (quedarse).`);
+                }
+            });
+            return errors;
+        }
+    }
+
+    TuringMachine.deterministic = true;
+    TuringMachine.typeLabel = 'una máquina de Turing';
+    Automaton.types.TM = TuringMachine;
+
+    return { MOVES, DEFAULT_MAX_STEPS, MAX_STEPS_LIMIT, TuringMachine };
+});
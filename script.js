@@ -1,409 +1,394 @@
 /**
  * Motor de Visualisacion DFA
- * Logica Central y Renderizado
+ * Renderizado, editor e interfaz (el motor de automatas esta en core/)
  */
 
-// --- Clase Base del Automata ---
-class Automaton {
-    constructor(name) {
-        this.name = name;
-        this.states = []; // areglo de objetos de estado { id, x, y, isFinal, label }
-        this.transitions = []; // areglo de { from, to, symbol }
-        this.currentState = null;
-        this.history = []; // historial de pasos
-    }
-
-    reset() {
-        this.currentState = this.states.find(s => s.isStart);
-        this.history = [];
-        this.log(`Reinicio al estado inicial: ${this.currentState.label}`);
-    }
-
-    step(symbol) {
-        if (!this.currentState) return { error: "No hay estado actual" };
-
-        const transition = this.transitions.find(t =>
-            t.from === this.currentState.id && this.matchesSymbol(t.symbol, symbol)
-        );
-
-        if (transition) {
-            const previousState = this.currentState;
-            this.currentState = this.states.find(s => s.id === transition.to);
-            const stepInfo = {
-                from: previousState.label,
-                to: this.currentState.label,
-                symbol: symbol,
-                valid: true
-            };
-            this.history.push(stepInfo);
-            this.log(`Transición: ${previousState.label} --(${symbol})--> ${this.currentState.label}`);
-            return stepInfo;
-        } else {
-            // Analyze what was expected
-            const possibleTransitions = this.transitions.filter(t => t.from === this.currentState.id);
-            const expected = possibleTransitions.map(t => t.symbol).join(" o ");
+// Colores para distinguir grupos de estados
+const GROUP_COLORS = ['#00f3ff', '#00ff9d', '#bd00ff', '#ffb800', '#ff0055', '#4d7cff', '#ff7ac6', '#7dffb3'];
 
-            let reason = "";
-            if (possibleTransitions.length === 0) {
-                reason = "No hay más transiciones posibles desde este estado (Callejón sin salida).";
-            } else {
-                reason = `Se esperaba: [${expected}], pero se encontró: '${symbol}'.`;
-            }
+// Limites del zoom del lienzo
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 4;
 
-            const error = `Error en ${this.currentState.label}: ${reason}`;
-            this.log(error, 'error');
-            return { error: error, valid: false, reason: reason };
-        }
-    }
+// Camino recorrido: en curso, aceptado o rechazado; y duracion del destello de cada paso (ms)
+const PATH_COLORS = { running: 'rgba(0, 243, 255, 0.6)', accepted: '#00ff9d', rejected: '#ff0055' };
+const FLASH_DURATION = 700;
 
-    matchesSymbol(rule, symbol) {
-        if (rule === symbol) return true;
-        // categorias espesiales
-        if (rule === 'DIGIT' && /[0-9]/.test(symbol)) return true;
-        if (rule === 'ALPHA' && /[a-zA-Z]/.test(symbol)) return true;
-        if (rule === 'ALPHANUM' && /[a-zA-Z0-9]/.test(symbol)) return true;
-        return false;
-    }
+// --- Clase Renderizador ---
+class Renderer {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.automaton = null;
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
 
-    log(message, type = 'info') {
-        const event = new CustomEvent('automaton-log', { detail: { message, type } });
-        document.dispatchEvent(event);
-    }
+        this.pulseFrame = 0;
+        this.animating = false;
 
-    getGrammar() {
-        return "S -> ..."; // To be overridden
+        // Vista: pantalla = offset + grafo * scale (en pixeles CSS).
+        // Se ajusta sola al grafo hasta que el usuario hace zoom o desplaza.
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.scale = 1;
+        this.autoFit = true;
+        this.viewLocked = false; // el editor congela el ajuste para que el grafo no "salte"
+        this.panOnEmpty = true; // arrastrar en un espacio vacio desplaza la vista
+        this.panning = null;
+        this.canvas.addEventListener('wheel', e => this.handleWheel(e), { passive: false });
+        this.canvas.addEventListener('mousedown', e => this.handlePanStart(e));
+        window.addEventListener('mousemove', e => this.handlePanMove(e));
+        window.addEventListener('mouseup', () => this.handlePanEnd());
+
+        // Estado del editor
+        this.stateColors = null; // Map id -> color para agrupar estados (ej. minimizacion)
+        this.selection = null; // { type: 'state' | 'transition', item }
+        this.preview = null; // { from, x, y } transicion en construccion
+
+        // Simulacion: resultado del camino y ultimo paso (para el destello)
+        this.pathResult = null; // null (en curso) | 'accepted' | 'rejected'
+        this.lastStep = null;
+        this.flashStart = 0;
     }
-}
-
-// --- Automata de Email ---
-class EmailAutomaton extends Automaton {
-    constructor() {
-        super("Email Validator");
-        this.setupGraph();
-    }
-
-    setupGraph() {
-        // Estados
-        // q0: Inicio, esperando el inicio de la parte local
-        // q1: Adentro de la parte local
-        // q2: Leyo '@', esperando inicio del dominio
-        // q3: Adentro de la parte del dominio
-        // q4: Leyo '.', esperando extencion del dominio
-        // q5: Adentro de la extencion del dominio (Final)
-
-        this.states = [
-            { id: 'q0', label: 'q0', x: 100, y: 300, isStart: true, isFinal: false },
-            { id: 'q1', label: 'q1', x: 250, y: 300, isStart: false, isFinal: false },
-            { id: 'q2', label: 'q2', x: 400, y: 300, isStart: false, isFinal: false },
-            { id: 'q3', label: 'q3', x: 550, y: 300, isStart: false, isFinal: false },
-            { id: 'q4', label: 'q4', x: 700, y: 300, isStart: false, isFinal: false },
-            { id: 'q5', label: 'q5', x: 850, y: 300, isStart: false, isFinal: true }
-        ];
-
-        this.transitions = [
-            // q0 -> q1 (Inicia parte local: alfa o digito, sin punto/guion)
-            { from: 'q0', to: 'q1', symbol: 'ALPHANUM' },
-
-            // q1 -> q1 (Continua parte local: alfa, digito, punto, guion, guion bajo)
-            // Nota: Simplificasion para checar "no terminar con punto" es dificil en DFA puro sin ver adelante o mas estados.
-            // Usaremos un DFA simplificado que permite punto/guion en medio pero podriamos necesitar mas estados para enforsar "no al final".
-            // Estricto "no punto al final de parte local" antes de @ requiere dividir q1.
-            // Vamos a refinar:
-            // q1: Solo leyo alfanum (final valido para parte local)
-            // q1_sep: Solo leyo punto/guion/guion bajo (final invalido)
-
-            // Estados Revisados para cumplimiento mas estricto:
-            // q0: Inicio
-            // q1: Final valido de parte local (leyo alfanum)
-            // q1_sep: Leyo separador (., -, _), debe ser seguido por alfanum
-            // q2: Leyo @
-            // q3: Final valido de parte de dominio (leyo alfanum)
-            // q3_sep: Leyo separador (., -), debe ser seguido por alfanum
-            // q4: Leyo PUNTO (separador especial para extencion)
-            // q5: Extencion valida (leyo alfanum)
-        ];
-
-        // Redefiniendo estados para estrictez - ESCALADO
-        this.states = [
-            { id: 'q0', label: 'Start', x: 100, y: 400, isStart: true, isFinal: false },
-            { id: 'q1', label: 'Local', x: 300, y: 400, isStart: false, isFinal: false },
-            { id: 'q1s', label: 'Sep', x: 300, y: 200, isStart: false, isFinal: false },
-            { id: 'q2', label: '@', x: 500, y: 400, isStart: false, isFinal: false },
-            { id: 'q3', label: 'Dom', x: 700, y: 400, isStart: false, isFinal: false },
-            { id: 'q3s', label: 'Sep', x: 700, y: 200, isStart: false, isFinal: false },
-            { id: 'q4', label: 'Dot', x: 900, y: 400, isStart: false, isFinal: false },
-            { id: 'q5', label: 'Ext', x: 1100, y: 400, isStart: false, isFinal: true }
-        ];
-
-        this.transitions = [
-            // q0 -> q1 (Inicio local)
-            { from: 'q0', to: 'q1', symbol: 'ALPHANUM' },
 
-            // q1 -> q1 (Mas alfanum)
-            { from: 'q1', to: 'q1', symbol: 'ALPHANUM' },
-            // q1 -> q1s (Separador)
-            { from: 'q1', to: 'q1s', symbol: '.' },
-            { from: 'q1', to: 'q1s', symbol: '-' },
-            { from: 'q1', to: 'q1s', symbol: '_' },
-
-            // q1s -> q1 (De vuelta a valido)
-            { from: 'q1s', to: 'q1', symbol: 'ALPHANUM' },
+    resize() {
+        // El lienzo interno usa pixeles fisicos para verse nitido en pantallas de alta densidad
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.width = this.canvas.parentElement.clientWidth;
+        this.height = this.canvas.parentElement.clientHeight;
+        this.canvas.width = Math.round(this.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.height * this.pixelRatio);
+        if (this.automaton) this.draw();
+    }
 
-            // q1 -> q2 (Arroba) - Solo desde final local valido
-            { from: 'q1', to: 'q2', symbol: '@' },
+    setAutomaton(automaton) {
+        this.automaton = automaton;
+        this.stateColors = null;
+        this.pathResult = null;
+        this.autoFit = true;
+        // Recalcular posiciones basado en tamaño de canvas si es necesario, o solo escalar
+        // Por ahora, usaremos coordenadas relativas fijas o escalado simple
+        this.draw();
+    }
 
-            // q2 -> q3 (Inicio dominio)
-            { from: 'q2', to: 'q3', symbol: 'ALPHANUM' },
+    draw() {
+        if (!this.automaton) return;
 
-            // q3 -> q3 (Mas alfanum)
-            { from: 'q3', to: 'q3', symbol: 'ALPHANUM' },
-            // q3 -> q3s (Separador: guion) - Punto es especial
-            { from: 'q3', to: 'q3s', symbol: '-' },
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.autoFit && !this.viewLocked) this.fitView();
 
-            // q3s -> q3 (De vuelta a valido)
-            { from: 'q3s', to: 'q3', symbol: 'ALPHANUM' },
+        this.ctx.save();
+        const k = this.pixelRatio * this.scale;
+        this.ctx.setTransform(k, 0, 0, k, this.pixelRatio * this.offsetX, this.pixelRatio * this.offsetY);
+
+        // Dibujar Transiciones (Bordes): una arista por par de estados
+        const path = new Set(this.automaton.getTraversedTransitions());
+        const flash = this.getFlash();
+        this.getEdges().forEach(edge => {
+            this.drawEdge(edge, this.edgeStyle(edge, path, flash));
+        });
 
-            // q3 -> q4 (El Punto)
-            { from: 'q3', to: 'q4', symbol: '.' },
+        // Vista previa de la transicion que se esta dibujando
+        if (this.preview) {
+            this.drawPreview(this.preview);
+        }
 
-            // q4 -> q5 (Inicio Extencion)
-            { from: 'q4', to: 'q5', symbol: 'ALPHANUM' },
+        // Dibujar Estados (Nodos)
+        this.automaton.states.forEach(state => {
+            this.drawNode(state);
+        });
 
-            // q5 -> q5 (Mas extencion)
-            { from: 'q5', to: 'q5', symbol: 'ALPHANUM' },
-            // q5 -> q4 (Otro punto? ej. .co.uk)
-            { from: 'q5', to: 'q4', symbol: '.' }
-        ];
+        // Dibujar Pulso de Estados Activos (varios en un NFA)
+        this.automaton.getActiveStates().forEach(state => {
+            this.drawPulse(state);
+        });
 
-        this.reset();
+        this.ctx.restore();
     }
 
-    matchesSymbol(rule, symbol) {
-        // Sobreescribir para caracteres especificos
-        if (['.', '-', '_', '@'].includes(symbol)) {
-            return rule === symbol;
+    // Transiciones del ultimo paso y cuanto queda del destello (1 -> 0)
+    getFlash() {
+        const history = this.automaton.history;
+        const last = history[history.length - 1] || null;
+        if (last !== this.lastStep) {
+            this.lastStep = last;
+            this.flashStart = performance.now();
         }
-        return super.matchesSymbol(rule, symbol);
-    }
-
-    getGrammar() {
-        return `
-S -> [a-z0-9] A
-A -> [a-z0-9] A | [._-] B | @ C
-B -> [a-z0-9] A
-C -> [a-z0-9] D
-D -> [a-z0-9] D | - E | . F
-E -> [a-z0-9] D
-F -> [a-z0-9] G
-G -> [a-z0-9] G | . F | ε
-        `.trim();
+        if (!last) return null;
+        const strength = 1 - (performance.now() - this.flashStart) / FLASH_DURATION;
+        return strength > 0 ? { transitions: last.transitions, strength } : null;
     }
 
-    getConclusion(input, valid, finalState) {
-        if (valid && finalState.isFinal) {
-            return "Es un email válido. Cumple con el formato local@dominio.ext";
-        }
-
-        // Analizar casos de falla especificos
-        if (!valid) {
-            // Fallo durante una transicion
-            // Necesitamos encontrar *donde* fallo. Vamos a resimular rapido o usar el ultimo estado del bucle principal
-            // Pero aqui solo obtenemos el resultado. 
-            // En realidad, para dar una buena razon, necesitamos el contexto de la falla.
-            // Vamos a ver el ultimo caracter y estado.
-
-            // Analisis heuristico basado en patron de entrada
-            if (/^[^a-zA-Z0-9]/.test(input)) return "No se acepta porque un email debe comenzar con una letra o número.";
-            if (input.includes(', ')) return "No se acepta porque contiene una coma (',') que no es válida en emails.";
-            if ((input.match(/@/g) || []).length > 1) return "No se acepta porque contiene más de un símbolo '@'.";
-            if (/[^a-zA-Z0-9.\-_@]/.test(input)) {
-                const badChar = input.match(/[^a-zA-Z0-9.\-_@]/)[0];
-                return `No se acepta porque el carácter '${badChar}' no está permitido.`;
-            }
-            if (input.includes('..')) return "No se acepta porque hay dos puntos consecutivos ('..').";
-
-            return "No se acepta porque contiene caracteres inválidos o una estructura incorrecta.";
-        } else {
-            // Transiciones validas pero paro en no-final
-            if (finalState.id === 'q0') return "No se acepta porque está vacío.";
-            if (finalState.id === 'q1' || finalState.id === 'q1s') return "No se acepta porque falta el símbolo '@' y el dominio.";
-            if (finalState.id === 'q2') return "No se acepta porque falta el dominio después del '@'.";
-            if (finalState.id === 'q3' || finalState.id === 'q3s') return "No se acepta porque falta la extensión del dominio (ej. .com).";
-            if (finalState.id === 'q4') return "No se acepta porque el dominio no puede terminar en un punto.";
-
-            return `No se acepta porque está incompleto (terminó en estado ${finalState.label}).`;
+    // Prioridad: seleccion del editor, destello del paso actual y camino recorrido
+    edgeStyle(edge, path, flash) {
+        if (edge.transitions.some(t => this.isSelected('transition', t))) return { color: '#bd00ff', width: 2 };
+        if (flash && edge.transitions.some(t => flash.transitions.includes(t))) {
+            return { color: '#00f3ff', width: 2 + 3 * flash.strength, glow: 20 * flash.strength };
         }
+        if (edge.transitions.some(t => path.has(t))) return { color: PATH_COLORS[this.pathResult || 'running'], width: 2 };
+        return null;
     }
-}
 
-// --- Automata Modulo 3 ---
-class Modulo3Automaton extends Automaton {
-    constructor() {
-        super("Modulo 3 Calculator");
-        this.setupGraph();
+    isSelected(type, item) {
+        return !!this.selection && this.selection.type === type && this.selection.item === item;
     }
 
-    setupGraph() {
-        // Estados: q0 (rem 0), q1 (rem 1), q2 (rem 2) - ESCALADO
-        this.states = [
-            { id: 'q0', label: 'Rem 0', x: 600, y: 150, isStart: true, isFinal: true },
-            { id: 'q1', label: 'Rem 1', x: 900, y: 600, isStart: false, isFinal: false },
-            { id: 'q2', label: 'Rem 2', x: 300, y: 600, isStart: false, isFinal: false }
-        ];
-
-        // Logica de transiciones: nuevo_rem = (viejo_rem * 10 + digito) % 3
-        // 10 % 3 = 1. Asi que nuevo_rem = (viejo_rem * 1 + digito) % 3 = (viejo_rem + digito) % 3
-
-        // Desde q0 (0):
-        // 1 -> (0+1)%3 = 1 (q1)
-        // 2 -> (0+2)%3 = 2 (q2)
-        // 3 -> (0+3)%3 = 0 (q0)
-
-        // Desde q1 (1):
-        // 1 -> (1+1)%3 = 2 (q2)
-        // 2 -> (1+2)%3 = 0 (q0)
-        // 3 -> (1+3)%3 = 1 (q1)
-
-        // Desde q2 (2):
-        // 1 -> (2+1)%3 = 0 (q0)
-        // 2 -> (2+2)%3 = 1 (q1)
-        // 3 -> (2+3)%3 = 2 (q2)
-
-        this.transitions = [
-            { from: 'q0', to: 'q1', symbol: '1' },
-            { from: 'q0', to: 'q2', symbol: '2' },
-            { from: 'q0', to: 'q0', symbol: '3' },
-
-            { from: 'q1', to: 'q2', symbol: '1' },
-            { from: 'q1', to: 'q0', symbol: '2' },
-            { from: 'q1', to: 'q1', symbol: '3' },
-
-            { from: 'q2', to: 'q0', symbol: '1' },
-            { from: 'q2', to: 'q1', symbol: '2' },
-            { from: 'q2', to: 'q2', symbol: '3' }
-        ];
-
-        this.reset();
+    // Convierte coordenadas del mouse a coordenadas del grafo
+    toGraphCoords(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left - this.offsetX) / this.scale,
+            y: (event.clientY - rect.top - this.offsetY) / this.scale
+        };
     }
 
-    getGrammar() {
-        return `
-S -> 1 A | 2 B | 3 S | ε
-A -> 1 B | 2 S | 3 A
-B -> 1 S | 2 A | 3 B
-(Where S=q0, A=q1, B=q2)
-        `.trim();
+    // --- Vista (zoom y desplazamiento) ---
+
+    // Rectangulo que ocupa el grafo, con margen para bucles, etiquetas y la flecha de inicio
+    getBounds(automaton = this.automaton) {
+        const states = automaton ? automaton.states : [];
+        if (!states.length) return null;
+        const margin = 80;
+        return {
+            minX: Math.min(...states.map(s => s.x)) - margin,
+            maxX: Math.max(...states.map(s => s.x)) + margin,
+            minY: Math.min(...states.map(s => s.y)) - margin,
+            maxY: Math.max(...states.map(s => s.y)) + margin
+        };
     }
 
-    getConclusion(input, valid, finalState) {
-        // Calcular suma de digitos
-        let sum = 0;
-        for (let char of input) {
-            if (/[0-9]/.test(char)) sum += parseInt(char);
-        }
-
-        if (!valid) {
-            return "No se acepta porque contiene caracteres que no son dígitos.";
+    // Escala (sin agrandar mas del tamaño natural) y centra el grafo en el lienzo
+    fitView() {
+        const bounds = this.getBounds();
+        if (!bounds) {
+            this.scale = 1;
+            this.offsetX = this.width / 2;
+            this.offsetY = this.height / 2;
+            return;
         }
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        this.scale = Math.max(MIN_ZOOM, Math.min(1, this.width / width, this.height / height));
+        this.offsetX = this.width / 2 - (bounds.minX + width / 2) * this.scale;
+        this.offsetY = this.height / 2 - (bounds.minY + height / 2) * this.scale;
+    }
 
-        if (finalState.isFinal) {
-            return `Es aceptada porque la suma de sus dígitos es ${sum}, que es múltiplo de 3.`;
-        } else {
-            const remainder = sum % 3;
-            return `No es aceptada porque la suma de sus dígitos es ${sum} (residuo ${remainder}), y para ser múltiplo de 3 el residuo debe ser 0.`;
-        }
+    fit() {
+        this.autoFit = true;
+        // Ajustar aunque el editor tenga la vista congelada
+        const locked = this.viewLocked;
+        this.viewLocked = false;
+        this.draw();
+        this.viewLocked = locked;
     }
-}
 
-// --- Clase Renderizador ---
-class Renderer {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
-        this.automaton = null;
-        this.resize();
-        window.addEventListener('resize', () => this.resize());
+    // Zoom manteniendo fijo el punto de pantalla (x, y); por defecto el centro
+    zoom(factor, x = this.width / 2, y = this.height / 2) {
+        const scale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.scale * factor));
+        this.offsetX = x - (x - this.offsetX) * (scale / this.scale);
+        this.offsetY = y - (y - this.offsetY) * (scale / this.scale);
+        this.scale = scale;
+        this.autoFit = false;
+        this.draw();
+    }
 
-        this.pulseFrame = 0;
-        this.animating = false;
+    handleWheel(e) {
+        e.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+        this.zoom(Math.exp(-e.deltaY * 0.001), e.clientX - rect.left, e.clientY - rect.top);
     }
 
-    resize() {
-        this.canvas.width = this.canvas.parentElement.clientWidth;
-        this.canvas.height = this.canvas.parentElement.clientHeight;
-        if (this.automaton) this.draw();
+    handlePanStart(e) {
+        if (!this.automaton) return;
+        // Boton central siempre; izquierdo solo sobre un espacio vacio
+        if (e.button !== 1) {
+            if (e.button !== 0 || !this.panOnEmpty) return;
+            const { x, y } = this.toGraphCoords(e);
+            if (this.stateAt(x, y) || this.transitionAt(x, y)) return;
+        }
+        e.preventDefault();
+        this.panning = { x: e.clientX, y: e.clientY, offsetX: this.offsetX, offsetY: this.offsetY };
     }
 
-    setAutomaton(automaton) {
-        this.automaton = automaton;
-        // Recalcular posiciones basado en tamaño de canvas si es necesario, o solo escalar
-        // Por ahora, usaremos coordenadas relativas fijas o escalado simple
+    handlePanMove(e) {
+        if (!this.panning) return;
+        const dx = e.clientX - this.panning.x;
+        const dy = e.clientY - this.panning.y;
+        if (this.autoFit && Math.hypot(dx, dy) < 3) return; // un clic no mueve la vista
+        this.offsetX = this.panning.offsetX + dx;
+        this.offsetY = this.panning.offsetY + dy;
+        this.autoFit = false;
+        this.canvas.style.cursor = 'grabbing';
         this.draw();
     }
 
-    draw() {
-        if (!this.automaton) return;
+    handlePanEnd() {
+        if (!this.panning) return;
+        this.panning = null;
+        this.canvas.style.cursor = '';
+    }
 
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    stateAt(x, y) {
+        // Recorrer al reves para que gane el nodo dibujado arriba
+        for (let i = this.automaton.states.length - 1; i >= 0; i--) {
+            const s = this.automaton.states[i];
+            if (Math.hypot(s.x - x, s.y - y) <= 30) return s;
+        }
+        return null;
+    }
 
-        // Auto-center graph
-        const padding = 50;
-        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-        this.automaton.states.forEach(s => {
-            if (s.x < minX) minX = s.x;
-            if (s.x > maxX) maxX = s.x;
-            if (s.y < minY) minY = s.y;
-            if (s.y > maxY) maxY = s.y;
+    // Transicion bajo el cursor. Las transiciones agrupadas en una arista se
+    // recorren con clics sucesivos (la seleccionada pasa a la siguiente).
+    transitionAt(x, y) {
+        const tolerance = 6 / this.scale; // misma tolerancia en pantalla con cualquier zoom
+        const edge = this.getEdges().find(({ geometry: g }) => {
+            if (Math.hypot(x - g.labelX, y - g.labelY) <= 12) return true;
+            if (g.loop) return Math.abs(Math.hypot(x - g.cx, y - g.cy) - g.radius) <= tolerance;
+
+            // Distancia a la curva aproximada por segmentos
+            const points = this.curvePoints(g, 16);
+            return points.slice(1).some((p, i) => {
+                const a = points[i];
+                const dx = p.x - a.x;
+                const dy = p.y - a.y;
+                const lengthSq = dx * dx + dy * dy || 1;
+                const u = Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq));
+                return Math.hypot(x - (a.x + u * dx), y - (a.y + u * dy)) <= tolerance;
+            });
         });
+        if (!edge) return null;
+        const index = edge.transitions.indexOf(this.selection && this.selection.item);
+        return edge.transitions[(index + 1) % edge.transitions.length];
+    }
 
-        const graphWidth = maxX - minX;
-        const graphHeight = maxY - minY;
-        const centerX = (minX + maxX) / 2;
-        const centerY = (minY + maxY) / 2;
-
-        const canvasCenterX = this.canvas.width / 2;
-        const canvasCenterY = this.canvas.height / 2;
-
-        const offsetX = canvasCenterX - centerX;
-        const offsetY = canvasCenterY - centerY;
-
-        this.ctx.save();
-        this.ctx.translate(offsetX, offsetY);
-
-        // Dibujar Transiciones (Bordes)
-        this.automaton.transitions.forEach(t => {
-            const fromState = this.automaton.states.find(s => s.id === t.from);
-            const toState = this.automaton.states.find(s => s.id === t.to);
-            this.drawEdge(fromState, toState, t.symbol);
+    // Agrupa las transiciones por par (origen, destino) con la etiqueta combinada ("1, 2").
+    // Tambien la usan las exportaciones, por eso acepta otro automata.
+    getEdges(automaton = this.automaton) {
+        const groups = new Map();
+        automaton.transitions.forEach(t => {
+            const key = `${t.from}->${t.to}`;
+            if (!groups.has(key)) {
+                groups.set(key, { from: automaton.getState(t.from), to: automaton.getState(t.to), transitions: [] });
+            }
+            groups.get(key).transitions.push(t);
         });
 
-        // Dibujar Estados (Nodos)
-        this.automaton.states.forEach(state => {
-            this.drawNode(state);
+        return [...groups.values()].filter(e => e.from && e.to).map(edge => {
+            edge.label = automaton.getEdgeLabel(edge.transitions);
+            // Si existe la arista contraria, las dos se curvan hacia lados opuestos
+            const bidirectional = edge.from !== edge.to && groups.has(`${edge.to.id}->${edge.from.id}`);
+            edge.geometry = this.edgeGeometry(edge.from, edge.to, bidirectional, automaton);
+            return edge;
         });
+    }
 
-        // Dibujar Pulso de Estado Activo
-        if (this.automaton.currentState) {
-            this.drawPulse(this.automaton.currentState);
+    edgeGeometry(from, to, bidirectional, automaton = this.automaton) {
+        const radius = 30;
+        if (from === to) {
+            const angle = this.loopAngle(from, automaton);
+            return {
+                loop: true,
+                angle,
+                cx: from.x + Math.cos(angle) * 40,
+                cy: from.y + Math.sin(angle) * 40,
+                radius: 20,
+                labelX: from.x + Math.cos(angle) * 72,
+                labelY: from.y + Math.sin(angle) * 72
+            };
         }
 
-        if (this.animating) {
-            this.pulseFrame++;
-            requestAnimationFrame(() => this.draw());
+        // Curva cuadratica; el punto de control se aleja a la izquierda del sentido de la arista
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const dist = Math.hypot(dx, dy) || 1;
+        const nx = -dy / dist;
+        const ny = dx / dist;
+        const bend = bidirectional ? 50 : 0;
+        const control = { x: (from.x + to.x) / 2 + nx * bend, y: (from.y + to.y) / 2 + ny * bend };
+
+        const startAngle = Math.atan2(control.y - from.y, control.x - from.x);
+        const endAngle = Math.atan2(to.y - control.y, to.x - control.x);
+        const apex = { x: (from.x + 2 * control.x + to.x) / 4, y: (from.y + 2 * control.y + to.y) / 4 };
+        const labelOffset = bidirectional ? 12 : 10;
+        return {
+            loop: false,
+            start: { x: from.x + Math.cos(startAngle) * radius, y: from.y + Math.sin(startAngle) * radius },
+            control,
+            end: { x: to.x - Math.cos(endAngle) * radius, y: to.y - Math.sin(endAngle) * radius },
+            angle: endAngle,
+            // Las rectas llevan la etiqueta arriba; las curvas, del lado de la curva
+            labelX: apex.x + (bidirectional ? nx * labelOffset : 0),
+            labelY: apex.y + (bidirectional ? ny * labelOffset : -labelOffset)
+        };
+    }
+
+    curvePoints(geometry, segments) {
+        const { start, control, end } = geometry;
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const u = i / segments;
+            const a = (1 - u) * (1 - u);
+            const b = 2 * (1 - u) * u;
+            const c = u * u;
+            points.push({ x: a * start.x + b * control.x + c * end.x, y: a * start.y + b * control.y + c * end.y });
         }
+        return points;
+    }
 
-        this.ctx.restore();
+    // El auto bucle va en el hueco angular mas grande entre las demas aristas del estado
+    loopAngle(state, automaton = this.automaton) {
+        const angles = [];
+        automaton.transitions.forEach(t => {
+            if (t.from === t.to) return;
+            const other = t.from === state.id ? automaton.getState(t.to) : t.to === state.id ? automaton.getState(t.from) : null;
+            if (other) angles.push(Math.atan2(other.y - state.y, other.x - state.x));
+        });
+        if (state.isStart) angles.push(Math.PI); // flecha de inicio a la izquierda
+        if (!angles.length) return -Math.PI / 2;
+
+        angles.sort((a, b) => a - b);
+        let best = { gap: -1, angle: -Math.PI / 2 };
+        angles.forEach((angle, i) => {
+            const next = i + 1 < angles.length ? angles[i + 1] : angles[0] + 2 * Math.PI;
+            const gap = next - angle;
+            // Con un hueco casi igual se prefiere arriba (la posicion de siempre)
+            const mid = angle + gap / 2;
+            const upward = -Math.sin(mid) * 0.01;
+            if (gap + upward > best.gap) best = { gap: gap + upward, angle: mid };
+        });
+        return best.angle;
     }
 
     drawNode(state) {
         const ctx = this.ctx;
-        const isActive = this.automaton.currentState && this.automaton.currentState.id === state.id;
+        const isActive = this.automaton.getActiveStates().includes(state);
         const radius = 30; // Revertido a 30
 
+        // Marca de seleccion del editor
+        if (this.isSelected('state', state)) {
+            ctx.beginPath();
+            ctx.arc(state.x, state.y, radius + 8, 0, Math.PI * 2);
+            ctx.setLineDash([4, 4]);
+            ctx.strokeStyle = '#bd00ff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
         ctx.beginPath();
         ctx.arc(state.x, state.y, radius, 0, Math.PI * 2);
         ctx.fillStyle = isActive ? 'rgba(0, 243, 255, 0.2)' : 'rgba(20, 30, 50, 0.8)';
         ctx.fill();
+
+        // Color de grupo (estados equivalentes comparten color)
+        const groupColor = this.stateColors && this.stateColors.get(state.id);
+        if (groupColor) {
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = groupColor;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
         ctx.lineWidth = isActive ? 3 : 2; // Lineas mas delgadas
         ctx.strokeStyle = isActive ? '#00f3ff' : '#94a3b8';
         if (state.isFinal) {
@@ -415,6 +400,7 @@ class Renderer {
             ctx.arc(state.x, state.y, radius - 6, 0, Math.PI * 2);
             ctx.stroke();
         } else {
+            if (state.isReject) ctx.strokeStyle = '#ff0055'; // Rojo para rechazo (MT)
             ctx.stroke();
         }
 
@@ -423,7 +409,15 @@ class Renderer {
         ctx.font = 'bold 14px Fira Code'; // Fuente mas chica
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText(state.label, state.x, state.y);
+        if (this.automaton.type === 'Moore') {
+            // Maquina de Moore: la salida del estado va debajo de la etiqueta
+            ctx.fillText(state.label, state.x, state.y - 7);
+            ctx.fillStyle = '#ffb800';
+            ctx.font = '12px Fira Code';
+            ctx.fillText(`/${state.output || EPSILON}`, state.x, state.y + 10);
+        } else {
+            ctx.fillText(state.label, state.x, state.y);
+        }
 
         // Flecha de inicio
         if (state.isStart) {
@@ -442,51 +436,54 @@ class Renderer {
         }
     }
 
-    drawEdge(from, to, label) {
+    drawEdge(edge, style = null) {
         const ctx = this.ctx;
+        const g = edge.geometry;
+        const color = style ? style.color : 'rgba(255, 255, 255, 0.3)';
+        ctx.save();
+        if (style && style.glow) {
+            ctx.shadowColor = style.color;
+            ctx.shadowBlur = style.glow;
+        }
+        ctx.strokeStyle = color;
+        ctx.lineWidth = style ? style.width : 1;
         ctx.beginPath();
 
-        // Calcular angulo
-        const dx = to.x - from.x;
-        const dy = to.y - from.y;
-        const angle = Math.atan2(dy, dx);
-        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (g.loop) {
+            ctx.arc(g.cx, g.cy, g.radius, 0, Math.PI * 2);
+            ctx.stroke();
+        } else {
+            ctx.moveTo(g.start.x, g.start.y);
+            ctx.quadraticCurveTo(g.control.x, g.control.y, g.end.x, g.end.y);
+            ctx.stroke();
 
-        // Auto bucle
-        if (from.id === to.id) {
+            // Punta de flecha en la direccion de llegada de la curva
             ctx.beginPath();
-            ctx.arc(from.x, from.y - 40, 20, 0, Math.PI * 2); // Circulo arriba
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-            ctx.stroke();
-            // Texto
-            ctx.fillStyle = '#aaa';
-            ctx.fillText(label, from.x, from.y - 70);
-            return;
+            ctx.moveTo(g.end.x, g.end.y);
+            ctx.lineTo(g.end.x - 10 * Math.cos(g.angle - Math.PI / 6), g.end.y - 10 * Math.sin(g.angle - Math.PI / 6));
+            ctx.lineTo(g.end.x - 10 * Math.cos(g.angle + Math.PI / 6), g.end.y - 10 * Math.sin(g.angle + Math.PI / 6));
+            ctx.fillStyle = color;
+            ctx.fill();
         }
 
-        // Curva para bidireccional o solo estetico
-        // Linea recta simple por ahora, tal vez curva cuadratica si hay multiples bordes
-        ctx.moveTo(from.x + Math.cos(angle) * 30, from.y + Math.sin(angle) * 30);
-        ctx.lineTo(to.x - Math.cos(angle) * 30, to.y - Math.sin(angle) * 30);
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.stroke();
+        // Etiqueta
+        ctx.fillStyle = style ? style.color : '#aaa';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(edge.label, g.labelX, g.labelY);
+        ctx.restore();
+    }
 
-        // Punta de flecha
-        const endX = to.x - Math.cos(angle) * 30;
-        const endY = to.y - Math.sin(angle) * 30;
+    drawPreview(preview) {
+        const ctx = this.ctx;
         ctx.beginPath();
-        ctx.moveTo(endX, endY);
-        ctx.lineTo(endX - 10 * Math.cos(angle - Math.PI / 6), endY - 10 * Math.sin(angle - Math.PI / 6));
-        ctx.lineTo(endX - 10 * Math.cos(angle + Math.PI / 6), endY - 10 * Math.sin(angle + Math.PI / 6));
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.fill();
-
-        // Etiqueta
-        const midX = (from.x + to.x) / 2;
-        const midY = (from.y + to.y) / 2;
-        ctx.fillStyle = '#aaa';
-        ctx.fillText(label, midX, midY - 10);
+        ctx.moveTo(preview.from.x, preview.from.y);
+        ctx.lineTo(preview.x, preview.y);
+        ctx.setLineDash([6, 6]);
+        ctx.strokeStyle = '#bd00ff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.setLineDash([]);
     }
 
     drawPulse(state) {
@@ -500,8 +497,16 @@ class Renderer {
     }
 
     startAnimation() {
+        if (this.animating) return;
         this.animating = true;
-        this.draw();
+        // Un solo bucle de animacion, aunque draw() se llame desde otros lados
+        const loop = () => {
+            if (!this.animating) return;
+            this.pulseFrame++;
+            this.draw();
+            requestAnimationFrame(loop);
+        };
+        loop();
     }
 
     stopAnimation() {
@@ -509,147 +514,2401 @@ class Renderer {
     }
 }
 
-// --- Logica Principal de la App ---
-document.addEventListener('DOMContentLoaded', () => {
-    const renderer = new Renderer('dfa-canvas');
-    let currentAutomaton = new EmailAutomaton();
-
-    // Elementos UI
-    const grammarContent = document.getElementById('grammar-content');
-    const logContent = document.getElementById('log-content');
-    const inputString = document.getElementById('input-string');
-    const statusIndicator = document.getElementById('status-indicator');
-
-    // Inicializar
-    renderer.setAutomaton(currentAutomaton);
-    renderer.startAnimation();
-    updateGrammar();
-
-    // Escuchadores de Eventos
-    document.getElementById('nav-email').addEventListener('click', () => switchModule('email'));
-    document.getElementById('nav-modulo').addEventListener('click', () => switchModule('modulo'));
-
-    document.getElementById('btn-validate').addEventListener('click', () => validateInput());
-    document.getElementById('btn-animate').addEventListener('click', () => animateInput());
-    document.getElementById('btn-reset').addEventListener('click', () => reset());
-    document.getElementById('clear-log').addEventListener('click', () => {
-        logContent.innerHTML = '';
-        log('Registro borrado.', 'system');
-    });
-
-    // Evento de Log Personalizado
-    document.addEventListener('automaton-log', (e) => {
-        log(e.detail.message, e.detail.type);
-    });
-
-    function switchModule(module) {
-        document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
-        document.getElementById(`nav-${module}`).classList.add('active');
+// --- Editor Interactivo de Grafos ---
+class GraphEditor {
+    constructor(renderer, callbacks = {}) {
+        this.renderer = renderer;
+        this.canvas = renderer.canvas;
+        this.automaton = null;
+        this.enabled = false;
+        this.tool = 'move'; // move | state | transition | delete
+        this.symbol = 'a'; // simbolo para las nuevas transiciones
+        this.dragging = null; // { state, dx, dy }
+        this.pendingFrom = null; // estado origen de una transicion nueva
+        this.onChange = callbacks.onChange || (() => { });
+        this.onSelect = callbacks.onSelect || (() => { });
+
+        this.canvas.addEventListener('mousedown', e => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', e => this.handleMouseMove(e));
+        this.canvas.addEventListener('mouseup', e => this.handleMouseUp(e));
+        this.canvas.addEventListener('dblclick', e => this.handleDoubleClick(e));
+        document.addEventListener('keydown', e => this.handleKeyDown(e));
+    }
 
-        if (module === 'email') {
-            currentAutomaton = new EmailAutomaton();
-        } else {
-            currentAutomaton = new Modulo3Automaton();
-        }
-        renderer.setAutomaton(currentAutomaton);
-        updateGrammar();
-        reset();
-        log(`Cambiado a ${currentAutomaton.name}`, 'system');
+    enable(automaton) {
+        this.automaton = automaton;
+        this.enabled = true;
+        this.renderer.viewLocked = true;
+        this.renderer.panOnEmpty = this.tool === 'move';
+        this.canvas.classList.add('editing');
+        this.select(null);
     }
 
-    function updateGrammar() {
-        grammarContent.innerText = currentAutomaton.getGrammar();
+    disable() {
+        this.enabled = false;
+        this.dragging = null;
+        this.pendingFrom = null;
+        this.renderer.preview = null;
+        this.renderer.viewLocked = false;
+        this.renderer.panOnEmpty = true;
+        this.canvas.classList.remove('editing');
+        this.select(null);
     }
 
-    function log(msg, type = 'info') {
-        const line = document.createElement('div');
-        line.className = `log-line ${type}`;
-        line.innerText = `> ${msg}`;
-        logContent.appendChild(line);
-        logContent.scrollTop = logContent.scrollHeight;
+    setTool(tool) {
+        this.tool = tool;
+        // Con las demas herramientas el clic en vacio crea o cancela algo
+        if (this.enabled) this.renderer.panOnEmpty = tool === 'move';
+        this.pendingFrom = null;
+        this.renderer.preview = null;
     }
 
-    function reset() {
-        currentAutomaton.reset();
-        inputString.value = '';
-        statusIndicator.innerText = "ESPERANDO INPUT";
-        statusIndicator.style.borderColor = "#00f3ff";
-        statusIndicator.style.color = "#00f3ff";
-        renderer.draw();
+    select(item, type) {
+        this.renderer.selection = item ? { type, item } : null;
+        this.onSelect(this.renderer.selection);
     }
 
-    function validateInput() {
-        const input = inputString.value;
-        currentAutomaton.reset();
-        let valid = true;
+    get selection() {
+        return this.renderer.selection;
+    }
 
-        for (let char of input) {
-            const result = currentAutomaton.step(char);
-            if (!result.valid) {
-                valid = false;
+    handleMouseDown(e) {
+        if (!this.enabled) return;
+        const { x, y } = this.renderer.toGraphCoords(e);
+        const state = this.renderer.stateAt(x, y);
+        const transition = state ? null : this.renderer.transitionAt(x, y);
+
+        switch (this.tool) {
+            case 'move':
+                if (state) {
+                    this.select(state, 'state');
+                    this.dragging = { state, dx: state.x - x, dy: state.y - y };
+                } else if (transition) {
+                    this.select(transition, 'transition');
+                } else {
+                    this.select(null);
+                }
                 break;
-            }
-        }
 
-        if (valid && currentAutomaton.currentState.isFinal) {
-            const msg = `Cadena "${input}" ACEPTADA.`;
-            log(msg, 'success');
+            case 'state':
+                if (state) {
+                    this.select(state, 'state');
+                } else {
+                    const created = this.automaton.addState(x, y);
+                    this.automaton.log(`Estado ${created.label} creado.`, 'system');
+                    this.select(created, 'state');
+                    this.onChange();
+                }
+                break;
 
-            const conclusion = currentAutomaton.getConclusion(input, true, currentAutomaton.currentState);
-            log(`Conclusión: ${conclusion}`, 'success');
+            case 'transition':
+                if (state) {
+                    this.pendingFrom = state;
+                    this.renderer.preview = { from: state, x, y };
+                }
+                break;
 
-            statusIndicator.innerText = "ACEPTADA";
-            statusIndicator.style.borderColor = "#00ff9d";
-            statusIndicator.style.color = "#00ff9d";
-        } else {
-            log(`Cadena "${input}" RECHAZADA.`, 'error');
+            case 'delete':
+                if (state) this.deleteItem(state, 'state');
+                else if (transition) this.deleteItem(transition, 'transition');
+                break;
+        }
+    }
 
-            const conclusion = currentAutomaton.getConclusion(input, valid, currentAutomaton.currentState);
-            log(`Conclusión: ${conclusion}`, 'error');
+    handleMouseMove(e) {
+        if (!this.enabled) return;
+        const { x, y } = this.renderer.toGraphCoords(e);
 
-            statusIndicator.innerText = "RECHAZADA";
-            statusIndicator.style.borderColor = "#ff0055";
-            statusIndicator.style.color = "#ff0055";
+        if (this.dragging) {
+            this.dragging.state.x = Math.round(x + this.dragging.dx);
+            this.dragging.state.y = Math.round(y + this.dragging.dy);
+        } else if (this.pendingFrom) {
+            this.renderer.preview = { from: this.pendingFrom, x, y };
         }
-        renderer.draw();
     }
 
-    async function animateInput() {
-        const input = inputString.value;
-        const speed = 2100 - document.getElementById('speed-slider').value; // Invertir slider
+    handleMouseUp(e) {
+        if (!this.enabled) return;
 
-        currentAutomaton.reset();
-        renderer.draw();
+        if (this.dragging) {
+            this.dragging = null;
+            this.onChange();
+            return;
+        }
 
-        for (let char of input) {
-            statusIndicator.innerText = `PROCESANDO: '${char}'`;
-            await new Promise(r => setTimeout(r, speed));
+        if (this.pendingFrom) {
+            const { x, y } = this.renderer.toGraphCoords(e);
+            const target = this.renderer.stateAt(x, y);
+            if (target) this.createTransition(this.pendingFrom, target);
+            this.pendingFrom = null;
+            this.renderer.preview = null;
+        }
+    }
 
-            const result = currentAutomaton.step(char);
-            renderer.draw();
+    handleDoubleClick(e) {
+        if (!this.enabled || this.tool !== 'move') return;
+        const { x, y } = this.renderer.toGraphCoords(e);
+        const state = this.renderer.stateAt(x, y);
+        if (state) {
+            // Doble clic alterna el estado final (en una MT deja de ser de rechazo)
+            state.isFinal = !state.isFinal;
+            if (state.isFinal) delete state.isReject;
+            this.select(state, 'state');
+            this.onChange();
+        }
+    }
 
-            if (!result.valid) {
-                statusIndicator.innerText = "ERROR";
-                statusIndicator.style.borderColor = "#ff0055";
-                statusIndicator.style.color = "#ff0055";
+    handleKeyDown(e) {
+        if (!this.enabled || !this.selection) return;
+        // No borrar mientras se escribe en un campo de texto
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.deleteItem(this.selection.item, this.selection.type);
+        }
+    }
 
-                const conclusion = currentAutomaton.getConclusion(input, false, currentAutomaton.currentState);
-                log(`Animación finalizada: ${conclusion}`, 'error');
-                return;
-            }
+    createTransition(from, to) {
+        const symbol = this.symbol;
+        if (!this.automaton.isSymbolRule(symbol)) {
+            this.automaton.log(`Símbolo inválido '${symbol}': usa un solo carácter o ${this.automaton.getSymbolClassNames().join(', ')}.`, 'error');
+            return;
         }
 
-        if (currentAutomaton.currentState.isFinal) {
+        // En un NFA las transiciones repetidas son validas
+        const conflict = this.automaton.constructor.deterministic &&
+            this.automaton.transitions.find(t => t.from === from.id && t.symbol === symbol && t.to !== to.id);
+        const transition = this.automaton.addTransition(from.id, to.id, symbol);
+        if (!transition) {
+            this.automaton.log(`Ya existe la transición ${from.label} --(${symbol})--> ${to.label}.`, 'error');
+            return;
+        }
+        if (conflict) {
+            this.automaton.log(`Advertencia: ${from.label} ya tiene una transición con '${symbol}'. El autómata deja de ser determinista.`, 'error');
+        }
+
+        this.automaton.log(`Transición ${from.label} --(${symbol})--> ${to.label} creada.`, 'system');
+        const added = this.automaton.extendAlphabet(symbol);
+        if (added.length) this.automaton.log(`Agregado al alfabeto: ${formatCharClass(added)}`, 'system');
+        this.select(transition, 'transition');
+        this.onChange();
+    }
+
+    deleteItem(item, type) {
+        if (type === 'state') {
+            this.automaton.removeState(item.id);
+            this.automaton.log(`Estado ${item.label} eliminado.`, 'system');
+        } else {
+            const from = this.automaton.getState(item.from);
+            const to = this.automaton.getState(item.to);
+            this.automaton.removeTransition(item);
+            this.automaton.log(`Transición ${from.label} --(${item.symbol})--> ${to.label} eliminada.`, 'system');
+        }
+        this.select(null);
+        this.onChange();
+    }
+}
+
+// --- Control de Reproduccion (animacion paso a paso) ---
+class PlaybackController {
+    constructor(callbacks = {}) {
+        this.automaton = null;
+        this.input = '';
+        this.position = 0; // caracteres consumidos (pasos, en una maquina de Turing)
+        this.failedAt = null; // posicion del caracter que no tuvo transicion
+        this.status = 'idle'; // idle | paused | playing | finished
+        this.timer = null;
+        this.onUpdate = callbacks.onUpdate || (() => { });
+        this.onFinish = callbacks.onFinish || (() => { });
+        this.getDelay = callbacks.getDelay || (() => 500);
+    }
+
+    load(automaton, input) {
+        this.stop();
+        this.automaton = automaton;
+        this.input = input;
+        this.position = 0;
+        this.failedAt = null;
+        automaton.reset(input);
+        this.status = automaton.currentState ? 'paused' : 'idle';
+        this.notify();
+        return this.status !== 'idle';
+    }
+
+    // Cancela cualquier reproduccion en curso
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.status = 'idle';
+        this.automaton = null;
+    }
+
+    play() {
+        if (!this.automaton) return;
+        if (this.status === 'finished') {
+            this.seek(0); // volver a empezar
+            if (this.status === 'finished') return; // cadena vacia
+        }
+        this.status = 'playing';
+        this.notify();
+        this.schedule();
+    }
+
+    pause() {
+        if (this.status !== 'playing') return;
+        clearTimeout(this.timer);
+        this.status = 'paused';
+        this.notify();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            if (this.status !== 'playing') return;
+            this.stepForward();
+            if (this.status === 'playing') this.schedule();
+        }, this.getDelay());
+    }
+
+    stepForward() {
+        if (!this.automaton || this.status === 'finished') return;
+        if (this.isDone() || !this.advance()) {
+            this.finish();
+            return;
+        }
+        if (this.isDone()) {
+            this.finish();
+            return;
+        }
+        this.notify();
+    }
+
+    stepBack() {
+        if (!this.automaton) return;
+        this.pause();
+        // Si el ultimo paso fallo, retroceder quita el error sin mover la cabeza
+        this.seek(this.failedAt !== null ? this.position : this.position - 1);
+    }
+
+    // Repite la simulacion en silencio hasta la posicion pedida
+    seek(position) {
+        if (!this.automaton) return;
+        const target = Math.max(0, position);
+        clearTimeout(this.timer);
+        if (this.status !== 'playing') this.status = 'paused';
+
+        this.automaton.silent = true;
+        this.automaton.reset(this.input);
+        this.position = 0;
+        this.failedAt = null;
+        while (this.position < target && !this.isDone() && this.advance());
+        this.automaton.silent = false;
+
+        this.automaton.log(this.automaton.type === 'TM'
+            ? `Máquina en el paso ${this.position}.`
+            : `Cinta en la posición ${this.position} de ${this.input.length}.`, 'system');
+        if (this.failedAt !== null || this.isDone()) {
+            this.finish();
+            return;
+        }
+        this.notify();
+        if (this.status === 'playing') this.schedule();
+    }
+
+    // Se leyo toda la cadena (o la maquina de Turing se detuvo)
+    isDone() {
+        return this.automaton.isFinished(this.position, this.input);
+    }
+
+    advance() {
+        const result = this.automaton.step(this.input[this.position]);
+        if (!result.valid) {
+            this.failedAt = this.position;
+            return false;
+        }
+        this.position++;
+        return true;
+    }
+
+    finish() {
+        clearTimeout(this.timer);
+        this.status = 'finished';
+        this.notify();
+        this.onFinish({
+            valid: this.failedAt === null,
+            accepted: this.failedAt === null && this.automaton.isAccepting()
+        });
+    }
+
+    notify() {
+        this.onUpdate(this);
+    }
+}
+
+// --- Exportar Diagramas (SVG, PNG, DOT, TikZ) ---
+// Usa la misma geometria que el Renderer (aristas agrupadas, curvas y bucles).
+// highlight: { states, transitions } opcional para marcar el estado actual y el recorrido.
+const DIAGRAM_THEMES = {
+    dark: { background: '#0a0e17', node: '#141e32', stroke: '#94a3b8', final: '#00ff9d', edge: '#6b7280', text: '#ffffff', label: '#aaaaaa', active: '#00f3ff', path: '#bd00ff' },
+    light: { background: '#ffffff', node: '#ffffff', stroke: '#222222', final: '#222222', edge: '#444444', text: '#000000', label: '#000000', active: '#0077cc', path: '#cc0066' }
+};
+
+class DiagramExporter {
+    constructor(automaton, renderer, options = {}) {
+        this.automaton = automaton;
+        this.renderer = renderer;
+        this.theme = DIAGRAM_THEMES[options.theme] || DIAGRAM_THEMES.dark;
+        this.highlight = options.highlight || { states: [], transitions: [] };
+    }
+
+    toSVG() {
+        const t = this.theme;
+        const bounds = this.renderer.getBounds(this.automaton) || { minX: 0, minY: 0, maxX: 200, maxY: 200 };
+        const width = Math.round(bounds.maxX - bounds.minX);
+        const height = Math.round(bounds.maxY - bounds.minY);
+        const n = value => Math.round(value * 10) / 10;
+        const lines = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${n(bounds.minX)} ${n(bounds.minY)} ${width} ${height}" font-family="Fira Code, monospace">`,
+            `<title>${escapeXML(this.automaton.name)}</title>`,
+            `<rect x="${n(bounds.minX)}" y="${n(bounds.minY)}" width="${width}" height="${height}" fill="${t.background}"/>`
+        ];
+
+        this.renderer.getEdges(this.automaton).forEach(edge => {
+            const g = edge.geometry;
+            const onPath = edge.transitions.some(tr => this.highlight.transitions.includes(tr));
+            const color = onPath ? t.path : t.edge;
+            const strokeWidth = onPath ? 3 : 1.5;
+            if (g.loop) {
+                lines.push(`<circle cx="${n(g.cx)}" cy="${n(g.cy)}" r="${g.radius}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"/>`);
+            } else {
+                lines.push(`<path d="M ${n(g.start.x)} ${n(g.start.y)} Q ${n(g.control.x)} ${n(g.control.y)} ${n(g.end.x)} ${n(g.end.y)}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"/>`);
+                const tip = angle => `${n(g.end.x - 10 * Math.cos(angle))},${n(g.end.y - 10 * Math.sin(angle))}`;
+                lines.push(`<polygon points="${n(g.end.x)},${n(g.end.y)} ${tip(g.angle - Math.PI / 6)} ${tip(g.angle + Math.PI / 6)}" fill="${color}"/>`);
+            }
+            lines.push(`<text x="${n(g.labelX)}" y="${n(g.labelY)}" fill="${onPath ? t.path : t.label}" font-size="14" text-anchor="middle" dominant-baseline="middle">${escapeXML(edge.label)}</text>`);
+        });
+
+        this.automaton.states.forEach(state => {
+            const active = this.highlight.states.includes(state);
+            const stroke = active ? t.active : state.isFinal ? t.final : t.stroke;
+            const strokeWidth = active || state.isFinal ? 3 : 2;
+            lines.push(`<circle cx="${state.x}" cy="${state.y}" r="30" fill="${t.node}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`);
+            if (state.isFinal) {
+                lines.push(`<circle cx="${state.x}" cy="${state.y}" r="24" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}"/>`);
+            }
+            lines.push(`<text x="${state.x}" y="${state.y}" fill="${t.text}" font-size="14" font-weight="bold" text-anchor="middle" dominant-baseline="middle">${escapeXML(state.label)}</text>`);
+            if (state.isStart) {
+                lines.push(`<line x1="${state.x - 60}" y1="${state.y}" x2="${state.x - 40}" y2="${state.y}" stroke="${t.text}" stroke-width="2"/>`);
+                lines.push(`<polygon points="${state.x - 32},${state.y} ${state.x - 42},${state.y - 5} ${state.x - 42},${state.y + 5}" fill="${t.text}"/>`);
+            }
+        });
+
+        lines.push('</svg>');
+        return lines.join('\n');
+    }
+
+    // PNG a partir del SVG (escala 2 para que se vea nitido al imprimir)
+    toPNG(scale = 2) {
+        const svg = this.toSVG();
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width * scale;
+                canvas.height = image.height * scale;
+                const ctx = canvas.getContext('2d');
+                ctx.scale(scale, scale);
+                ctx.drawImage(image, 0, 0);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("No se pudo generar el PNG.")), 'image/png');
+            };
+            image.onerror = () => reject(new Error("No se pudo dibujar el SVG."));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+    }
+
+    toDOT() {
+        const q = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        const lines = [
+            `digraph ${q(this.automaton.name)} {`,
+            '    rankdir=LR;',
+            '    node [shape=circle];',
+            '    __start [shape=point, style=invis];'
+        ];
+        // Los demas tipos declaran el tipo y sus opciones para poder importarse de nuevo
+        const { type } = this.automaton;
+        if (!['DFA', 'NFA'].includes(type)) lines.splice(1, 0, `    type=${q(type)};`);
+        if (type === 'PDA') lines.splice(2, 0, `    stackStart=${q(this.automaton.stackStart)};`, `    acceptance=${q(this.automaton.acceptance)};`);
+        if (type === 'TM') lines.splice(2, 0, `    blank=${q(this.automaton.blank)};`, `    maxSteps=${this.automaton.maxSteps};`);
+        this.automaton.states.forEach(state => {
+            const attrs = [`label=${q(state.label)}`, `pos="${state.x},${-state.y}"`];
+            if (state.isFinal) attrs.push('shape=doublecircle');
+            if (state.isReject) attrs.push('reject=true', 'color=red');
+            if (type === 'Moore') attrs.push(`output=${q(state.output || '')}`, `xlabel=${q(`/${state.output || EPSILON}`)}`);
+            if (this.highlight.states.includes(state)) attrs.push('style=filled', 'fillcolor="#cceeff"');
+            lines.push(`    ${q(state.id)} [${attrs.join(', ')}];`);
+        });
+        const start = this.automaton.states.find(s => s.isStart);
+        if (start) lines.push(`    __start -> ${q(start.id)};`);
+        // Las categorias propias se escriben como clases [..] para que el DOT sea autocontenido;
+        // los separadores de las etiquetas tambien van entre corchetes
+        const symbol = rule => {
+            if (this.automaton.symbolClasses[rule]) return formatCharClass(this.automaton.symbolClasses[rule]);
+            return [',', '|', '/'].includes(rule) ? `[${rule}]` : rule;
+        };
+        this.renderer.getEdges(this.automaton).forEach(edge => {
+            const attrs = [`label=${q(this.automaton.getEdgeLabel(edge.transitions, symbol))}`];
+            if (edge.transitions.some(tr => this.highlight.transitions.includes(tr))) attrs.push('color=red', 'penwidth=2');
+            lines.push(`    ${q(edge.from.id)} -> ${q(edge.to.id)} [${attrs.join(', ')}];`);
+        });
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    // Codigo para la biblioteca automata de TikZ (coordenadas en cm, y hacia arriba)
+    toTikZ() {
+        const ids = new Map(this.automaton.states.map((s, i) => [s.id, `q${i}`]));
+        const cm = value => (value / 100).toFixed(2);
+        const lines = [
+            `% ${latexEscape(this.automaton.name)}`,
+            '% Requiere \\usepackage{tikz} y \\usetikzlibrary{automata, arrows.meta}',
+            '\\begin{tikzpicture}[shorten >=1pt, auto, >={Stealth[round]}, every state/.style={minimum size=1cm}]'
+        ];
+        this.automaton.states.forEach(state => {
+            const options = ['state'];
+            if (state.isStart) options.push('initial');
+            if (state.isFinal) options.push('accepting');
+            if (this.highlight.states.includes(state)) options.push('fill=cyan!20');
+            lines.push(`    \\node[${options.join(', ')}] (${ids.get(state.id)}) at (${cm(state.x)}, ${cm(-state.y)}) {${latexEscape(state.label)}};`);
+        });
+
+        lines.push('    \\path[->]');
+        this.renderer.getEdges(this.automaton).forEach(edge => {
+            const options = [];
+            if (edge.geometry.loop) {
+                // Direccion mas cercana al hueco que eligio el Renderer (y hacia abajo en pantalla)
+                const directions = ['right', 'below', 'left', 'above'];
+                const quarter = Math.round(edge.geometry.angle / (Math.PI / 2));
+                options.push(`loop ${directions[((quarter % 4) + 4) % 4]}`);
+            } else if (edge.geometry.control.x !== (edge.from.x + edge.to.x) / 2 || edge.geometry.control.y !== (edge.from.y + edge.to.y) / 2) {
+                // Par de aristas opuestas: cada una se curva hacia su derecha, como en el lienzo
+                options.push('bend right=20');
+            }
+            if (edge.transitions.some(tr => this.highlight.transitions.includes(tr))) options.push('thick', 'magenta');
+            const label = latexEscape(this.automaton.getEdgeLabel(edge.transitions));
+            const target = edge.geometry.loop ? '()' : `(${ids.get(edge.to.id)})`;
+            lines.push(`        (${ids.get(edge.from.id)}) edge${options.length ? ` [${options.join(', ')}]` : ''} node {${label}} ${target}`);
+        });
+        lines.push('    ;');
+        lines.push('\\end{tikzpicture}');
+        return lines.join('\n');
+    }
+}
+
+function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function latexEscape(text) {
+    const special = { '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '$': '\\$', '&': '\\&', '#': '\\#', '_': '\\_', '%': '\\%', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}', 'ε': '$\\varepsilon$', '∅': '$\\emptyset$' };
+    return [...String(text)].map(c => special[c] || c).join('');
+}
+
+// --- Espacio de Trabajo (localStorage; los enlaces para compartir estan en core/share.js) ---
+const WORKSPACE_SLOTS_KEY = 'automata-visualizer:espacios';
+const WORKSPACE_AUTOSAVE_KEY = 'automata-visualizer:ultima-sesion';
+const MAX_SAVED_LOG = 300; // lineas del registro que se guardan por espacio
+
+class WorkspaceStore {
+    constructor() {
+        try {
+            this.storage = window.localStorage;
+        } catch (e) {
+            this.storage = null; // el navegador bloquea el almacenamiento (ej. modo privado estricto)
+        }
+    }
+
+    read(key) {
+        if (!this.storage) return null;
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    write(key, value) {
+        if (!this.storage) throw new Error("El navegador no permite guardar datos locales.");
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    getSlots() {
+        return this.read(WORKSPACE_SLOTS_KEY) || {};
+    }
+
+    listSlots() {
+        return Object.keys(this.getSlots()).sort((a, b) => a.localeCompare(b));
+    }
+
+    loadSlot(name) {
+        return this.getSlots()[name] || null;
+    }
+
+    saveSlot(name, workspace) {
+        const slots = this.getSlots();
+        slots[name] = workspace;
+        this.write(WORKSPACE_SLOTS_KEY, slots);
+    }
+
+    deleteSlot(name) {
+        const slots = this.getSlots();
+        delete slots[name];
+        this.write(WORKSPACE_SLOTS_KEY, slots);
+    }
+
+    // La sesion actual se guarda sola al salir de la pagina; si no se puede, se ignora
+    autosave(workspace) {
+        try {
+            this.write(WORKSPACE_AUTOSAVE_KEY, workspace);
+        } catch (e) { }
+    }
+
+    loadAutosave() {
+        return this.read(WORKSPACE_AUTOSAVE_KEY);
+    }
+}
+
+// --- Logica Principal de la App ---
+document.addEventListener('DOMContentLoaded', () => {
+    const renderer = new Renderer('dfa-canvas');
+    let currentAutomaton = new EmailAutomaton();
+    let currentModule = 'email';
+    const MODULES = ['email', 'modulo', 'nfa', 'parens', 'anbn', 'increment', 'palindrome', 'gray', 'moore3', 'custom'];
+    const LOG_TYPES = ['info', 'error', 'success', 'system', 'transition'];
+    let customAutomaton = new Automaton("Autómata Personalizado");
+
+    // Elementos UI
+    const grammarContent = document.getElementById('grammar-content');
+    const regexContent = document.getElementById('regex-content');
+    const deltaTable = document.getElementById('delta-table');
+    const deltaNewSymbol = document.getElementById('delta-new-symbol');
+    let deltaExtraSymbols = []; // columnas agregadas a mano que aun no tienen transiciones
+    const logContent = document.getElementById('log-content');
+    const inputString = document.getElementById('input-string');
+    const inputHighlight = document.getElementById('input-highlight');
+    const statusIndicator = document.getElementById('status-indicator');
+    const stackPanel = document.getElementById('stack-panel');
+    const stackList = document.getElementById('stack-list');
+    let shownStacks = []; // pilas dibujadas, para animar solo lo que se metio
+    const outputTape = document.getElementById('output-tape');
+    let shownOutput = ''; // salida dibujada, para animar solo lo que se escribio
+    const editToggle = document.getElementById('btn-edit-toggle');
+    const editorProps = document.getElementById('editor-props');
+
+    const tape = document.getElementById('tape');
+    const playButton = document.getElementById('btn-play');
+    const playback = new PlaybackController({
+        getDelay: () => 2100 - document.getElementById('speed-slider').value, // Invertir slider
+        onUpdate: controller => updatePlayback(controller),
+        onFinish: result => finishAnimation(result)
+    });
+
+    const editor = new GraphEditor(renderer, {
+        onChange: () => automatonChanged(),
+        onSelect: selection => renderEditorProps(selection)
+    });
+
+    // Vista del lienzo
+    document.getElementById('btn-zoom-in').addEventListener('click', () => renderer.zoom(1.25));
+    document.getElementById('btn-zoom-out').addEventListener('click', () => renderer.zoom(0.8));
+    document.getElementById('btn-fit').addEventListener('click', () => renderer.fit());
+
+    // Inicializar
+    renderer.setAutomaton(currentAutomaton);
+    renderer.startAnimation();
+    updateRepresentations();
+    renderTape('', 0, null);
+
+    // Escuchadores de Eventos
+    document.getElementById('nav-email').addEventListener('click', () => switchModule('email'));
+    document.getElementById('nav-modulo').addEventListener('click', () => switchModule('modulo'));
+    document.getElementById('nav-nfa').addEventListener('click', () => switchModule('nfa'));
+    document.getElementById('nav-parens').addEventListener('click', () => switchModule('parens'));
+    document.getElementById('nav-anbn').addEventListener('click', () => switchModule('anbn'));
+    document.getElementById('nav-increment').addEventListener('click', () => switchModule('increment'));
+    document.getElementById('nav-palindrome').addEventListener('click', () => switchModule('palindrome'));
+    document.getElementById('nav-gray').addEventListener('click', () => switchModule('gray'));
+    document.getElementById('nav-moore3').addEventListener('click', () => switchModule('moore3'));
+    document.getElementById('nav-custom').addEventListener('click', () => switchModule('custom'));
+
+    // Editor
+    editToggle.addEventListener('click', () => toggleEditing());
+    document.getElementById('btn-edit-new').addEventListener('click', () => {
+        customAutomaton = new Automaton("Autómata Personalizado");
+        switchModule('custom');
+        setEditing(true);
+        log('Nuevo autómata vacío. Haz clic en el lienzo para crear estados.', 'system');
+    });
+    document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.tool-btn[data-tool]').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            editor.setTool(btn.dataset.tool);
+        });
+    });
+    document.getElementById('edit-symbol').addEventListener('input', e => {
+        editor.symbol = e.target.value.trim();
+    });
+    const editType = document.getElementById('edit-type');
+    editType.addEventListener('change', () => changeType(editType.value));
+    const editAlphabet = document.getElementById('edit-alphabet');
+    editAlphabet.addEventListener('change', () => changeAlphabet(editAlphabet.value));
+    const pdaOptions = document.getElementById('pda-options');
+    const editAcceptance = document.getElementById('edit-acceptance');
+    editAcceptance.addEventListener('change', () => changeAcceptance(editAcceptance.value));
+    const editStackStart = document.getElementById('edit-stack-start');
+    editStackStart.addEventListener('change', () => changeStackStart(editStackStart.value));
+    const tmOptions = document.getElementById('tm-options');
+    const editBlank = document.getElementById('edit-blank');
+    editBlank.addEventListener('change', () => changeBlank(editBlank.value));
+    const editMaxSteps = document.getElementById('edit-max-steps');
+    editMaxSteps.addEventListener('change', () => changeMaxSteps(editMaxSteps.value));
+
+    // Transformaciones
+    const useMinimal = document.getElementById('btn-use-minimal');
+    let minimizationResult = null;
+    document.getElementById('btn-to-dfa').addEventListener('click', () => convertToDFA());
+    document.getElementById('btn-check-totality').addEventListener('click', () => checkTotality());
+    document.getElementById('btn-layout').addEventListener('click', () => applyLayout(document.getElementById('layout-mode').value));
+    document.getElementById('btn-complete').addEventListener('click', () => completeWithTrap());
+    document.getElementById('btn-minimize').addEventListener('click', () => minimizeCurrent());
+    useMinimal.addEventListener('click', () => {
+        if (!minimizationResult) return;
+        const { automaton, colors } = minimizationResult;
+        customAutomaton = automaton;
+        switchModule('custom');
+        renderer.stateColors = colors;
+    });
+
+    // Expresiones regulares
+    // Gramatica
+    document.getElementById('grammar-naming').addEventListener('change', () => updateGrammar());
+    document.getElementById('grammar-classes').addEventListener('change', () => updateGrammar());
+    document.getElementById('btn-grammar-build').addEventListener('click', () => buildFromGrammar());
+
+    document.getElementById('btn-regex-steps').addEventListener('click', () => animateElimination());
+    const regexInput = document.getElementById('regex-input');
+    document.getElementById('btn-regex-nfa').addEventListener('click', () => compileRegex(false));
+    document.getElementById('btn-regex-dfa').addEventListener('click', () => compileRegex(true));
+
+    // Automata de referencia (segundo operando) cargado desde un archivo JSON
+    const referenceFile = document.getElementById('reference-file');
+    let referenceAutomaton = null;
+    let referenceSelect = null; // select que pidio el archivo
+    document.querySelectorAll('.btn-reference-file').forEach(btn => btn.addEventListener('click', () => {
+        referenceSelect = document.getElementById(btn.dataset.target);
+        referenceFile.click();
+    }));
+    referenceFile.addEventListener('change', () => {
+        const file = referenceFile.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const automaton = parseDefinition(reader.result);
+            if (!automaton) return;
+            referenceAutomaton = automaton;
+            document.querySelectorAll('.reference-target option[value="file"]').forEach(option => {
+                option.disabled = false;
+                option.textContent = `Archivo: ${automaton.name}`;
+            });
+            if (referenceSelect) referenceSelect.value = 'file';
+            log(`Referencia "${automaton.name}" cargada desde ${file.name}.`, 'system');
+        };
+        reader.readAsText(file);
+        referenceFile.value = '';
+    });
+
+    // Comparar automatas
+    const compareTarget = document.getElementById('compare-target');
+    const compareResult = document.getElementById('compare-result');
+    const useCounterexample = document.getElementById('btn-compare-use');
+    let counterexample = null;
+    document.getElementById('btn-compare').addEventListener('click', () => compareAutomata());
+
+    // Generador de divisibilidad
+    document.getElementById('btn-generate-divisibility').addEventListener('click', () => generateDivisibility());
+
+    // Operaciones con lenguajes
+    const opsTarget = document.getElementById('ops-target');
+    document.querySelectorAll('.tool-btn[data-op]').forEach(btn => {
+        btn.addEventListener('click', () => applyOperation(btn.dataset.op));
+    });
+    useCounterexample.addEventListener('click', () => {
+        if (counterexample === null) return;
+        inputString.value = counterexample;
+        inputString.dispatchEvent(new Event('input'));
+        validateInput();
+    });
+
+    // Pruebas por lotes
+    const batchText = document.getElementById('batch-text');
+    const batchFile = document.getElementById('batch-file');
+    const batchResults = document.getElementById('batch-results');
+    let lastBatch = null;
+    document.getElementById('btn-batch-run').addEventListener('click', () => runBatch());
+    document.getElementById('btn-batch-file').addEventListener('click', () => batchFile.click());
+    document.getElementById('btn-batch-csv').addEventListener('click', () => exportBatch());
+    document.getElementById('btn-batch-close').addEventListener('click', () => batchResults.hidden = true);
+    batchFile.addEventListener('change', () => {
+        const file = batchFile.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                batchText.value = /\.csv$/i.test(file.name) ? BatchRunner.fromCSV(reader.result) : reader.result;
+            } catch (e) {
+                log(`No se pudo cargar ${file.name}: ${e.message}`, 'error');
+                return;
+            }
+            log(`Lote cargado desde ${file.name}.`, 'system');
+        };
+        reader.readAsText(file);
+        batchFile.value = '';
+    });
+
+    // Explorar lenguaje
+    const langMaxLength = document.getElementById('lang-max-length');
+    const langSummary = document.getElementById('lang-summary');
+    const langOutput = document.getElementById('lang-output');
+    document.getElementById('btn-lang-list').addEventListener('click', () => listLanguage());
+    document.getElementById('btn-lang-count').addEventListener('click', () => countLanguage());
+    document.getElementById('btn-lang-accepted').addEventListener('click', () => sampleLanguage(true));
+    document.getElementById('btn-lang-rejected').addEventListener('click', () => sampleLanguage(false));
+
+    // Importar / Exportar
+    const jsonText = document.getElementById('json-text');
+    const jsonFile = document.getElementById('json-file');
+    document.getElementById('btn-json-export').addEventListener('click', () => exportDefinition());
+    document.getElementById('btn-json-show').addEventListener('click', () => {
+        jsonText.value = JSON.stringify(currentAutomaton.toJSON(), null, 2);
+        log(`Definición JSON de ${currentAutomaton.name} lista para copiar.`, 'system');
+    });
+    document.getElementById('btn-json-load').addEventListener('click', () => importDefinition(jsonText.value));
+    document.getElementById('btn-json-file').addEventListener('click', () => jsonFile.click());
+    jsonFile.addEventListener('change', () => {
+        const file = jsonFile.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            jsonText.value = reader.result;
+            importDefinition(reader.result);
+        };
+        reader.readAsText(file);
+        jsonFile.value = ''; // permitir volver a cargar el mismo archivo
+    });
+
+    // Tabla δ: nueva columna
+    deltaNewSymbol.addEventListener('keydown', e => {
+        if (e.key === 'Enter') addDeltaColumn(deltaNewSymbol.value.trim());
+    });
+
+    // Exportar diagrama
+    const diagramText = document.getElementById('diagram-text');
+    const dotFile = document.getElementById('dot-file');
+    document.querySelectorAll('[data-diagram]').forEach(btn => {
+        btn.addEventListener('click', () => exportDiagram(btn.dataset.diagram));
+    });
+    document.getElementById('btn-dot-show').addEventListener('click', () => {
+        diagramText.value = createExporter().toDOT();
+        log(`Código DOT de ${currentAutomaton.name} listo para copiar.`, 'system');
+    });
+    document.getElementById('btn-tikz-show').addEventListener('click', () => {
+        diagramText.value = createExporter().toTikZ();
+        log(`Código TikZ de ${currentAutomaton.name} listo para copiar.`, 'system');
+    });
+    document.getElementById('btn-dot-load').addEventListener('click', () => importDot(diagramText.value));
+    document.getElementById('btn-dot-file').addEventListener('click', () => dotFile.click());
+    dotFile.addEventListener('change', () => {
+        const file = dotFile.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            diagramText.value = reader.result;
+            importDot(reader.result);
+        };
+        reader.readAsText(file);
+        dotFile.value = '';
+    });
+
+    // Espacio de trabajo
+    const workspaceStore = new WorkspaceStore();
+    const speedSlider = document.getElementById('speed-slider');
+    const slotName = document.getElementById('slot-name');
+    const slotList = document.getElementById('slot-list');
+    const shareLink = document.getElementById('share-link');
+    document.getElementById('btn-slot-save').addEventListener('click', () => saveWorkspace(slotName.value.trim()));
+    document.getElementById('btn-slot-load').addEventListener('click', () => openWorkspace(slotList.value));
+    document.getElementById('btn-slot-delete').addEventListener('click', () => deleteWorkspace(slotList.value));
+    slotList.addEventListener('change', () => slotName.value = slotList.value);
+    document.getElementById('btn-share').addEventListener('click', () => shareWorkspace());
+    shareLink.addEventListener('focus', () => shareLink.select());
+    window.addEventListener('hashchange', () => openSharedLink());
+    window.addEventListener('beforeunload', () => workspaceStore.autosave(captureWorkspace()));
+    renderSlotList();
+
+    document.getElementById('btn-validate').addEventListener('click', () => validateInput());
+    document.getElementById('btn-animate').addEventListener('click', () => animateInput());
+    document.getElementById('btn-reset').addEventListener('click', () => reset());
+
+    // Reproduccion
+    playButton.addEventListener('click', () => {
+        if (playback.status === 'playing') {
+            playback.pause();
+        } else if (playback.automaton || loadPlayback()) {
+            playback.play();
+        }
+    });
+    document.getElementById('btn-step-back').addEventListener('click', () => playback.stepBack());
+    document.getElementById('btn-step-forward').addEventListener('click', () => {
+        if (playback.automaton || loadPlayback()) {
+            playback.pause();
+            playback.stepForward();
+        }
+    });
+    document.getElementById('btn-seek-start').addEventListener('click', () => {
+        if (playback.automaton || loadPlayback()) playback.seek(0);
+    });
+    document.getElementById('btn-seek-end').addEventListener('click', () => {
+        if (playback.automaton || loadPlayback()) playback.seek(Infinity);
+    });
+    tape.addEventListener('click', e => {
+        const cell = e.target.closest('.tape-cell');
+        if (!cell || cell.dataset.index === undefined) return;
+        if (playback.automaton || loadPlayback()) playback.seek(Number(cell.dataset.index));
+    });
+    inputString.addEventListener('input', () => {
+        // Cambiar la cadena cancela la reproduccion
+        playback.stop();
+        updatePlayback(playback);
+        renderTape(inputString.value, 0, null);
+    });
+    inputString.addEventListener('scroll', () => inputHighlight.scrollLeft = inputString.scrollLeft);
+    document.getElementById('clear-log').addEventListener('click', () => {
+        logContent.innerHTML = '';
+        log('Registro borrado.', 'system');
+    });
+
+    // Mensajes del motor de automatas al registro
+    Automaton.onLog = (message, type) => log(message, type);
+
+    // Al abrir la pagina: primero un enlace compartido, si no la ultima sesion
+    if (!openSharedLink()) restoreLastSession();
+
+    function createModule(module) {
+        if (module === 'email') return new EmailAutomaton();
+        if (module === 'nfa') return new DecimalNFA();
+        if (module === 'parens') return new BalancedParensPDA();
+        if (module === 'anbn') return new AnBnPDA();
+        if (module === 'increment') return new BinaryIncrementTM();
+        if (module === 'palindrome') return new PalindromeTM();
+        if (module === 'gray') return new GrayCodeMealy();
+        if (module === 'moore3') return new Modulo3Moore();
+        if (module === 'custom') return customAutomaton;
+        return new Modulo3Automaton();
+    }
+
+    function switchModule(module) {
+        document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
+        document.getElementById(`nav-${module}`).classList.add('active');
+
+        // Solo el automata personalizado se puede editar
+        if (module !== 'custom') setEditing(false);
+        playback.stop();
+
+        currentModule = module;
+        currentAutomaton = createModule(module);
+        deltaExtraSymbols = [];
+        renderer.setAutomaton(currentAutomaton);
+        if (editor.enabled) editor.enable(currentAutomaton);
+        editType.value = currentAutomaton.type;
+        renderAlphabet();
+        renderPdaOptions();
+        renderTmOptions();
+        updateRepresentations();
+        reset();
+        log(`Cambiado a ${currentAutomaton.name}`, 'system');
+    }
+
+    function toggleEditing() {
+        if (!editor.enabled && currentModule !== 'custom') {
+            // Editar un ejercicio predefinido trabaja sobre una copia
+            customAutomaton = currentAutomaton.clone(`Copia de ${currentAutomaton.name}`);
+            switchModule('custom');
+        }
+        setEditing(!editor.enabled);
+    }
+
+    function setEditing(enabled) {
+        if (enabled === editor.enabled) return;
+        if (enabled) {
+            editor.enable(currentAutomaton);
+            log('Modo edición activado.', 'system');
+        } else {
+            editor.disable();
+            log('Modo edición desactivado.', 'system');
+        }
+        editToggle.innerText = enabled ? "Terminar Edición" : "Activar Edición";
+        editToggle.classList.toggle('active', enabled);
+    }
+
+    function changeType(type) {
+        if (type === currentAutomaton.type) return;
+
+        const name = currentModule === 'custom' ? currentAutomaton.name : `Copia de ${currentAutomaton.name}`;
+        let source = currentAutomaton;
+        if (source.type === 'TM') {
+            log("Una máquina de Turing escribe y se mueve en la cinta; no se puede cambiar a otro tipo.", 'error');
+            editType.value = currentAutomaton.type;
+            return;
+        }
+        if (source.type === 'PDA') {
+            // Solo se puede dejar de ser PDA si la pila no influye en el resultado
+            if (source.usesStack()) {
+                log("El autómata usa la pila (pop/push o aceptación por pila vacía); no se puede cambiar a un autómata finito.", 'error');
+                editType.value = currentAutomaton.type;
+                return;
+            }
+            source = source.toNFA(name);
+        }
+
+        let note = null; // aviso de lo que cambia con la conversion
+        if (type === 'Mealy' && source.type === 'Moore') {
+            customAutomaton = source.toMealy(name);
+            note = "La salida del estado inicial se pierde: una máquina de Mealy no escribe nada antes de leer.";
+        } else if (type === 'Moore' && source.type === 'Mealy') {
+            customAutomaton = source.toMoore(name);
+            note = `Cada estado se copia según la salida con la que se llega: ${source.states.length} → ${customAutomaton.states.length} estados.`;
+        } else {
+            if (source instanceof Transducer) {
+                // Los demas tipos no tienen salida
+                source = Transducer.copyFrom(Automaton, source, name);
+                note = "Se descartaron las salidas de la máquina.";
+            }
+            if (type === 'PDA') {
+                customAutomaton = PushdownAutomaton.fromAutomaton(source, name);
+            } else if (type === 'NFA') {
+                customAutomaton = source.toNFA(name);
+            } else if (!source.constructor.deterministic && !source.isDeterministic()) {
+                log("El autómata tiene transiciones ε o no deterministas. Usa 'Convertir a DFA' en Transformaciones.", 'error');
+                editType.value = currentAutomaton.type;
+                return;
+            } else if (type === 'TM') {
+                customAutomaton = TuringMachine.fromAutomaton(source, name);
+            } else if (type === 'Mealy') {
+                customAutomaton = MealyMachine.fromAutomaton(source, name);
+            } else if (type === 'Moore') {
+                customAutomaton = MooreMachine.fromAutomaton(source, name);
+            } else {
+                customAutomaton = Automaton.prototype.clone.call(source);
+            }
+        }
+        const wasEditing = editor.enabled;
+        switchModule('custom');
+        setEditing(wasEditing);
+        log(`Tipo cambiado a ${type}.`, 'system');
+        if (note) log(note, 'system');
+    }
+
+    function generateDivisibility() {
+        const read = id => Number(document.getElementById(id).value);
+        try {
+            customAutomaton = new DivisibilityAutomaton(read('gen-divisor'), read('gen-base'), read('gen-remainder'));
+        } catch (e) {
+            log(`No se pudo generar: ${e.message}`, 'error');
+            return;
+        }
+        switchModule('custom');
+        log(`Generado ${customAutomaton.name}: ${customAutomaton.states.length} estados, Σ = ${formatCharClass(customAutomaton.alphabet)}.`, 'success');
+    }
+
+    function applyLayout(mode) {
+        const layouts = { force: forceLayout, layered: layeredLayout, circle: circularLayout };
+        layouts[mode](currentAutomaton);
+        const names = { force: 'con fuerzas', layered: 'por capas', circle: 'en círculo' };
+        log(`Estados de ${currentAutomaton.name} acomodados ${names[mode]}.`, 'system');
+        renderer.fit();
+    }
+
+    // Las herramientas de lenguajes regulares solo aplican a DFA y NFA
+    function isFiniteAutomaton(automaton) {
+        return ['DFA', 'NFA'].includes(automaton.type);
+    }
+
+    // Tipos cuyas transiciones llevan algo mas que el destino (pila, cinta o salida)
+    function hasTransitionActions(automaton) {
+        return ['PDA', 'TM', 'Mealy'].includes(automaton.type);
+    }
+
+    function requireFinite(action, automaton = currentAutomaton) {
+        if (isFiniteAutomaton(automaton)) return true;
+        log(`${action} solo aplica a autómatas finitos (DFA o NFA); ${automaton.name} es ${automaton.constructor.typeLabel}.`, 'error');
+        return false;
+    }
+
+    function renderAlphabet() {
+        editAlphabet.value = currentAutomaton.alphabet ? formatCharClass(currentAutomaton.alphabet).slice(1, -1) : '';
+        editAlphabet.disabled = currentModule !== 'custom';
+    }
+
+    function changeAlphabet(text) {
+        if (text.trim() === '') {
+            currentAutomaton.alphabet = null;
+            log("Alfabeto sin declarar: se usan los símbolos de las transiciones.", 'system');
+        } else {
+            currentAutomaton.alphabet = parseCharList(text);
+            log(`Alfabeto Σ = ${formatCharClass(currentAutomaton.alphabet)}`, 'system');
+        }
+        renderAlphabet();
+        playback.stop();
+        currentAutomaton.clearSimulation();
+        updateRepresentations();
+    }
+
+    // Modo de aceptacion y simbolo inicial de la pila (solo PDA)
+    function renderPdaOptions() {
+        const pda = currentAutomaton.type === 'PDA';
+        pdaOptions.hidden = !pda;
+        if (!pda) return;
+        editAcceptance.value = currentAutomaton.acceptance;
+        editStackStart.value = currentAutomaton.stackStart;
+        editAcceptance.disabled = editStackStart.disabled = currentModule !== 'custom';
+    }
+
+    function changeAcceptance(mode) {
+        currentAutomaton.acceptance = mode;
+        log(`${currentAutomaton.name} acepta por ${mode === 'empty' ? 'pila vacía' : 'estado final'}.`, 'system');
+        automatonChanged();
+    }
+
+    function changeStackStart(text) {
+        const symbol = text.trim();
+        if (symbol.length !== 1 || symbol === EPSILON) {
+            log("El símbolo inicial de la pila debe ser un solo carácter.", 'error');
+            renderPdaOptions();
+            return;
+        }
+        currentAutomaton.stackStart = symbol;
+        log(`La pila empieza con '${symbol}'.`, 'system');
+        automatonChanged();
+    }
+
+    // Simbolo blanco y limite de pasos (solo maquinas de Turing)
+    function renderTmOptions() {
+        const tm = currentAutomaton.type === 'TM';
+        tmOptions.hidden = !tm;
+        if (!tm) return;
+        editBlank.value = currentAutomaton.blank;
+        editMaxSteps.value = currentAutomaton.maxSteps;
+        editBlank.disabled = editMaxSteps.disabled = currentModule !== 'custom';
+    }
+
+    function changeBlank(text) {
+        const symbol = text.trim();
+        if (symbol.length !== 1 || symbol === EPSILON) {
+            log("El símbolo blanco debe ser un solo carácter.", 'error');
+            renderTmOptions();
+            return;
+        }
+        currentAutomaton.blank = symbol;
+        log(`Las celdas vacías de la cinta tienen '${symbol}'.`, 'system');
+        automatonChanged();
+    }
+
+    function changeMaxSteps(text) {
+        const steps = Number(text);
+        if (!Number.isInteger(steps) || steps < 1 || steps > MAX_STEPS_LIMIT) {
+            log(`El límite de pasos debe ser un entero entre 1 y ${MAX_STEPS_LIMIT}.`, 'error');
+            renderTmOptions();
+            return;
+        }
+        currentAutomaton.maxSteps = steps;
+        log(`La máquina se detiene después de ${steps} pasos si no termina antes.`, 'system');
+        automatonChanged();
+    }
+
+    function checkTotality() {
+        if (!requireFinite('Revisar el alfabeto')) return;
+        const automaton = currentAutomaton;
+        const alphabet = automaton.getAlphabet();
+        const deterministic = automaton.type === 'DFA';
+        const label = id => automaton.getState(id).label;
+        log(`Alfabeto de ${automaton.name}: Σ = ${formatCharClass(alphabet)} (${automaton.alphabet ? 'declarado' : 'tomado de las transiciones'}).`, 'system');
+
+        let incomplete = 0;
+        let conflicting = 0;
+        automaton.checkTotality().forEach(({ state, missing, conflicts, epsilon, outside }) => {
+            if (missing.length) {
+                incomplete++;
+                log(`${state.label}: sin transición para ${formatCharClass(missing)}`, 'transition');
+            }
+            conflicts.forEach(({ chars, targets }) => {
+                log(`${state.label}: ${formatCharClass(chars)} lleva a ${targets.map(label).join(' y ')}`, deterministic ? 'error' : 'transition');
+            });
+            if (conflicts.length) conflicting++;
+            if (epsilon.length) log(`${state.label}: transiciones ε hacia ${epsilon.map(label).join(', ')}`, 'transition');
+            if (outside.length) log(`${state.label}: usa ${formatCharClass(outside)}, que no pertenece al alfabeto`, 'error');
+        });
+
+        if (!incomplete && !conflicting) {
+            log(`${automaton.name} es total${deterministic ? ' y determinista' : ''}: cada estado tiene exactamente una transición por símbolo.`, 'success');
+            return;
+        }
+        if (incomplete) {
+            log(`${incomplete} estado${incomplete > 1 ? 's' : ''} incompleto${incomplete > 1 ? 's' : ''}: las cadenas que usan esos símbolos se rechazan sin llegar al final. Usa 'Completar con Trampa'.`, 'system');
+        }
+        if (conflicting) {
+            log(`${conflicting} estado${conflicting > 1 ? 's' : ''} con conflictos (no determinismo)${deterministic ? '; un DFA no los permite' : ''}.`, deterministic ? 'error' : 'system');
+        }
+    }
+
+    function completeWithTrap() {
+        if (!requireFinite('Completar con trampa')) return;
+        if (currentAutomaton.type === 'NFA') log("Primero se convierte el NFA a DFA.", 'system');
+        if (asDFA(currentAutomaton).checkTotality().every(r => !r.missing.length)) {
+            log(`${currentAutomaton.name} ya es total: no hace falta un estado trampa.`, 'success');
+            return;
+        }
+        customAutomaton = currentAutomaton.complete(`${currentAutomaton.name} (completo)`);
+        switchModule('custom');
+        log(`Se agregó el estado 'Trampa': recibe todas las transiciones que faltaban y no tiene salida.`, 'success');
+    }
+
+    function convertToDFA() {
+        if (!requireFinite('La construcción de subconjuntos')) return;
+        if (currentAutomaton.type !== 'NFA') {
+            log(`${currentAutomaton.name} ya es un DFA.`, 'system');
+            return;
+        }
+        log(`Construcción de subconjuntos para ${currentAutomaton.name}:`, 'system');
+        customAutomaton = currentAutomaton.toDFA();
+        switchModule('custom');
+    }
+
+    async function minimizeCurrent() {
+        if (!requireFinite('La minimización')) return;
+        let source = currentAutomaton;
+        if (source.type === 'NFA') {
+            log("Primero se convierte el NFA a DFA:", 'system');
+            source = source.toDFA();
+            customAutomaton = source;
+            switchModule('custom');
+        }
+        if (!source.states.some(s => s.isStart)) {
+            log("No se puede minimizar: el autómata no tiene estado inicial.", 'error');
+            return;
+        }
+
+        const result = source.minimize();
+        const label = id => id === result.dead ? result.dead : source.getState(id).label;
+        const speed = 2100 - document.getElementById('speed-slider').value;
+
+        log(`Minimización de ${source.name}:`, 'system');
+        if (result.unreachable.length) {
+            log(`Estados inalcanzables eliminados: ${result.unreachable.map(s => s.label).join(', ')}`, 'system');
+        }
+
+        // Mostrar cada ronda de refinamiento coloreando los bloques
+        for (let i = 0; i < result.rounds.length; i++) {
+            const round = result.rounds[i];
+            const colors = new Map();
+            round.forEach((block, b) => block.forEach(id => colors.set(id, GROUP_COLORS[b % GROUP_COLORS.length])));
+            renderer.stateColors = colors;
+            const blocks = round.map(block => `{${block.map(label).join(', ')}}`).join(' | ');
+            log(`Ronda ${i}: ${blocks}`, 'transition');
+            if (i < result.rounds.length - 1) await new Promise(r => setTimeout(r, speed));
+            if (currentAutomaton !== source) return; // el usuario cambio de modulo
+        }
+
+        // Los estados del DFA minimo conservan el color de su bloque
+        const minimalColors = new Map();
+        renderer.stateColors.forEach((color, id) => {
+            if (result.stateMap[id]) minimalColors.set(result.stateMap[id], color);
+        });
+
+        const removed = source.states.length - result.automaton.states.length;
+        log(`DFA mínimo: ${result.automaton.states.length} estados (${removed} menos que el original).`, removed > 0 ? 'success' : 'system');
+        if (result.rounds[result.rounds.length - 1].some(block => block.includes(result.dead) && block.length > 1)) {
+            log("Los estados agrupados con ∅ no pueden llegar a un estado final y se eliminaron.", 'system');
+        }
+        minimizationResult = { automaton: result.automaton, colors: minimalColors };
+        useMinimal.disabled = false;
+    }
+
+    function compileRegex(toDFA) {
+        const pattern = regexInput.value;
+        let automaton;
+        try {
+            automaton = new RegexCompiler(pattern).toNFA();
+        } catch (e) {
+            log(`Expresión regular inválida: ${e.message}`, 'error');
+            return;
+        }
+        log(`Construcción de Thompson para /${pattern}/: ${automaton.states.length} estados.`, 'system');
+
+        if (toDFA) {
+            const dfa = automaton.toDFA();
+            automaton = dfa.minimize(`DFA de /${pattern}/`).automaton;
+            automaton.relabelStates(); // los subconjuntos serian etiquetas ilegibles
+            log(`DFA mínimo: ${automaton.states.length} estados.`, 'system');
+        }
+        customAutomaton = automaton;
+        switchModule('custom');
+    }
+
+    function renderEditorProps(selection) {
+        editorProps.innerHTML = '';
+
+        if (!selection) {
+            editorProps.innerText = editor.enabled
+                ? "Selecciona un estado o una transición."
+                : "Activa la edición para modificar el autómata.";
+            return;
+        }
+
+        if (selection.type === 'state') {
+            const state = selection.item;
+
+            const labelInput = createPropInput('Etiqueta', state.label);
+            labelInput.addEventListener('input', () => {
+                state.label = labelInput.value;
+                editor.onChange();
+            });
+
+            const startCheck = createPropCheckbox('Inicial', state.isStart);
+            startCheck.addEventListener('change', () => {
+                if (startCheck.checked) {
+                    currentAutomaton.setStart(state.id);
+                } else {
+                    state.isStart = false;
+                }
+                editor.onChange();
+            });
+
+            const finalCheck = createPropCheckbox('Final', state.isFinal);
+            finalCheck.addEventListener('change', () => {
+                state.isFinal = finalCheck.checked;
+                if (state.isFinal) delete state.isReject;
+                editor.onChange();
+            });
+
+            if (currentAutomaton.type === 'TM') {
+                // Al entrar a un estado de rechazo la maquina se detiene sin aceptar
+                const rejectCheck = createPropCheckbox('Rechazo', !!state.isReject);
+                rejectCheck.addEventListener('change', () => {
+                    if (rejectCheck.checked) {
+                        state.isReject = true;
+                        state.isFinal = false;
+                    } else {
+                        delete state.isReject;
+                    }
+                    editor.onChange();
+                });
+            }
+
+            if (currentAutomaton.type === 'Moore') createOutputInput(state);
+        } else {
+            const transition = selection.item;
+            const symbolInput = createPropInput('Símbolo', transition.symbol);
+            symbolInput.setAttribute('list', 'symbol-classes');
+            symbolInput.addEventListener('change', () => {
+                const symbol = symbolInput.value.trim();
+                if (!currentAutomaton.isSymbolRule(symbol)) {
+                    log(`Símbolo inválido '${symbol}': usa un solo carácter o ${currentAutomaton.getSymbolClassNames().join(', ')}.`, 'error');
+                    symbolInput.value = transition.symbol;
+                    return;
+                }
+                transition.symbol = symbol;
+                const added = currentAutomaton.extendAlphabet(symbol);
+                if (added.length) log(`Agregado al alfabeto: ${formatCharClass(added)}`, 'system');
+                editor.onChange();
+            });
+
+            if (currentAutomaton.type === 'PDA') {
+                const popInput = createPropInput('Saca (pop)', transition.pop);
+                popInput.title = `Símbolo que debe estar en el tope; ${EPSILON} para no sacar nada`;
+                popInput.addEventListener('change', () => {
+                    const pop = popInput.value.trim() || EPSILON;
+                    if (pop.length !== 1) {
+                        log(`Símbolo de pila inválido '${pop}': usa un solo carácter o ${EPSILON}.`, 'error');
+                        popInput.value = transition.pop;
+                        return;
+                    }
+                    transition.pop = pop;
+                    editor.onChange();
+                });
+                const pushInput = createPropInput('Mete (push)', transition.push || EPSILON);
+                pushInput.title = `Símbolos a meter, el primero queda en el tope; ${EPSILON} para no meter nada`;
+                pushInput.addEventListener('change', () => {
+                    const push = pushInput.value.trim();
+                    transition.push = push === EPSILON ? '' : push.replace(new RegExp(EPSILON, 'g'), '');
+                    editor.onChange();
+                });
+            }
+
+            if (currentAutomaton.type === 'TM') {
+                const writeInput = createPropInput('Escribe', transition.write !== undefined ? transition.write : '');
+                writeInput.title = 'Símbolo que se escribe en la celda; vacío para dejar el que se leyó';
+                writeInput.addEventListener('change', () => {
+                    const write = writeInput.value.trim();
+                    if (write.length > 1 || write === EPSILON) {
+                        log(`Símbolo de cinta inválido '${write}': usa un solo carácter.`, 'error');
+                        writeInput.value = transition.write !== undefined ? transition.write : '';
+                        return;
+                    }
+                    if (write) transition.write = write;
+                    else delete transition.write;
+                    editor.onChange();
+                });
+                const moveInput = createPropInput('Mueve', transition.move);
+                moveInput.title = 'L (izquierda), R (derecha) o S (quedarse)';
+                moveInput.addEventListener('change', () => {
+                    const move = moveInput.value.trim().toUpperCase();
+                    if (!MOVES.hasOwnProperty(move)) {
+                        log(`Movimiento inválido '${moveInput.value}': usa L, R o S.`, 'error');
+                        moveInput.value = transition.move;
+                        return;
+                    }
+                    transition.move = move;
+                    moveInput.value = move;
+                    editor.onChange();
+                });
+            }
+
+            if (currentAutomaton.type === 'Mealy') createOutputInput(transition);
+        }
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'tool-btn danger';
+        deleteBtn.innerText = 'Eliminar';
+        deleteBtn.addEventListener('click', () => editor.deleteItem(selection.item, selection.type));
+        editorProps.appendChild(deleteBtn);
+    }
+
+    // Salida de un estado (Moore) o de una transicion (Mealy)
+    function createOutputInput(item) {
+        const outputInput = createPropInput('Salida', item.output || '');
+        outputInput.title = `Lo que se escribe en la cinta de salida; vacío o ${EPSILON} para no escribir nada`;
+        outputInput.addEventListener('change', () => {
+            item.output = outputInput.value.trim().replace(new RegExp(EPSILON, 'g'), '');
+            outputInput.value = item.output;
+            editor.onChange();
+        });
+    }
+
+    function createPropInput(labelText, value) {
+        const label = document.createElement('label');
+        label.className = 'prop-row';
+        label.innerText = labelText;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        label.appendChild(input);
+        editorProps.appendChild(label);
+        return input;
+    }
+
+    function createPropCheckbox(labelText, checked) {
+        const label = document.createElement('label');
+        label.className = 'prop-row';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(labelText));
+        editorProps.appendChild(label);
+        return input;
+    }
+
+    // Lee una definicion JSON; regresa null (y registra los errores) si no es valida
+    function parseDefinition(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            log(`No se pudo leer el JSON: ${e.message}`, 'error');
+            return null;
+        }
+
+        return loadDefinition(data);
+    }
+
+    // Construye el automata de una definicion ya leida; null (y los errores al registro) si no es valida
+    function loadDefinition(data) {
+        try {
+            return Automaton.fromJSON(data);
+        } catch (e) {
+            log(e.message, 'error');
+            (e.errors || []).forEach(err => log(`  ${err}`, 'error'));
+            return null;
+        }
+    }
+
+    function importDefinition(text) {
+        const automaton = parseDefinition(text);
+        if (!automaton) return;
+        customAutomaton = automaton;
+        switchModule('custom');
+        log(`Autómata "${customAutomaton.name}" importado (${customAutomaton.states.length} estados, ${customAutomaton.transitions.length} transiciones).`, 'success');
+    }
+
+    // --- Explorar lenguaje ---
+
+    function getMaxLength() {
+        const value = Number(langMaxLength.value);
+        if (!Number.isInteger(value) || value < 0 || value > 30) {
+            log("La longitud máxima debe ser un entero entre 0 y 30.", 'error');
+            return null;
+        }
+        return value;
+    }
+
+    function createExplorer() {
+        if (!requireFinite('Explorar el lenguaje')) return null;
+        if (!currentAutomaton.states.some(s => s.isStart)) {
+            log("El autómata no tiene estado inicial.", 'error');
+            return null;
+        }
+        return new LanguageExplorer(currentAutomaton);
+    }
+
+    function showString(text) {
+        return text === '' ? EPSILON : `"${text}"`;
+    }
+
+    // Vacio, finito o infinito, y la cadena mas corta
+    function describeLanguage(explorer) {
+        if (explorer.isEmpty()) return "El lenguaje es vacío: no acepta ninguna cadena.";
+        const size = explorer.isInfinite() ? 'infinito' : 'finito';
+        return `Lenguaje ${size}; la cadena aceptada más corta es ${showString(explorer.shortest())}.`;
+    }
+
+    // Pone una cadena en la entrada, lista para validar o animar
+    function useString(text) {
+        inputString.value = text;
+        inputString.dispatchEvent(new Event('input'));
+    }
+
+    function listLanguage() {
+        const maxLength = getMaxLength();
+        if (maxLength === null) return;
+        const explorer = createExplorer();
+        if (!explorer) return;
+        const { strings, total, truncated } = explorer.enumerate(maxLength, 50);
+        const summary = describeLanguage(explorer);
+        langSummary.innerText = `${summary} Con longitud ≤ ${maxLength} acepta ${total}` +
+            (truncated ? `; se muestran las primeras ${strings.length}.` : '.');
+
+        langOutput.innerHTML = '';
+        strings.forEach(text => {
+            const chip = document.createElement('button');
+            chip.className = 'tool-btn';
+            chip.innerText = text === '' ? EPSILON : text;
+            chip.title = 'Usar como cadena de entrada';
+            chip.addEventListener('click', () => useString(text));
+            langOutput.appendChild(chip);
+        });
+        log(`${currentAutomaton.name}: ${summary}`, 'system');
+        log(`Cadenas aceptadas de longitud ≤ ${maxLength} en orden shortlex: ${strings.length} de ${total}.`, 'info');
+    }
+
+    function countLanguage() {
+        const maxLength = getMaxLength();
+        if (maxLength === null) return;
+        const explorer = createExplorer();
+        if (!explorer) return;
+        const counts = explorer.countByLength(maxLength);
+        langSummary.innerText = describeLanguage(explorer);
+
+        const table = document.createElement('table');
+        table.className = 'lang-counts';
+        counts.forEach(({ length, count }) => {
+            const row = table.insertRow();
+            row.insertCell().innerText = `Longitud ${length}`;
+            row.insertCell().innerText = count.toString();
+        });
+        langOutput.innerHTML = '';
+        langOutput.appendChild(table);
+
+        const total = counts.reduce((sum, { count }) => sum + count, 0n);
+        log(`${currentAutomaton.name}: ${langSummary.innerText}`, 'system');
+        log(`Cadenas aceptadas por longitud: ${counts.map(({ length, count }) => `${length}→${count}`).join(', ')} (total ${total}).`, 'info');
+    }
+
+    // Muestra al azar: aceptada, o rechazada "casi valida" (una aceptada con un cambio)
+    function sampleLanguage(accepted) {
+        const maxLength = getMaxLength();
+        if (maxLength === null) return;
+        const explorer = createExplorer();
+        if (!explorer) return;
+        const text = accepted ? explorer.randomAccepted(maxLength) : explorer.randomRejected(maxLength);
+        if (text === null) {
+            log(accepted
+                ? `No hay cadenas aceptadas de longitud ≤ ${maxLength}.`
+                : `Todas las cadenas de longitud ≤ ${maxLength} son aceptadas.`, 'error');
+            return;
+        }
+        useString(text);
+        log(`Muestra ${accepted ? 'aceptada' : 'rechazada'} al azar: ${showString(text)}. Usa Validar o Animar para recorrerla.`, 'system');
+    }
+
+    // --- Espacio de trabajo ---
+
+    // Lo que se guarda: modulo, automata personalizado (y sus parametros si es generado), cadena,
+    // velocidad y registro
+    function captureWorkspace() {
+        return {
+            module: currentModule,
+            custom: customAutomaton.states.length ? customAutomaton.toJSON() : null,
+            generator: customAutomaton instanceof DivisibilityAutomaton ? customAutomaton.getParameters() : null,
+            input: inputString.value,
+            speed: Number(speedSlider.value),
+            log: [...logContent.children].slice(-MAX_SAVED_LOG).map(line => ({
+                message: line.textContent.replace(/^> /, ''),
+                type: line.className.replace('log-line', '').trim()
+            })),
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    // Aplica un espacio guardado o un enlace compartido; false si su automata no es valido
+    function applyWorkspace(workspace) {
+        let custom = null;
+        if (workspace.custom) {
+            custom = loadDefinition(workspace.custom);
+            if (!custom) return false;
+            customAutomaton = workspace.generator ? restoreGenerated(workspace.generator, custom) : custom;
+        }
+        switchModule(MODULES.includes(workspace.module) ? workspace.module : 'email');
+        if (Number.isFinite(workspace.speed)) speedSlider.value = workspace.speed;
+        if (Array.isArray(workspace.log)) {
+            logContent.innerHTML = '';
+            workspace.log.forEach(line => log(String(line.message), LOG_TYPES.includes(line.type) ? line.type : 'info'));
+        }
+        inputString.value = typeof workspace.input === 'string' ? workspace.input : '';
+        inputString.dispatchEvent(new Event('input'));
+        return true;
+    }
+
+    // Un automata generado se vuelve a generar con sus parametros; si no son validos queda el grafo
+    function restoreGenerated(parameters, automaton) {
+        try {
+            return DivisibilityAutomaton.restore(parameters, automaton);
+        } catch (e) {
+            log(`No se pudo volver a generar ${automaton.name}: ${e.message}`, 'error');
+            return automaton;
+        }
+    }
+
+    function renderSlotList() {
+        const names = workspaceStore.listSlots();
+        slotList.innerHTML = '';
+        if (!names.length) slotList.add(new Option('(sin espacios guardados)', ''));
+        names.forEach(name => slotList.add(new Option(name, name)));
+    }
+
+    function saveWorkspace(name) {
+        if (!name) {
+            log("Escribe un nombre para el espacio de trabajo.", 'error');
+            return;
+        }
+        const replaced = workspaceStore.listSlots().includes(name);
+        try {
+            workspaceStore.saveSlot(name, captureWorkspace());
+        } catch (e) {
+            log(`No se pudo guardar el espacio: ${e.message}`, 'error');
+            return;
+        }
+        renderSlotList();
+        slotList.value = name;
+        log(`Espacio "${name}" ${replaced ? 'actualizado' : 'guardado'} en este navegador.`, 'success');
+    }
+
+    function openWorkspace(name) {
+        const workspace = name ? workspaceStore.loadSlot(name) : null;
+        if (!workspace) {
+            log("Elige un espacio guardado.", 'error');
+            return;
+        }
+        if (applyWorkspace(workspace)) log(`Espacio "${name}" restaurado.`, 'success');
+    }
+
+    function deleteWorkspace(name) {
+        if (!name) {
+            log("Elige un espacio guardado.", 'error');
+            return;
+        }
+        try {
+            workspaceStore.deleteSlot(name);
+        } catch (e) {
+            log(`No se pudo borrar el espacio: ${e.message}`, 'error');
+            return;
+        }
+        renderSlotList();
+        log(`Espacio "${name}" borrado.`, 'system');
+    }
+
+    function restoreLastSession() {
+        const workspace = workspaceStore.loadAutosave();
+        if (workspace && applyWorkspace(workspace)) log('Sesión anterior restaurada.', 'system');
+    }
+
+    function shareWorkspace() {
+        // Los ejercicios predefinidos se abren por nombre; el personalizado viaja completo
+        const share = { module: currentModule, input: inputString.value };
+        if (currentModule === 'custom') {
+            share.custom = customAutomaton.toJSON();
+            if (customAutomaton instanceof DivisibilityAutomaton) share.generator = customAutomaton.getParameters();
+        }
+        const link = location.href.split('#')[0] + ShareLink.encode(share);
+        shareLink.value = link;
+        log(`Enlace para compartir listo (${link.length} caracteres).`, 'success');
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link).then(() => log('Enlace copiado al portapapeles.', 'system'), () => { });
+        }
+    }
+
+    // Abre el enlace compartido del hash (#compartir=...); regresa true si lo pudo aplicar
+    function openSharedLink() {
+        let share;
+        try {
+            share = ShareLink.decode(location.hash);
+        } catch (e) {
+            log(e.message, 'error');
+            return false;
+        }
+        if (!share || !applyWorkspace(share)) return false;
+        log(`Enlace compartido abierto: ${currentAutomaton.name}${share.input ? ` con la cadena "${share.input}"` : ''}.`, 'success');
+        // Quitar el hash para que al recargar se siga la sesion normal
+        try {
+            history.replaceState(null, '', location.pathname + location.search);
+        } catch (e) { }
+        return true;
+    }
+
+    function getReference(select) {
+        const reference = select.value === 'file' ? referenceAutomaton : createModule(select.value);
+        if (!reference) log("Primero carga un archivo JSON de referencia.", 'error');
+        return reference;
+    }
+
+    function compareAutomata() {
+        const reference = getReference(compareTarget);
+        if (!reference || !requireFinite('Comparar', currentAutomaton) || !requireFinite('Comparar', reference)) return;
+        const result = currentAutomaton.compareWith(reference);
+        const names = { a: currentAutomaton.name, b: reference.name };
+        const shown = text => text === '' ? EPSILON : `'${text}'`;
+
+        log(`Comparando ${names.a} con ${names.b} (pares de estados explorados: ${result.explored}).`, 'system');
+        counterexample = result.counterexample;
+        useCounterexample.disabled = result.equivalent;
+        if (result.equivalent) {
+            compareResult.innerText = "Equivalentes: aceptan el mismo lenguaje.";
+            log(`${names.a} y ${names.b} son equivalentes: aceptan el mismo lenguaje.`, 'success');
+            return;
+        }
+
+        const accepts = names[result.acceptedBy];
+        const rejects = names[result.acceptedBy === 'a' ? 'b' : 'a'];
+        compareResult.innerText = `No equivalentes. Contraejemplo: ${shown(result.counterexample)} (la acepta ${accepts}).`;
+        log(`No son equivalentes. Contraejemplo más corto: ${shown(result.counterexample)}; la acepta ${accepts} y la rechaza ${rejects}.`, 'error');
+        result.path.forEach((step, i) => {
+            const pair = `(${step.states[0]}, ${step.states[1]})`;
+            log(i === 0 ? `Inicio en ${pair}` : `--(${step.symbol})--> ${pair}`, 'transition');
+        });
+    }
+
+    function applyOperation(op) {
+        const a = currentAutomaton;
+        if (!requireFinite('Las operaciones', a)) return;
+        const unary = { complement: 'complement', star: 'star', reverse: 'reverse' };
+        let b = null;
+        if (!unary[op]) {
+            b = getReference(opsTarget);
+            if (!b || !requireFinite('Las operaciones', b)) return;
+        }
+
+        let result;
+        try {
+            if (op === 'complement') result = LanguageOperations.complement(a);
+            else if (op === 'star') result = LanguageOperations.star(a);
+            else if (op === 'reverse') result = LanguageOperations.reverse(a);
+            else if (op === 'concat') result = LanguageOperations.concatenate(a, b);
+            else result = LanguageOperations.product(a, b, op);
+        } catch (e) {
+            log(`No se pudo aplicar la operación: ${e.message}`, 'error');
+            return;
+        }
+
+        customAutomaton = result;
+        switchModule('custom');
+        log(`Resultado: ${result.name} (${result.type}, ${result.states.length} estados, ${result.transitions.length} transiciones).`, 'success');
+        if (op === 'complement' && result.states.some(s => s.label === 'Trampa')) {
+            log("Se agregó el estado 'Trampa' para completar el DFA antes de invertir los estados finales.", 'system');
+        }
+    }
+
+    function runBatch() {
+        const cases = BatchRunner.parse(batchText.value);
+        if (!cases.length) {
+            log("El lote está vacío: escribe una cadena por línea.", 'error');
+            return;
+        }
+        playback.stop();
+        const results = BatchRunner.run(currentAutomaton, cases);
+        lastBatch = { automaton: currentAutomaton.name, results };
+        renderBatchResults(results);
+
+        const accepted = results.filter(r => r.accepted).length;
+        log(`Lote de ${results.length} cadenas en ${currentAutomaton.name}: ${accepted} aceptadas, ${results.length - accepted} rechazadas.`, 'system');
+        const checked = results.filter(r => r.passed !== null);
+        if (checked.length) {
+            const passed = checked.filter(r => r.passed).length;
+            log(`Resultado esperado: ${passed}/${checked.length} correctas.`, passed === checked.length ? 'success' : 'error');
+        }
+        const unknown = results.filter(r => r.expected === undefined);
+        if (unknown.length) {
+            log(`Etiquetas no reconocidas (usa acepta/rechaza): ${unknown.map(r => `'${r.label}'`).join(', ')}`, 'error');
+        }
+        renderer.draw();
+    }
+
+    function renderBatchResults(results) {
+        const body = batchResults.querySelector('tbody');
+        body.innerHTML = '';
+        results.forEach(r => {
+            const row = document.createElement('tr');
+            if (r.passed !== null) row.className = r.passed ? 'pass' : 'fail';
+            const cells = [
+                r.input === '' ? EPSILON : r.input,
+                r.expected === null ? '—' : r.expected === undefined ? `? (${r.label})` : (r.expected ? 'Acepta' : 'Rechaza'),
+                r.accepted ? 'ACEPTADA' : 'RECHAZADA',
+                r.finalState ? r.finalState.label : '—',
+                r.failedAt === null ? '—' : r.failedAt + 1,
+                r.passed === null ? '—' : (r.passed ? '✓' : '✗'),
+                r.conclusion
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.innerText = text;
+                row.appendChild(cell);
+            });
+            // Clic en una fila la carga en la entrada para animarla
+            row.addEventListener('click', () => {
+                inputString.value = r.input;
+                inputString.dispatchEvent(new Event('input'));
+            });
+            body.appendChild(row);
+        });
+        batchResults.hidden = false;
+    }
+
+    // Descarga un archivo; el nombre se limpia para que sea valido en cualquier sistema
+    function downloadFile(name, extension, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name.replace(/[^\p{L}\p{N}_-]+/gu, '_')}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        log(`Exportado ${link.download}.`, 'system');
+    }
+
+    function exportBatch() {
+        if (!lastBatch) {
+            log("Primero ejecuta un lote.", 'error');
+            return;
+        }
+        const csv = '\ufeff' + BatchRunner.toCSV(lastBatch.results); // BOM para que Excel lea los acentos
+        downloadFile(`resultados_${lastBatch.automaton}`, 'csv', csv, 'text/csv');
+    }
+
+    function exportDefinition() {
+        const json = JSON.stringify(currentAutomaton.toJSON(), null, 2);
+        downloadFile(currentAutomaton.name, 'json', json, 'application/json');
+    }
+
+    function createExporter() {
+        const highlight = document.getElementById('diagram-highlight').checked ? {
+            states: currentAutomaton.getActiveStates(),
+            transitions: currentAutomaton.getTraversedTransitions()
+        } : undefined;
+        return new DiagramExporter(currentAutomaton, renderer, {
+            theme: document.getElementById('diagram-theme').value,
+            highlight
+        });
+    }
+
+    async function exportDiagram(format) {
+        if (!currentAutomaton.states.length) {
+            log("El autómata no tiene estados que exportar.", 'error');
+            return;
+        }
+        const exporter = createExporter();
+        const name = currentAutomaton.name;
+        if (format === 'svg') downloadFile(name, 'svg', exporter.toSVG(), 'image/svg+xml');
+        if (format === 'dot') downloadFile(name, 'dot', exporter.toDOT(), 'text/vnd.graphviz');
+        if (format === 'tikz') downloadFile(name, 'tex', exporter.toTikZ(), 'application/x-tex');
+        if (format === 'png') {
+            try {
+                downloadFile(name, 'png', await exporter.toPNG(), 'image/png');
+            } catch (e) {
+                log(e.message, 'error');
+            }
+        }
+    }
+
+    function importDot(text) {
+        let automaton;
+        try {
+            automaton = DotParser.toAutomaton(text);
+        } catch (e) {
+            log(`No se pudo leer el DOT: ${e.message}`, 'error');
+            (e.errors || []).forEach(err => log(`  ${err}`, 'error'));
+            return;
+        }
+        customAutomaton = automaton;
+        switchModule('custom');
+        log(`Autómata "${automaton.name}" importado desde DOT (${automaton.type}, ${automaton.states.length} estados, ${automaton.transitions.length} transiciones).`, 'success');
+    }
+
+    function automatonChanged() {
+        // Cualquier cambio invalida la simulacion en curso
+        playback.stop();
+        currentAutomaton.clearSimulation();
+        updateRepresentations();
+        renderTape(inputString.value, 0, null);
+        renderStack();
+        renderOutputTape();
+    }
+
+    function updateRepresentations() {
+        updateGrammar();
+        updateRegex();
+        renderDeltaTable();
+    }
+
+    // --- Tabla δ (estados × símbolos) ---
+
+    // Columnas: reglas usadas, simbolos del alfabeto sin regla y columnas nuevas; ε al final
+    function getDeltaSymbols(automaton) {
+        const rules = [...new Set(automaton.transitions.map(t => t.symbol))];
+        const uncovered = (automaton.alphabet || []).filter(c => !rules.some(r => automaton.matchesSymbol(r, c)));
+        const symbols = [...new Set([...rules, ...uncovered, ...deltaExtraSymbols])];
+        return [...symbols.filter(r => r !== EPSILON), ...symbols.filter(r => r === EPSILON)];
+    }
+
+    function renderDeltaTable() {
+        const automaton = currentAutomaton;
+        const symbols = getDeltaSymbols(automaton);
+        const head = document.createElement('tr');
+        ['δ', ...symbols].forEach(symbol => {
+            const th = document.createElement('th');
+            th.innerText = symbol;
+            if (automaton.symbolClasses[symbol] || SYMBOL_CLASSES[symbol]) {
+                th.title = formatCharClass(automaton.symbolClasses[symbol] || SYMBOL_CLASSES[symbol]);
+            }
+            head.appendChild(th);
+        });
+        deltaTable.tHead.replaceChildren(head);
+
+        const empty = automaton.constructor.deterministic ? '—' : '∅';
+        deltaTable.tBodies[0].replaceChildren(...automaton.states.map(state => {
+            const row = document.createElement('tr');
+            row.dataset.state = state.id;
+            const th = document.createElement('th');
+            th.innerText = `${state.isStart ? '→' : ''}${state.isFinal ? '*' : ''}${state.label}`;
+            if (automaton.type === 'Moore') th.innerText += ` / ${state.output || EPSILON}`; // salida del estado
+            th.title = [state.isStart && 'Inicial', state.isFinal && 'Final', state.isReject && 'Rechazo'].filter(Boolean).join(', ');
+            row.appendChild(th);
+
+            symbols.forEach(symbol => {
+                const transitions = automaton.transitions.filter(t => t.from === state.id && t.symbol === symbol);
+                const targets = transitions.map(t => automaton.getState(t.to).label);
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = targets.join(', ');
+                input.placeholder = empty;
+                input.spellcheck = false;
+                input.title = `δ(${state.label}, ${symbol})`;
+                if (hasTransitionActions(automaton)) {
+                    // En un PDA, una MT o una maquina de Mealy la transicion hace algo mas que
+                    // cambiar de estado: "Z/aZ → q1", "b, R → q1", "salida 0 → q1" (se edita en el grafo)
+                    input.value = transitions.map(t => `${automaton.formatAction(t)} → ${automaton.getState(t.to).label}`).join('; ');
+                    input.readOnly = true;
+                    input.title = input.value;
+                }
+                input.addEventListener('change', () => setDeltaCell(state.id, symbol, input.value));
+                cell.dataset.from = state.id;
+                cell.dataset.symbol = symbol;
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+        highlightDeltaTable();
+    }
+
+    // Marca los estados activos y la celda de la transicion del ultimo paso
+    function highlightDeltaTable() {
+        const active = currentAutomaton.getActiveStates().map(s => s.id);
+        const last = currentAutomaton.history[currentAutomaton.history.length - 1];
+        const used = last ? last.transitions : [];
+        deltaTable.querySelectorAll('tbody tr').forEach(row => {
+            row.classList.toggle('active', active.includes(row.dataset.state));
+        });
+        deltaTable.querySelectorAll('tbody td').forEach(cell => {
+            cell.classList.toggle('current', used.some(t => t.from === cell.dataset.from && t.symbol === cell.dataset.symbol));
+        });
+    }
+
+    // Reemplaza los destinos de δ(estado, símbolo) con los estados escritos (etiquetas o ids)
+    function setDeltaCell(stateId, symbol, text) {
+        const names = text.replace(/[{}]/g, '').split(',').map(name => name.trim()).filter(name => name && !['∅', '—', '-'].includes(name));
+        const targets = names.map(name => currentAutomaton.states.find(s => s.label === name) || currentAutomaton.getState(name));
+        const unknown = names.filter((name, i) => !targets[i]);
+        if (unknown.length) {
+            log(`No existe el estado ${unknown.map(name => `'${name}'`).join(', ')}.`, 'error');
+            renderDeltaTable();
+            return;
+        }
+        if (currentAutomaton.constructor.deterministic && new Set(targets).size > 1) {
+            log(currentAutomaton.type === 'DFA'
+                ? "Un DFA solo puede tener un destino por símbolo. Cambia el tipo a NFA para usar varios."
+                : `En ${currentAutomaton.constructor.typeLabel} cada estado tiene un solo destino por símbolo.`, 'error');
+            renderDeltaTable();
+            return;
+        }
+
+        if (currentModule !== 'custom') {
+            // Editar un ejercicio predefinido trabaja sobre una copia
+            customAutomaton = currentAutomaton.clone(`Copia de ${currentAutomaton.name}`);
+            const extra = deltaExtraSymbols;
+            switchModule('custom');
+            deltaExtraSymbols = extra;
+        }
+        const automaton = currentAutomaton;
+        const from = automaton.getState(stateId);
+        // Los destinos nuevos ocupan el lugar de los anteriores para no reordenar las columnas
+        const index = automaton.transitions.findIndex(t => t.from === stateId && t.symbol === symbol);
+        automaton.transitions = automaton.transitions.filter(t => t.from !== stateId || t.symbol !== symbol);
+        const replacement = [...new Set(targets)].map(target => ({ from: stateId, to: target.id, symbol }));
+        automaton.transitions.splice(index === -1 ? automaton.transitions.length : index, 0, ...replacement);
+        const added = automaton.extendAlphabet(symbol);
+        if (added.length) log(`Agregado al alfabeto: ${formatCharClass(added)}`, 'system');
+
+        const shown = targets.length ? targets.map(t => t.label).join(', ') : '∅';
+        log(`δ(${from.label}, ${symbol}) = ${automaton.type === 'NFA' && targets.length ? `{${shown}}` : shown}`, 'system');
+        if (editor.enabled) editor.select(null);
+        automatonChanged();
+    }
+
+    function addDeltaColumn(symbol) {
+        if (!currentAutomaton.isSymbolRule(symbol)) {
+            log(`Símbolo inválido '${symbol}': usa un solo carácter o ${currentAutomaton.getSymbolClassNames().join(', ')}.`, 'error');
+            return;
+        }
+        if (symbol === EPSILON && currentAutomaton.constructor.deterministic) {
+            log(`Las transiciones ε no están permitidas en ${currentAutomaton.constructor.typeLabel}.`, 'error');
+            return;
+        }
+        if (!getDeltaSymbols(currentAutomaton).includes(symbol)) deltaExtraSymbols.push(symbol);
+        renderDeltaTable();
+        deltaNewSymbol.value = '';
+    }
+
+    function updateRegex() {
+        regexContent.innerText = isFiniteAutomaton(currentAutomaton)
+            ? currentAutomaton.toRegex().regex
+            : `Este autómata (${currentAutomaton.constructor.typeLabel.replace(/^una? /, '')}) no tiene expresión regular equivalente en general.`;
+    }
+
+    async function animateElimination() {
+        if (!requireFinite('La eliminación de estados')) return;
+        const automaton = currentAutomaton;
+        const { regex, steps } = automaton.toRegex();
+        const speed = 2100 - document.getElementById('speed-slider').value;
+        const wait = () => new Promise(r => setTimeout(r, speed));
+
+        setEditing(false); // el lienzo muestra un GNFA temporal
+        log(`Eliminación de estados para ${automaton.name}:`, 'system');
+
+        for (const step of steps) {
+            if (currentAutomaton !== automaton) return; // el usuario cambio de modulo
+            if (step.eliminated) {
+                renderer.stateColors = new Map([[step.eliminated.id, '#ff0055']]);
+                log(`Eliminando ${step.eliminated.label}`, 'transition');
+                await wait();
+                if (currentAutomaton !== automaton) return;
+                step.changes.forEach(c => log(`  ${c.from} → ${c.to}: ${c.regex}`, 'system'));
+            } else {
+                log("GNFA inicial: se agregan 'inicio' y 'fin' con transiciones ε.", 'system');
+            }
+            renderer.setAutomaton(step.view);
+            await wait();
+        }
+
+        if (currentAutomaton !== automaton) return;
+        renderer.setAutomaton(currentAutomaton);
+        log(`Expresión regular equivalente: ${regex}`, 'success');
+    }
+
+    function updateGrammar() {
+        if (!isFiniteAutomaton(currentAutomaton)) {
+            grammarContent.innerText = `La gramática regular solo se genera para DFA y NFA (este autómata es ${currentAutomaton.constructor.typeLabel}).`;
+            return;
+        }
+        grammarContent.innerText = currentAutomaton.getGrammar({
+            naming: document.getElementById('grammar-naming').value,
+            classes: document.getElementById('grammar-classes').value
+        });
+    }
+
+    function buildFromGrammar() {
+        try {
+            customAutomaton = RegularGrammar.parse(grammarContent.innerText);
+        } catch (e) {
+            log(`Gramática inválida: ${e.message}`, 'error');
+            return;
+        }
+        switchModule('custom');
+        log(`Autómata construido desde la gramática (${customAutomaton.type}, ${customAutomaton.states.length} estados).`, 'success');
+    }
+
+    function log(msg, type = 'info') {
+        const line = document.createElement('div');
+        line.className = `log-line ${type}`;
+        line.innerText = `> ${msg}`;
+        logContent.appendChild(line);
+        logContent.scrollTop = logContent.scrollHeight;
+    }
+
+    function reset() {
+        playback.stop();
+        updatePlayback(playback);
+        currentAutomaton.reset();
+        inputString.value = '';
+        renderTape('', 0, null);
+        statusIndicator.innerText = "ESPERANDO INPUT";
+        statusIndicator.style.borderColor = "#00f3ff";
+        statusIndicator.style.color = "#00f3ff";
+        renderer.pathResult = null;
+        highlightDeltaTable();
+        renderStack();
+        renderOutputTape();
+        renderer.draw();
+    }
+
+    function validateInput() {
+        const input = inputString.value;
+        playback.stop();
+        updatePlayback(playback);
+        currentAutomaton.reset(input);
+        if (!currentAutomaton.currentState) return;
+        let valid = true;
+        let consumed = 0; // en una maquina de Turing, pasos dados
+
+        const chars = [...input];
+        while (!currentAutomaton.isFinished(consumed, chars)) {
+            const result = currentAutomaton.step(chars[consumed]);
+            if (!result.valid) {
+                valid = false;
+                break;
+            }
+            consumed++;
+        }
+        renderTape(input, consumed, valid ? null : consumed);
+
+        if (valid && currentAutomaton.isAccepting()) {
+            const msg = `Cadena "${input}" ACEPTADA.`;
+            log(msg, 'success');
+
+            const conclusion = currentAutomaton.getConclusion(input, true, currentAutomaton.currentState);
+            log(`Conclusión: ${conclusion}`, 'success');
+
             statusIndicator.innerText = "ACEPTADA";
             statusIndicator.style.borderColor = "#00ff9d";
-            const conclusion = currentAutomaton.getConclusion(input, true, currentAutomaton.currentState);
+            statusIndicator.style.color = "#00ff9d";
+        } else {
+            log(`Cadena "${input}" ${rejectionLabel()}.`, 'error');
+            logDiagnostic(currentAutomaton.getDiagnostic(input));
+
+            const conclusion = currentAutomaton.getConclusion(input, valid, currentAutomaton.currentState);
+            log(`Conclusión: ${conclusion}`, 'error');
+
+            statusIndicator.innerText = rejectionLabel();
+            statusIndicator.style.borderColor = "#ff0055";
+            statusIndicator.style.color = "#ff0055";
+        }
+        // El camino recorrido queda marcado con el color del veredicto
+        renderer.pathResult = valid && currentAutomaton.isAccepting() ? 'accepted' : 'rejected';
+        highlightDeltaTable();
+        renderStack();
+        renderOutputTape();
+        renderer.draw();
+    }
+
+    function animateInput() {
+        // Volver a presionar Animar reinicia en lugar de correr dos animaciones
+        if (loadPlayback()) playback.play();
+    }
+
+    function loadPlayback() {
+        return playback.load(currentAutomaton, inputString.value);
+    }
+
+    function updatePlayback(controller) {
+        const playing = controller.status === 'playing';
+        playButton.innerText = playing ? '⏸' : '▶';
+        playButton.title = playing ? 'Pausar' : 'Reproducir';
+        if (!controller.automaton) return;
+
+        renderTape(controller.input, controller.position, controller.failedAt);
+        if (controller.status !== 'finished') {
+            const next = controller.input[controller.position];
+            if (currentAutomaton.type === 'TM') {
+                statusIndicator.innerText = `PASO ${controller.position}: '${currentAutomaton.read()}'`;
+            } else {
+                statusIndicator.innerText = next !== undefined ? `PROCESANDO: '${next}'` : "FIN DE CADENA";
+            }
+            statusIndicator.style.borderColor = "#00f3ff";
+            statusIndicator.style.color = "#00f3ff";
+            renderer.pathResult = null;
+        }
+        highlightDeltaTable();
+        renderStack();
+        renderOutputTape();
+        renderer.draw();
+    }
+
+    function finishAnimation(result) {
+        const input = playback.input;
+        renderer.pathResult = result.accepted ? 'accepted' : 'rejected';
+        const conclusion = currentAutomaton.getConclusion(input, result.valid, currentAutomaton.currentState);
+        if (!result.accepted) logDiagnostic(currentAutomaton.getDiagnostic(input));
+
+        if (!result.valid) {
+            statusIndicator.innerText = "ERROR";
+            statusIndicator.style.borderColor = "#ff0055";
+            statusIndicator.style.color = "#ff0055";
+            log(`Animación finalizada: ${conclusion}`, 'error');
+        } else if (result.accepted) {
+            statusIndicator.innerText = "ACEPTADA";
+            statusIndicator.style.borderColor = "#00ff9d";
+            statusIndicator.style.color = "#00ff9d";
             log(`Animación finalizada: ${conclusion}`, 'success');
         } else {
-            // Nota: En animacion, 'valid' puede ser true (transiciones ok) pero el estado no es final
-            // Si paro temprano por error, nesesitamos manejar eso.
-            // Pero aki estamos al final del bucle.
-            const conclusion = currentAutomaton.getConclusion(input, true, currentAutomaton.currentState);
+            statusIndicator.innerText = rejectionLabel();
+            statusIndicator.style.borderColor = "#ff0055";
+            statusIndicator.style.color = "#ff0055";
             log(`Animación finalizada: ${conclusion}`, 'error');
         }
     }
+
+    // Una maquina de Turing que llega al limite de pasos no rechaza: no se sabe si se detendria
+    function rejectionLabel() {
+        return currentAutomaton.outcome === 'limit' ? "SIN DETENERSE" : "RECHAZADA";
+    }
+
+    // Donde y por que se detuvo la cadena, a partir del diagnostico de la simulacion
+    function logDiagnostic(diagnostic) {
+        const { kind, phase } = diagnostic;
+        if (kind === 'accepted' || kind === 'no-start') return;
+        const labels = diagnostic.states.map(s => s.label);
+        const where = (labels.length === 1 ? labels[0] : `{${labels.join(', ')}}`) + (phase ? ` (${phase})` : '');
+        const expected = formatSymbolList(diagnostic.expected);
+        if (currentAutomaton.type === 'TM') {
+            const cell = `celda ${diagnostic.position}, símbolo '${diagnostic.char}'`;
+            if (kind === 'rejected') log(`Diagnóstico: la máquina entró al estado de rechazo ${where} en el paso ${diagnostic.steps}.`, 'info');
+            if (kind === 'halted') log(`Diagnóstico: ${cell}, en ${where}; no hay transición (se podía leer ${expected}).`, 'info');
+            if (kind === 'limit') log(`Diagnóstico: tras ${diagnostic.steps} pasos sigue en ${where} (${cell}).`, 'info');
+            return;
+        }
+        if (kind === 'rejected') {
+            log(`Diagnóstico: la cadena terminó en ${where}; faltaba leer ${expected}.`, 'info');
+            return;
+        }
+        const outside = kind === 'outside' ? ', fuera del alfabeto' : '';
+        log(`Diagnóstico: posición ${diagnostic.position + 1}, carácter '${diagnostic.char}'${outside}, en ${where}; se esperaba ${expected}.`, 'info');
+    }
+
+    // Subraya en el campo de entrada el caracter donde se atoro la simulacion
+    function underlineInput(failedAt) {
+        inputHighlight.innerHTML = '';
+        const chars = [...inputString.value];
+        if (failedAt === null || failedAt >= chars.length) return;
+        const mark = document.createElement('span');
+        mark.className = 'offending';
+        mark.textContent = chars[failedAt];
+        inputHighlight.append(chars.slice(0, failedAt).join(''), mark, chars.slice(failedAt + 1).join(''));
+        inputHighlight.scrollLeft = inputString.scrollLeft;
+    }
+
+    // Pila de cada configuracion activa del PDA (el tope arriba). Los simbolos que se
+    // metieron desde el dibujo anterior entran con una animacion.
+    function renderStack() {
+        const pda = currentAutomaton.type === 'PDA';
+        stackPanel.hidden = !pda;
+        if (!pda) {
+            shownStacks = [];
+            return;
+        }
+        const MAX_COLUMNS = 4;
+        const MAX_CELLS = 10;
+        // Si la cadena se atoro, quedan a la vista las pilas con las que no se pudo leer
+        const { failure } = currentAutomaton;
+        const configurations = failure ? failure.configurations : currentAutomaton.configurations;
+        stackList.innerHTML = '';
+        configurations.slice(0, MAX_COLUMNS).forEach((config, i) => {
+            const column = document.createElement('div');
+            column.className = 'stack-column';
+            // Lo que no cambio es el fondo comun con la pila anterior de esa columna
+            const previous = shownStacks[i] || '';
+            let common = 0;
+            while (common < Math.min(previous.length, config.stack.length) &&
+                previous[previous.length - 1 - common] === config.stack[config.stack.length - 1 - common]) common++;
+            const pushed = config.stack.length - common;
+
+            [...config.stack].slice(0, MAX_CELLS).forEach((symbol, j) => {
+                const cell = document.createElement('div');
+                cell.className = 'stack-cell';
+                if (j === 0) cell.classList.add('top');
+                if (j < pushed) cell.classList.add('pushed');
+                cell.innerText = symbol;
+                column.appendChild(cell);
+            });
+            if (config.stack.length > MAX_CELLS) {
+                const more = document.createElement('div');
+                more.className = 'stack-cell more';
+                more.innerText = `+${config.stack.length - MAX_CELLS}`;
+                column.appendChild(more);
+            }
+            if (config.stack === '') {
+                const empty = document.createElement('div');
+                empty.className = 'stack-cell empty';
+                empty.innerText = EPSILON;
+                empty.title = 'Pila vacía';
+                column.appendChild(empty);
+            }
+            const label = document.createElement('div');
+            label.className = 'stack-state';
+            label.innerText = config.state.label;
+            column.appendChild(label);
+            stackList.appendChild(column);
+        });
+        if (configurations.length > MAX_COLUMNS) {
+            const more = document.createElement('div');
+            more.className = 'stack-state';
+            more.innerText = `+${configurations.length - MAX_COLUMNS} más`;
+            stackList.appendChild(more);
+        }
+        shownStacks = configurations.slice(0, MAX_COLUMNS).map(c => c.stack);
+    }
+
+    // Cinta de salida de una maquina de Mealy o de Moore: se llena conforme se emite.
+    // Los simbolos escritos desde el dibujo anterior entran con una animacion.
+    function renderOutputTape() {
+        const transducer = currentAutomaton instanceof Transducer;
+        outputTape.hidden = !transducer;
+        if (!transducer) {
+            shownOutput = '';
+            return;
+        }
+        const output = currentAutomaton.getOutput();
+        let kept = 0; // lo que ya estaba dibujado no se anima otra vez
+        while (kept < Math.min(output.length, shownOutput.length) && output[kept] === shownOutput[kept]) kept++;
+        outputTape.innerHTML = '';
+        const label = document.createElement('span');
+        label.className = 'tape-cell output-label';
+        label.innerText = 'Salida';
+        outputTape.appendChild(label);
+        if (!output) {
+            const empty = document.createElement('span');
+            empty.className = 'tape-cell end';
+            empty.innerText = EPSILON;
+            outputTape.appendChild(empty);
+        }
+        [...output].forEach((char, i) => {
+            const cell = document.createElement('span');
+            cell.className = 'tape-cell';
+            if (i >= kept) cell.classList.add('emitted');
+            cell.innerText = char === ' ' ? '␣' : char;
+            outputTape.appendChild(cell);
+        });
+        outputTape.scrollLeft = outputTape.scrollWidth;
+        shownOutput = output;
+    }
+
+    // Cinta: caracteres consumidos, cabeza de lectura y caracteres restantes
+    function renderTape(input, position, failedAt) {
+        underlineInput(failedAt);
+        tape.innerHTML = '';
+        if (currentAutomaton.type === 'TM') {
+            renderMachineTape(input);
+            return;
+        }
+        if (input.length === 0) {
+            const cell = document.createElement('span');
+            cell.className = 'tape-cell head';
+            cell.innerText = EPSILON;
+            tape.appendChild(cell);
+            return;
+        }
+        [...input, ''].forEach((char, i) => {
+            const cell = document.createElement('span');
+            cell.className = 'tape-cell';
+            cell.dataset.index = i;
+            cell.title = `Ir a la posición ${i}`;
+            if (i < position) cell.classList.add('consumed');
+            if (i === position) cell.classList.add(failedAt === i ? 'failed' : 'head');
+            if (i === input.length) cell.classList.add('end'); // celda despues del ultimo caracter
+            cell.innerText = char === ' ' ? '␣' : char;
+            tape.appendChild(cell);
+        });
+    }
+
+    // Cinta de la maquina de Turing: las celdas escritas con unos blancos alrededor y la
+    // cabeza marcada. Si la cinta es muy larga solo se ve una ventana alrededor de la cabeza.
+    function renderMachineTape(input) {
+        const machine = currentAutomaton;
+        const MARGIN = 2;
+        const WINDOW = 12;
+        // Mientras se escribe la cadena (sin simular) se muestra como quedaria en la cinta
+        const chars = [...input];
+        const preview = machine.input !== input || !machine.currentState;
+        const head = preview ? 0 : machine.head;
+        const read = cell => preview ? (cell >= 0 && cell < chars.length ? chars[cell] : machine.blank) : machine.read(cell);
+        const range = preview ? (chars.length ? { first: 0, last: chars.length - 1 } : null) : machine.getTapeRange();
+        const first = Math.max(Math.min(range ? range.first : head, head) - MARGIN, head - WINDOW);
+        const last = Math.min(Math.max(range ? range.last : head, head) + MARGIN, head + WINDOW);
+        const halted = !preview && machine.outcome;
+
+        const more = () => {
+            const cell = document.createElement('span');
+            cell.className = 'tape-cell end';
+            cell.innerText = '…';
+            tape.appendChild(cell);
+        };
+        if (range && range.first < first) more();
+        for (let i = first; i <= last; i++) {
+            const symbol = read(i);
+            const cell = document.createElement('span');
+            cell.className = 'tape-cell';
+            cell.title = `Celda ${i}`;
+            if (symbol === machine.blank) cell.classList.add('blank');
+            if (i === head) cell.classList.add(halted && halted !== 'accept' ? 'failed' : 'head');
+            cell.innerText = symbol;
+            tape.appendChild(cell);
+        }
+        if (range && range.last > last) more();
+    }
 });
@@ -0,0 +1,42 @@
+// Pruebas por lotes: lectura de lineas y de CSV, veredictos y exportacion a CSV
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { BatchRunner, EmailAutomaton, Modulo3Automaton } = require('../core');
+
+describe('BatchRunner', () => {
+    test('lee cadenas con etiqueta por tabulador o "=>", ε y comentarios', () => {
+        const cases = BatchRunner.parse('# lote\n12\tacepta\nε => sí\n7 => rechaza\n\n1a\n99 => quizá\r\n');
+        assert.deepStrictEqual(cases.map(c => [c.input, c.expected]), [
+            ['12', true], ['', true], ['7', false], ['1a', null], ['99', undefined]
+        ]);
+    });
+
+    test('compara el veredicto con lo esperado', () => {
+        const results = BatchRunner.run(new Modulo3Automaton(), BatchRunner.parse('12\tacepta\n7\tacepta\n1a'));
+        assert.deepStrictEqual(results.map(r => [r.accepted, r.passed]), [[true, true], [false, false], [false, null]]);
+        assert.strictEqual(results[2].failedAt, 1);
+    });
+
+    test('el CSV exportado (con BOM y encabezados) se vuelve a cargar con los mismos casos', () => {
+        const text = 'a@b.c\tacepta\nε\trechaza\n"x,y"@z.com\trechaza\nab;cd\nq@w.e\tquizá';
+        const cases = BatchRunner.parse(text);
+        const csv = '\ufeff' + BatchRunner.toCSV(BatchRunner.run(new EmailAutomaton(), cases));
+        assert.ok(csv.startsWith('\ufeffcadena,esperado,veredicto'));
+        const again = BatchRunner.parse(BatchRunner.fromCSV(csv));
+        assert.deepStrictEqual(again.map(c => [c.input, c.expected]), [
+            ['a@b.c', true], ['', false], ['"x,y"@z.com', false], ['ab;cd', null], ['q@w.e', undefined]
+        ]);
+    });
+
+    test('un CSV sin encabezados conserva la primera fila', () => {
+        assert.strictEqual(BatchRunner.fromCSV('12,si\n7;no\n'), '12\tsi\n7\tno');
+        assert.strictEqual(BatchRunner.fromCSV('cadena,acepta'), 'cadena\tacepta');
+    });
+
+    test('una celda con salto de línea se rechaza en vez de partir el caso', () => {
+        assert.throws(() => BatchRunner.fromCSV('cadena,esperado\n12,si\n"a\nb",no'),
+            /La fila 3 del CSV tiene un salto de línea dentro de una celda/);
+    });
+});
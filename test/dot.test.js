@@ -0,0 +1,87 @@
+// Pruebas de la importacion DOT: autómatas finitos y los tipos con etiquetas propias (PDA, MT, Mealy, Moore)
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { DotParser, PushdownAutomaton, TuringMachine, MealyMachine, MooreMachine, AnBnPDA, GrayCodeMealy, Modulo3Moore } = require('../core');
+const { allStrings } = require('./helpers');
+
+// Digraph con un inicial, los atributos del grafo y de los nodos y las aristas dadas
+function dot(graph, nodes, edges) {
+    return [
+        'digraph "Prueba" {',
+        ...graph.map(line => `    ${line};`),
+        '    __start [shape=point];',
+        '    __start -> q0;',
+        ...nodes.map(line => `    ${line};`),
+        ...edges.map(([from, to, label]) => `    ${from} -> ${to} [label="${label}"];`),
+        '}'
+    ].join('\n');
+}
+
+// Mismos veredictos (y misma salida o cinta) en todas las cadenas dadas
+function assertSameRuns(a, b, inputs) {
+    inputs.forEach(input => {
+        const x = a.run(input);
+        const y = b.run(input);
+        assert.strictEqual(y.accepted, x.accepted, input);
+        assert.strictEqual(y.output, x.output, input);
+        assert.strictEqual(y.tape, x.tape, input);
+        assert.strictEqual(y.outcome, x.outcome, input);
+    });
+}
+
+describe('DotParser', () => {
+    test('sin type: DFA si es determinista, NFA si no', () => {
+        const dfa = DotParser.toAutomaton(dot([], ['q1 [shape=doublecircle]'], [['q0', 'q1', 'a, [,]']]));
+        assert.strictEqual(dfa.type, 'DFA');
+        assert.deepStrictEqual(['a', ',', 'b'].map(s => dfa.run(s).accepted), [true, true, false]);
+        const nfa = DotParser.toAutomaton(dot([], ['q1 [shape=doublecircle]'], [['q0', 'q0', 'a'], ['q0', 'q1', 'a']]));
+        assert.strictEqual(nfa.type, 'NFA');
+    });
+
+    test('PDA: "símbolo, saca/mete" separadas por |, con la pila inicial y el modo de aceptación', () => {
+        const pda = DotParser.toAutomaton(dot(['type=PDA', 'stackStart="Z"', 'acceptance=final'], ['q0 [shape=doublecircle]', 'q3 [shape=doublecircle]'], [
+            ['q0', 'q1', 'a, Z/AZ'], ['q1', 'q1', 'a, A/AA | [|], A/A'], ['q1', 'q2', 'b, A/ε'], ['q2', 'q2', 'b, A/ε'], ['q2', 'q3', 'ε, Z/Z']
+        ]));
+        assert.ok(pda instanceof PushdownAutomaton);
+        assertSameRuns(new AnBnPDA(), pda, allStrings(['a', 'b'], 6));
+        assert.strictEqual(pda.run('a|b').accepted, true);
+    });
+
+    test('MT: "lee → escribe, mueve", blanco, límite de pasos y estados de rechazo', () => {
+        const tm = DotParser.toAutomaton(dot(['type="TM"', 'blank="#"', 'maxSteps=40'], ['q1 [shape=doublecircle]', 'qr [reject=true]'], [
+            ['q0', 'q0', 'a → a, R | b → x, R'], ['q0', 'q1', '# → #, S'], ['q0', 'qr', 'c -> c, L']
+        ]));
+        assert.ok(tm instanceof TuringMachine);
+        assert.strictEqual(tm.blank, '#');
+        assert.strictEqual(tm.maxSteps, 40);
+        assert.strictEqual(tm.getState('qr').isReject, true);
+        assert.strictEqual(tm.transitions.find(t => t.symbol === 'a').write, undefined);
+        assert.strictEqual(tm.run('ab').tape, 'ax');
+        assert.strictEqual(tm.run('ac').outcome, 'reject');
+    });
+
+    test('Mealy: "símbolo/salida"; Moore: la salida en el atributo output de cada estado', () => {
+        const mealy = DotParser.toAutomaton(dot(['type=Mealy'], ['q0 [shape=doublecircle]', 'q1 [shape=doublecircle]'], [
+            ['q0', 'q0', '0/0'], ['q0', 'q1', '1/1'], ['q1', 'q0', '0/1'], ['q1', 'q1', '1/0']
+        ]));
+        assert.ok(mealy instanceof MealyMachine);
+        assertSameRuns(new GrayCodeMealy(), mealy, allStrings(['0', '1'], 5));
+
+        const moore = DotParser.toAutomaton(dot(['type=Moore'], ['q0 [shape=doublecircle, output="0"]', 'q1 [output="1"]', 'q2 [output="2"]'], [
+            ['q0', 'q0', '[0369]'], ['q0', 'q1', '[147]'], ['q0', 'q2', '[258]'],
+            ['q1', 'q1', '[0369]'], ['q1', 'q2', '[147]'], ['q1', 'q0', '[258]'],
+            ['q2', 'q2', '[0369]'], ['q2', 'q0', '[147]'], ['q2', 'q1', '[258]']
+        ]));
+        assert.ok(moore instanceof MooreMachine);
+        assertSameRuns(new Modulo3Moore(), moore, ['', '124', '12', '999', '1a']);
+    });
+
+    test('errores claros para etiquetas de otro tipo y tipos desconocidos', () => {
+        assert.throws(() => DotParser.toAutomaton(dot([], [], [['q0', 'q0', 'a, Z/AZ']])), /no reconocida.*indica el tipo en el grafo \(ej\. type=PDA\)/);
+        assert.throws(() => DotParser.toAutomaton(dot(['type=PDA'], [], [['q0', 'q0', 'a']])), /Etiqueta 'a' no reconocida en un PDA: usa 'símbolo, saca\/mete'/);
+        assert.throws(() => DotParser.toAutomaton(dot(['type=TM'], [], [['q0', 'q0', 'a → b, X']])), /no reconocida en una máquina de Turing/);
+        assert.throws(() => DotParser.toAutomaton(dot(['type=LBA'], [], [['q0', 'q0', 'a']])), /Tipo 'LBA' no soportado/);
+    });
+});
@@ -0,0 +1,107 @@
+// Pruebas del ejercicio de Email: veredictos y la conclusion exacta de cada tipo de falla
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { EmailAutomaton } = require('../core');
+
+const automaton = new EmailAutomaton();
+
+describe('EmailAutomaton', () => {
+    test('acepta emails válidos', () => {
+        ['a@b.c', 'usuario@dominio.com', 'A1@B2.C3', 'nombre.apellido@correo.mx', 'a_b.c-d@x-y.co.uk', '123@456.789']
+            .forEach(input => assert.strictEqual(automaton.run(input).accepted, true, input));
+    });
+
+    test('rechaza emails inválidos', () => {
+        ['', 'a', 'a@', 'a@b', 'a@b.', '.a@b.com', 'a.@b.com', 'a@-b.com', 'a@b..com', 'a@@b.com', 'a b@c.com']
+            .forEach(input => assert.strictEqual(automaton.run(input).accepted, false, input));
+    });
+
+    test('conclusión de un email válido', () => {
+        assert.strictEqual(automaton.run('usuario@dominio.com').conclusion,
+            "Es un email válido. Cumple con el formato local@dominio.ext");
+    });
+
+    // Cadenas que se leen completas pero terminan en un estado no final
+    const incomplete = [
+        ['', "No se acepta porque está vacío."],
+        ['usuario', "No se acepta porque falta el símbolo '@' y el dominio."],
+        ['usuario.', "No se acepta porque falta el símbolo '@' y el dominio."],
+        ['usuario@', "No se acepta porque falta el dominio después del '@'."],
+        ['usuario@dominio', "No se acepta porque falta la extensión del dominio (ej. .com)."],
+        ['usuario@dominio-', "No se acepta porque falta la extensión del dominio (ej. .com)."],
+        ['usuario@dominio.', "No se acepta porque el dominio no puede terminar en un punto."]
+    ];
+    incomplete.forEach(([input, conclusion]) => {
+        test(`incompleta: "${input}"`, () => {
+            const result = automaton.run(input);
+            assert.strictEqual(result.valid, true);
+            assert.strictEqual(result.conclusion, conclusion);
+        });
+    });
+
+    // Cadenas que se atoran (no hay transicion con algun caracter)
+    const stuck = [
+        ['.usuario@dominio.com', "No se acepta porque un email debe comenzar con una letra o número."],
+        ['@dominio.com', "No se acepta porque un email debe comenzar con una letra o número."],
+        ['usuario,otro@dominio.com', "No se acepta porque contiene una coma (',') que no es válida en emails."],
+        ['usuario, otro@dominio.com', "No se acepta porque contiene una coma (',') que no es válida en emails."],
+        ['usuario@@dominio.com', "No se acepta porque contiene más de un símbolo '@'."],
+        ['usuario@dominio@otro.com', "No se acepta porque contiene más de un símbolo '@'."],
+        ['usu ario@dominio.com', "No se acepta porque el carácter ' ' no está permitido."],
+        ['año@dominio.com', "No se acepta porque el carácter 'ñ' no está permitido."],
+        ['usuario..x@dominio.com', "No se acepta porque después de '.', '-' o '_' debe seguir una letra o número, pero se encontró '.' (posición 9)."],
+        ['usuario@dominio..com', "No se acepta porque hay dos puntos consecutivos ('..')."],
+        ['usuario.@dominio.com', "No se acepta porque después de '.', '-' o '_' debe seguir una letra o número, pero se encontró '@' (posición 9)."],
+        ['usuario@-dominio.com', "No se acepta porque el dominio debe comenzar con una letra o número, pero se encontró '-' (posición 9)."],
+        ['usuario@dominio_x.com', "No se acepta porque el carácter '_' (posición 16) no está permitido en el dominio."],
+        ['usuario@dominio.c-m', "No se acepta porque el carácter '-' (posición 18) no está permitido en la extensión del dominio."]
+    ];
+    stuck.forEach(([input, conclusion]) => {
+        test(`falla: "${input}"`, () => {
+            const result = automaton.run(input);
+            assert.strictEqual(result.valid, false);
+            assert.strictEqual(result.conclusion, conclusion);
+        });
+    });
+
+    test('la posición de la falla es el primer carácter sin transición', () => {
+        assert.strictEqual(automaton.run('usuario,otro@dominio.com').failedAt, 7);
+        assert.strictEqual(automaton.run('.a').failedAt, 0);
+    });
+
+    test('el diagnóstico indica posición, carácter, estado, fase y símbolos esperados', () => {
+        const { diagnostic } = automaton.run('usuario@dominio_x.com');
+        assert.strictEqual(diagnostic.kind, 'stuck');
+        assert.strictEqual(diagnostic.position, 15);
+        assert.strictEqual(diagnostic.char, '_');
+        assert.strictEqual(diagnostic.state.id, 'q3');
+        assert.strictEqual(diagnostic.phase, 'dominio');
+        assert.deepStrictEqual(diagnostic.expected, ['ALPHANUM', '-', '.']);
+    });
+
+    test('el diagnóstico distingue símbolos fuera del alfabeto y cadenas incompletas', () => {
+        const outside = automaton.run('año@dominio.com').diagnostic;
+        assert.strictEqual(outside.kind, 'outside');
+        assert.strictEqual(outside.position, 1);
+        assert.strictEqual(outside.phase, 'parte local');
+
+        const incomplete = automaton.run('usuario@dominio.').diagnostic;
+        assert.strictEqual(incomplete.kind, 'rejected');
+        assert.strictEqual(incomplete.position, 16);
+        assert.strictEqual(incomplete.char, null);
+        assert.strictEqual(incomplete.phase, 'extensión');
+
+        assert.strictEqual(automaton.run('a@b.c').diagnostic.kind, 'accepted');
+    });
+
+    test('el DFA mínimo conserva los mensajes generales y los de los bloques que coinciden', () => {
+        const minimal = automaton.minimize().automaton;
+        assert.deepStrictEqual(minimal.messages, automaton.messages);
+        ['ab@@', 'a', 'a@b', 'a@b.c', 'a@b..c', 'a@b.c!', 'x@y.z@'].forEach(input =>
+            assert.strictEqual(minimal.run(input).conclusion, automaton.run(input).conclusion, input));
+        // Start y Sep se juntan pero sus mensajes son distintos: queda la conclusion generica
+        assert.strictEqual(minimal.run('').conclusion, "No se acepta porque termina en Start,Sep, que no es un estado final.");
+    });
+});
@@ -0,0 +1,73 @@
+// Pruebas de la equivalencia de automatas: contraejemplo mas corto, quien lo acepta y el camino
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { EquivalenceChecker, RegexCompiler, Modulo3Automaton, DivisibilityAutomaton, EmailAutomaton } = require('../core');
+const { allStrings } = require('./helpers');
+
+const fromRegex = pattern => new RegexCompiler(pattern).toNFA();
+
+// Expresiones sobre {a, b} que se comparan todas contra todas
+const PATTERNS = [
+    'a*', '(a|b)*', 'a*b*', '(ab)*', '(ab|ba)*', 'a(a|b)*', '(a|b)*a', '(a|b)*abb',
+    'b*(ab*ab*)*', '(aa)*', 'a*(ba*)*', '(a|b)(a|b)', 'a?b?', '(a|b)*ab(a|b)*'
+];
+
+describe('EquivalenceChecker', () => {
+    test('expresiones distintas del mismo lenguaje son equivalentes', () => {
+        [['a*(ba*)*', '(a|b)*'], ['(a|b)*', '(a*b*)*'], ['a(ba)*', '(ab)*a'], ['(a|b)*abb', '(a|b)*abb(abb)*|(a|b)*abb']]
+            .forEach(([a, b]) => {
+                const result = new EquivalenceChecker(fromRegex(a), fromRegex(b)).run();
+                assert.strictEqual(result.equivalent, true, `${a} contra ${b}`);
+                assert.strictEqual(result.counterexample, null);
+                assert.deepStrictEqual(result.path, []);
+            });
+    });
+
+    test('el contraejemplo es la cadena más corta (y menor) donde difieren, contra la fuerza bruta', () => {
+        const strings = allStrings(['a', 'b'], 6);
+        PATTERNS.forEach(a => PATTERNS.forEach(b => {
+            const left = fromRegex(a);
+            const right = fromRegex(b);
+            const result = new EquivalenceChecker(left, right).run();
+            const differs = strings.find(s => left.run(s).accepted !== right.run(s).accepted);
+            if (differs === undefined) {
+                assert.strictEqual(result.equivalent, true, `${a} contra ${b}`);
+                return;
+            }
+            assert.strictEqual(result.equivalent, false, `${a} contra ${b}`);
+            assert.strictEqual(result.counterexample, differs, `${a} contra ${b}`);
+            assert.strictEqual(result.acceptedBy, left.run(differs).accepted ? 'a' : 'b', `${a} contra ${b}`);
+        }));
+    });
+
+    test('el camino lleva un par de estados por cada símbolo del contraejemplo', () => {
+        const result = new Modulo3Automaton().compareWith(new DivisibilityAutomaton(6));
+        assert.strictEqual(result.counterexample, '3');
+        assert.strictEqual(result.acceptedBy, 'a');
+        assert.deepStrictEqual(result.path, [
+            { symbol: '', states: ['Rem 0', 'Rem 0'] },
+            { symbol: '3', states: ['Rem 0', 'Rem 3'] }
+        ]);
+    });
+
+    test('compara ejercicios con categorías distintas y usa el estado trampa implícito', () => {
+        assert.strictEqual(new Modulo3Automaton().compareWith(new DivisibilityAutomaton(3)).equivalent, true);
+
+        const residue = new Modulo3Automaton().compareWith(new DivisibilityAutomaton(3, 10, 1));
+        assert.strictEqual(residue.counterexample, '');
+        assert.strictEqual(residue.acceptedBy, 'a');
+
+        // La cadena vacia: el Email la rechaza y Modulo 3 la acepta
+        const email = new EmailAutomaton().compareWith(new Modulo3Automaton());
+        assert.strictEqual(email.counterexample, '');
+        assert.strictEqual(email.acceptedBy, 'b');
+
+        // Sin transicion para 'a', el segundo automata queda en el estado trampa
+        const dead = new EquivalenceChecker(fromRegex('a'), fromRegex('b')).run();
+        assert.strictEqual(dead.counterexample, 'a');
+        assert.strictEqual(dead.acceptedBy, 'a');
+        assert.strictEqual(dead.path[1].states[1], '∅');
+    });
+});
@@ -0,0 +1,32 @@
+// Pruebas de las gramaticas regulares: la gramatica generada se vuelve a leer sin cambiar el lenguaje
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { RegularGrammar, EmailAutomaton, Modulo3Automaton, DecimalNFA, DivisibilityAutomaton } = require('../core');
+
+const EXAMPLES = [
+    () => new EmailAutomaton(),
+    () => new Modulo3Automaton(),
+    () => new DecimalNFA(),
+    () => new DivisibilityAutomaton(5, 2, 1)
+];
+
+describe('RegularGrammar', () => {
+    EXAMPLES.forEach(create => {
+        const automaton = create();
+        ['letters', 'labels'].forEach(naming => ['range', 'name', 'expand'].forEach(classes => {
+            test(`ida y vuelta: ${automaton.name} (${naming}, ${classes})`, () => {
+                const grammar = automaton.getGrammar({ naming, classes });
+                const { equivalent, counterexample } = RegularGrammar.parse(grammar).compareWith(automaton);
+                assert.ok(equivalent, `contraejemplo: "${counterexample}"\n${grammar}`);
+            });
+        }));
+    });
+
+    test('los terminales que parecen no terminales se escapan', () => {
+        const grammar = new EmailAutomaton().getGrammar({ naming: 'letters', classes: 'expand' });
+        assert.ok(grammar.includes('\\A '), grammar);
+        assert.ok(grammar.includes('\\S '), grammar);
+    });
+});
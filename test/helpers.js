@@ -0,0 +1,27 @@
+// Generadores compartidos por las pruebas (no tiene pruebas propias)
+
+// Generador pseudoaleatorio con semilla (mulberry32) para poder repetir una falla
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Semilla de la corrida: SEED=123 node --test la repite
+const seed = Number(process.env.SEED) || Date.now() % 4294967296;
+
+// Todas las cadenas sobre los caracteres dados hasta cierta longitud
+function allStrings(chars, maxLength) {
+    const result = [''];
+    let level = [''];
+    for (let length = 1; length <= maxLength; length++) {
+        level = level.flatMap(prefix => chars.map(c => prefix + c));
+        result.push(...level);
+    }
+    return result;
+}
+
+module.exports = { random, seed, allStrings };
@@ -0,0 +1,76 @@
+// Pruebas de Explorar Lenguaje: enumeracion shortlex, conteos, vacio/infinito y muestras
+// Ejecutar con: node --test   (SEED=123 node --test para repetir una corrida)
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Automaton, EmailAutomaton, Modulo3Automaton, DecimalNFA, LanguageExplorer } = require('../core');
+const { random, seed } = require('./helpers');
+
+function define(states, transitions) {
+    return Automaton.fromJSON({ format: 'automata-visualizer', version: 1, states, transitions });
+}
+
+describe('LanguageExplorer', () => {
+    test('enumera el módulo 3 en orden shortlex', () => {
+        const { strings, total, truncated } = new LanguageExplorer(new Modulo3Automaton()).enumerate(2, 8);
+        assert.deepStrictEqual(strings, ['', '0', '3', '6', '9', '00', '03', '06']);
+        assert.strictEqual(total, 39n);
+        assert.strictEqual(truncated, true);
+    });
+
+    test('los conteos por longitud coinciden con la enumeración completa', () => {
+        const explorer = new LanguageExplorer(new DecimalNFA());
+        const { strings, truncated } = explorer.enumerate(4, 100000);
+        assert.strictEqual(truncated, false);
+        explorer.countByLength(4).forEach(({ length, count }) => {
+            assert.strictEqual(BigInt(strings.filter(s => s.length === length).length), count, `longitud ${length}`);
+        });
+        strings.forEach(s => assert.strictEqual(new DecimalNFA().run(s).accepted, true, s));
+    });
+
+    test('la cadena más corta del email y su lenguaje infinito', () => {
+        const explorer = new LanguageExplorer(new EmailAutomaton());
+        assert.strictEqual(explorer.shortest(), '0@0.0');
+        assert.strictEqual(explorer.isEmpty(), false);
+        assert.strictEqual(explorer.isInfinite(), true);
+        assert.deepStrictEqual(explorer.countByLength(5).map(c => c.count), [0n, 0n, 0n, 0n, 0n, 238328n]);
+    });
+
+    test('detecta lenguajes vacíos y finitos', () => {
+        const empty = new LanguageExplorer(define(
+            [{ id: 'a', isStart: true }, { id: 'b' }],
+            [{ from: 'a', to: 'b', symbol: 'x' }]));
+        assert.strictEqual(empty.isEmpty(), true);
+        assert.strictEqual(empty.shortest(), null);
+        assert.strictEqual(empty.randomAccepted(5), null);
+
+        // El ciclo en el estado trampa no hace infinito al lenguaje
+        const finite = new LanguageExplorer(define(
+            [{ id: 'a', isStart: true }, { id: 'b', isFinal: true }, { id: 'c' }],
+            [{ from: 'a', to: 'b', symbol: 'x' }, { from: 'b', to: 'c', symbol: 'x' }, { from: 'c', to: 'c', symbol: 'x' }]));
+        assert.strictEqual(finite.isInfinite(), false);
+        assert.deepStrictEqual(finite.enumerate(10).strings, ['x']);
+    });
+
+    test(`muestras al azar de emails aceptadas y casi válidas (semilla ${seed})`, () => {
+        const next = random(seed);
+        const email = new EmailAutomaton();
+        const explorer = new LanguageExplorer(email);
+        for (let i = 0; i < 100; i++) {
+            const accepted = explorer.randomAccepted(12, next);
+            assert.ok([...accepted].length <= 12, accepted);
+            assert.strictEqual(email.run(accepted).accepted, true, accepted);
+
+            const rejected = explorer.randomRejected(12, next);
+            assert.ok([...rejected].length <= 12, rejected);
+            assert.strictEqual(email.run(rejected).accepted, false, rejected);
+        }
+    });
+
+    test('no hay rechazadas si se acepta todo', () => {
+        const all = new LanguageExplorer(define(
+            [{ id: 'a', isStart: true, isFinal: true }],
+            [{ from: 'a', to: 'a', symbol: 'x' }]));
+        assert.strictEqual(all.randomRejected(4, random(seed)), null);
+    });
+});
@@ -0,0 +1,56 @@
+// Pruebas de la minimizacion: mismo lenguaje, numero minimo de estados, rondas y estados quitados
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { RegexCompiler, EmailAutomaton, Modulo3Automaton, DivisibilityAutomaton } = require('../core');
+const { allStrings } = require('./helpers');
+
+// DFA de cada expresion (por subconjuntos, con estados de sobra) y su numero minimo de estados
+const CASES = [
+    ['a*', 1], ['(ab)*', 2], ['(a|b)*b', 2], ['b*(ab*ab*)*', 2], ['(a|b)*abb', 4], ['a(a|b)*', 2]
+];
+
+describe('minimize', () => {
+    test('el DFA mínimo acepta lo mismo con el mínimo de estados', () => {
+        const strings = allStrings(['a', 'b'], 6);
+        CASES.forEach(([pattern, size]) => {
+            const dfa = new RegexCompiler(pattern).toNFA().toDFA();
+            const minimal = dfa.minimize().automaton;
+            assert.strictEqual(minimal.states.length, size, pattern);
+            strings.forEach(s => assert.strictEqual(minimal.run(s).accepted, dfa.run(s).accepted, `${pattern}: "${s}"`));
+            // Minimizar otra vez no cambia nada
+            assert.strictEqual(minimal.minimize().automaton.states.length, size, pattern);
+        });
+    });
+
+    test('los ejercicios: Email, Modulo 3 y divisibilidad', () => {
+        [[new EmailAutomaton(), 6], [new Modulo3Automaton(), 3], [new DivisibilityAutomaton(6), 4], [new DivisibilityAutomaton(4), 3]]
+            .forEach(([automaton, size]) => {
+                const minimal = automaton.minimize().automaton;
+                assert.strictEqual(minimal.states.length, size, automaton.name);
+                assert.strictEqual(minimal.compareWith(automaton).equivalent, true, automaton.name);
+            });
+    });
+
+    test('las rondas empiezan con finales contra no finales y el mapa junta los estados equivalentes', () => {
+        const { rounds, stateMap, dead } = new EmailAutomaton().minimize();
+        assert.deepStrictEqual(rounds[0][0], ['q5']);
+        assert.ok(rounds[0][1].includes(dead), 'el estado trampa implicito cuenta como no final');
+        assert.deepStrictEqual(rounds.map(r => r.length), [2, 3, 4, 5, 6, 7]);
+        assert.strictEqual(stateMap.q0, stateMap.q1s);
+        assert.strictEqual(stateMap.q2, stateMap.q3s);
+        assert.strictEqual(new Set(Object.values(stateMap)).size, 6);
+    });
+
+    test('los estados inalcanzables se quitan y se reportan', () => {
+        const automaton = new Modulo3Automaton();
+        const island = automaton.addState(0, 0, 'Isla');
+        automaton.addTransition(island.id, 'q0', 'MOD0');
+        const { automaton: minimal, unreachable, stateMap } = automaton.minimize();
+        assert.deepStrictEqual(unreachable.map(s => s.label), ['Isla']);
+        assert.strictEqual(stateMap[island.id], undefined);
+        assert.strictEqual(minimal.states.length, 3);
+        assert.ok(minimal.states.every(s => s.label !== 'Isla'));
+    });
+});
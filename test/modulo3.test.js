@@ -0,0 +1,80 @@
+// Pruebas del ejercicio de Modulo 3, incluyendo pruebas por propiedades contra BigInt
+// Ejecutar con: node --test   (SEED=123 node --test para repetir una corrida)
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Modulo3Automaton, DivisibilityAutomaton } = require('../core');
+const { random, seed } = require('./helpers');
+
+const automaton = new Modulo3Automaton();
+
+function randomDigits(next, maxLength) {
+    const length = Math.floor(next() * (maxLength + 1));
+    let text = '';
+    for (let i = 0; i < length; i++) text += Math.floor(next() * 10);
+    return text;
+}
+
+describe('Modulo3Automaton', () => {
+    test('acepta múltiplos de 3', () => {
+        ['', '0', '3', '12', '99', '123', '000', '3000000000000000000000000000003']
+            .forEach(input => assert.strictEqual(automaton.run(input).accepted, true, input));
+    });
+
+    test('rechaza lo que no es múltiplo de 3', () => {
+        ['1', '2', '10', '11', '100', '124', '1000000000000000000000000000000']
+            .forEach(input => assert.strictEqual(automaton.run(input).accepted, false, input));
+    });
+
+    test('conclusiones', () => {
+        assert.strictEqual(automaton.run('123').conclusion,
+            "Es aceptada porque la suma de sus dígitos es 6, que es múltiplo de 3.");
+        assert.strictEqual(automaton.run('').conclusion,
+            "Es aceptada porque la suma de sus dígitos es 0, que es múltiplo de 3.");
+        assert.strictEqual(automaton.run('13').conclusion,
+            "No es aceptada porque la suma de sus dígitos es 4 (residuo 1), y para ser múltiplo de 3 el residuo debe ser 0.");
+        assert.strictEqual(automaton.run('815').conclusion,
+            "No es aceptada porque la suma de sus dígitos es 14 (residuo 2), y para ser múltiplo de 3 el residuo debe ser 0.");
+    });
+
+    test('rechaza caracteres que no son dígitos y dice cuál y dónde', () => {
+        [['12a', 'a', 3], ['-3', '-', 1], ['1.5', '.', 2], [' 3', ' ', 1], ['٣', '٣', 1]].forEach(([input, char, position]) => {
+            const result = automaton.run(input);
+            assert.strictEqual(result.valid, false, input);
+            assert.strictEqual(result.accepted, false, input);
+            assert.strictEqual(result.conclusion, `No se acepta porque '${char}' (posición ${position}) no es un dígito.`, input);
+        });
+        assert.strictEqual(automaton.run('12a').failedAt, 2);
+    });
+
+    test(`propiedad: acepta si y solo si BigInt(n) % 3n === 0n (semilla ${seed})`, () => {
+        const next = random(seed);
+        for (let i = 0; i < 1000; i++) {
+            const input = randomDigits(next, 60);
+            const remainder = BigInt(input) % 3n; // BigInt('') es 0n
+            assert.strictEqual(automaton.run(input).accepted, remainder === 0n, `"${input}" (semilla ${seed})`);
+        }
+    });
+
+    test(`propiedad: el estado final es el residuo (semilla ${seed})`, () => {
+        const next = random(seed + 1);
+        for (let i = 0; i < 500; i++) {
+            const input = randomDigits(next, 40);
+            const result = automaton.run(input);
+            assert.strictEqual(result.finalState.label, `Rem ${BigInt(input) % 3n}`, `"${input}" (semilla ${seed})`);
+            if (!result.accepted) {
+                assert.ok(result.conclusion.includes(`(residuo ${BigInt(input) % 3n})`), `"${input}" (semilla ${seed})`);
+            }
+        }
+    });
+});
+
+describe('DivisibilityAutomaton', () => {
+    test('conclusiones con el valor del número y el dígito que no es de la base', () => {
+        const automaton = new DivisibilityAutomaton(7, 16);
+        assert.strictEqual(automaton.run('1C').conclusion, "Es aceptada porque 1C en base 16 es 28 y 28 mod 7 = 0.");
+        assert.strictEqual(automaton.run('10').conclusion, "No es aceptada porque 10 en base 16 es 16 y 16 mod 7 = 2; se necesita residuo 0.");
+        assert.strictEqual(automaton.run('1G').conclusion, "No se acepta porque 'G' (posición 2) no es un dígito de base 16.");
+        assert.strictEqual(automaton.run('A1c').conclusion, "No se acepta porque 'c' (posición 3) no es un dígito de base 16 (usa mayúsculas).");
+    });
+});
@@ -0,0 +1,58 @@
+// Pruebas de los NFA: simulacion con transiciones ε y construccion de subconjuntos
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { EPSILON, RegexCompiler, DecimalNFA } = require('../core');
+const { allStrings } = require('./helpers');
+
+// Un DFA no tiene ε ni dos transiciones que lean el mismo caracter desde un estado
+function assertDeterministic(dfa, chars, name) {
+    assert.ok(dfa.transitions.every(t => t.symbol !== EPSILON), name);
+    dfa.states.forEach(s => chars.forEach(c => {
+        const matching = dfa.transitions.filter(t => t.from === s.id && dfa.matchesSymbol(t.symbol, c));
+        assert.ok(matching.length <= 1, `${name}: ${s.label} con '${c}'`);
+    }));
+}
+
+describe('DecimalNFA', () => {
+    const nfa = new DecimalNFA();
+
+    test('acepta números con punto decimal y signo opcional', () => {
+        ['+1.5', '1.', '.5', '-0.25', '12.34'].forEach(input => assert.strictEqual(nfa.run(input).accepted, true, input));
+        ['', '1', '-1', '-', '.', '1.2.3', '+-1', '12a'].forEach(input => assert.strictEqual(nfa.run(input).accepted, false, input));
+    });
+
+    test('los estados activos incluyen la cerradura ε', () => {
+        const labels = input => nfa.run(input).activeStates.map(s => s.label);
+        assert.deepStrictEqual(labels(''), ['q0', 'q1']);
+        assert.deepStrictEqual(labels('1.'), ['q2', 'q3', 'q5']);
+        assert.deepStrictEqual(labels('+-1'), []);
+    });
+
+    test('el DFA de subconjuntos acepta lo mismo', () => {
+        const dfa = nfa.toDFA();
+        assert.deepStrictEqual(dfa.states.map(s => s.label), ['{q0, q1}', '{q1}', '{q1, q4}', '{q2}', '{q2, q3, q5}', '{q3, q5}']);
+        assertDeterministic(dfa, ['1', '.', '-', '+'], dfa.name);
+        allStrings(['1', '.', '-', '+', 'a'], 5).forEach(input =>
+            assert.strictEqual(dfa.run(input).accepted, nfa.run(input).accepted, input));
+    });
+});
+
+describe('toDFA', () => {
+    test('las expresiones compiladas (NFA de Thompson) dan un DFA equivalente', () => {
+        const strings = allStrings(['a', 'b'], 6);
+        ['a*', '(a|b)*abb', '(ab|ba)*', 'a?b+', '(a|ε)(b|ε)', 'b*(ab*ab*)*'].forEach(pattern => {
+            const nfa = new RegexCompiler(pattern).toNFA();
+            const dfa = nfa.toDFA();
+            assertDeterministic(dfa, ['a', 'b'], pattern);
+            strings.forEach(s => assert.strictEqual(dfa.run(s).accepted, nfa.run(s).accepted, `${pattern}: "${s}"`));
+        });
+    });
+
+    test('sin estado inicial el DFA queda vacío', () => {
+        const nfa = new RegexCompiler('ab').toNFA();
+        nfa.states.forEach(s => s.isStart = false);
+        assert.strictEqual(nfa.toDFA().states.length, 0);
+    });
+});
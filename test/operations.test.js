@@ -0,0 +1,86 @@
+// Pruebas de las operaciones con lenguajes contra su definicion en todas las cadenas cortas
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { LanguageOperations, RegexCompiler, Modulo3Automaton, EmailAutomaton } = require('../core');
+const { allStrings } = require('./helpers');
+
+const PATTERNS = ['a*', '(ab)*', 'a(a|b)*', '(a|b)*b', 'b*(ab*ab*)*', 'ab|ba', '(a|b)*abb'];
+const STRINGS = allStrings(['a', 'b'], 5);
+
+// Cada expresion con su alfabeto completo {a, b} y una funcion que dice si acepta
+const operands = PATTERNS.map(pattern => {
+    const automaton = new RegexCompiler(pattern).toNFA();
+    automaton.name = pattern;
+    automaton.alphabet = ['a', 'b'];
+    return { pattern, automaton, accepts: s => automaton.run(s).accepted };
+});
+
+// Las formas de partir una cadena en dos
+const splits = s => [...Array(s.length + 1).keys()].map(i => [s.slice(0, i), s.slice(i)]);
+
+describe('LanguageOperations', () => {
+    test('unión, intersección y diferencia por el producto', () => {
+        const modes = {
+            union: (p, q) => p || q,
+            intersection: (p, q) => p && q,
+            difference: (p, q) => p && !q
+        };
+        operands.forEach(a => operands.forEach(b => Object.entries(modes).forEach(([mode, expected]) => {
+            const result = LanguageOperations.product(a.automaton, b.automaton, mode);
+            STRINGS.forEach(s => assert.strictEqual(result.run(s).accepted, expected(a.accepts(s), b.accepts(s)),
+                `${a.pattern} ${mode} ${b.pattern}: "${s}"`));
+        })));
+    });
+
+    test('complemento sobre el alfabeto del autómata', () => {
+        operands.forEach(a => {
+            const result = LanguageOperations.complement(a.automaton);
+            STRINGS.forEach(s => assert.strictEqual(result.run(s).accepted, !a.accepts(s), `no ${a.pattern}: "${s}"`));
+            assert.strictEqual(result.run('c').accepted, false, 'fuera del alfabeto');
+        });
+    });
+
+    test('concatenación, estrella y reverso', () => {
+        operands.forEach(a => {
+            const star = LanguageOperations.star(a.automaton);
+            const reverse = LanguageOperations.reverse(a.automaton);
+            // s esta en A* si es vacia o empieza con un trozo no vacio de A seguido de algo de A*
+            const inStar = new Map();
+            STRINGS.forEach(s => inStar.set(s, s === '' || splits(s).some(([x, y]) => x !== '' && a.accepts(x) && inStar.get(y))));
+            STRINGS.forEach(s => {
+                assert.strictEqual(star.run(s).accepted, inStar.get(s), `(${a.pattern})*: "${s}"`);
+                assert.strictEqual(reverse.run(s).accepted, a.accepts([...s].reverse().join('')), `reverso de ${a.pattern}: "${s}"`);
+            });
+            operands.forEach(b => {
+                const result = LanguageOperations.concatenate(a.automaton, b.automaton);
+                STRINGS.forEach(s => assert.strictEqual(result.run(s).accepted,
+                    splits(s).some(([x, y]) => a.accepts(x) && b.accepts(y)), `${a.pattern} · ${b.pattern}: "${s}"`));
+            });
+        });
+    });
+
+    test('los operandos no cambian y el complemento no conserva los mensajes', () => {
+        const email = new EmailAutomaton();
+        const modulo3 = new Modulo3Automaton();
+        const before = [email, modulo3].map(a => JSON.stringify(a.toJSON()));
+        const complement = LanguageOperations.complement(email);
+        LanguageOperations.product(email, modulo3, 'union');
+        LanguageOperations.concatenate(email, modulo3);
+        LanguageOperations.star(email);
+        LanguageOperations.reverse(modulo3);
+        assert.deepStrictEqual([email, modulo3].map(a => JSON.stringify(a.toJSON())), before);
+        assert.deepStrictEqual(complement.messages, {});
+        assert.ok(complement.states.every(s => !s.message && !s.errorMessage));
+        assert.strictEqual(complement.run('ab').accepted, true);
+    });
+
+    test('un operando sin estado inicial da error', () => {
+        const empty = new Modulo3Automaton();
+        empty.states.forEach(s => s.isStart = false);
+        empty.name = 'Sin inicio';
+        assert.throws(() => LanguageOperations.product(empty, new Modulo3Automaton(), 'union'), /Sin inicio no tiene estado inicial/);
+        assert.throws(() => LanguageOperations.star(empty), /Sin inicio no tiene estado inicial/);
+    });
+});
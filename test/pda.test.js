@@ -0,0 +1,123 @@
+// Pruebas de los automatas de pila: parentesis balanceados (pila vacia) y aⁿbⁿ (estado final)
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Automaton, PushdownAutomaton, BalancedParensPDA, AnBnPDA, MAX_STACK } = require('../core');
+const { allStrings } = require('./helpers');
+
+// Referencia: profundidad que nunca baja de 0 y termina en 0
+function isBalanced(text) {
+    let depth = 0;
+    for (const c of text) {
+        depth += c === '(' ? 1 : -1;
+        if (depth < 0) return false;
+    }
+    return depth === 0;
+}
+
+describe('BalancedParensPDA', () => {
+    const automaton = new BalancedParensPDA();
+
+    test('coincide con la referencia en todas las cadenas de hasta 8 caracteres', () => {
+        allStrings(['(', ')'], 8).forEach(input =>
+            assert.strictEqual(automaton.run(input).accepted, isBalanced(input), input));
+    });
+
+    test('conclusiones: vacía, balanceada, paréntesis sin abrir y sin cerrar', () => {
+        assert.strictEqual(automaton.run('').conclusion, "Es aceptada porque la cadena vacía está balanceada.");
+        assert.strictEqual(automaton.run('(())()').conclusion,
+            "Es aceptada porque cada '(' se cierra con una ')' y la pila queda vacía (profundidad máxima 2).");
+        assert.strictEqual(automaton.run('())').conclusion, "No se acepta porque la ')' de la posición 3 no tiene un '(' que cerrar.");
+        assert.strictEqual(automaton.run('((()').conclusion, "No se acepta porque quedan 2 '(' sin cerrar: la pila no se vacía.");
+    });
+
+    test('la traza muestra las configuraciones (estado, pila)', () => {
+        const { steps } = automaton.run('()');
+        assert.deepStrictEqual(steps.map(s => [s.from, s.to]), [
+            ['{(q0, Z), (q0, ε)}', '(q0, XZ)'],
+            ['(q0, XZ)', '{(q0, Z), (q0, ε)}']
+        ]);
+    });
+
+    test('el diagnóstico incluye la pila donde se atoró', () => {
+        const { diagnostic, failedAt } = automaton.run('(()))');
+        assert.strictEqual(failedAt, 4);
+        assert.strictEqual(diagnostic.kind, 'stuck');
+        assert.deepStrictEqual(diagnostic.configurations.map(c => c.stack), ['Z', '']);
+        assert.deepStrictEqual(diagnostic.expected, ['(']);
+    });
+});
+
+describe('AnBnPDA', () => {
+    const automaton = new AnBnPDA();
+
+    test('acepta exactamente aⁿbⁿ', () => {
+        allStrings(['a', 'b'], 8).forEach(input => {
+            const n = input.length / 2;
+            const expected = input === 'a'.repeat(n) + 'b'.repeat(n);
+            assert.strictEqual(automaton.run(input).accepted, expected, input);
+        });
+    });
+
+    test('conclusiones de cada tipo de rechazo', () => {
+        assert.strictEqual(automaton.run('aaabbb').conclusion, "Es aceptada porque tiene 3 'a' seguidas de 3 'b'.");
+        assert.strictEqual(automaton.run('aab').conclusion, "No se acepta porque tiene 2 'a' y 1 'b'; falta 1 'b'.");
+        assert.strictEqual(automaton.run('abb').conclusion, "No se acepta porque la 'b' de la posición 3 no tiene una 'a' con la cual emparejarse.");
+        assert.strictEqual(automaton.run('abab').conclusion, "No se acepta porque hay una 'a' (posición 3) después de las 'b'.");
+        assert.strictEqual(automaton.run('ac').conclusion, "No se acepta porque el símbolo 'c' (posición 2) no pertenece al alfabeto del autómata.");
+    });
+});
+
+describe('PushdownAutomaton', () => {
+    test('JSON: ida y vuelta conserva pop, push, pila inicial y modo de aceptación', () => {
+        const original = new BalancedParensPDA();
+        const copy = Automaton.fromJSON(JSON.parse(JSON.stringify(original.toJSON())));
+        assert.ok(copy instanceof PushdownAutomaton);
+        assert.strictEqual(copy.acceptance, 'empty');
+        assert.strictEqual(copy.stackStart, 'Z');
+        assert.deepStrictEqual(copy.toJSON().transitions, original.toJSON().transitions);
+        assert.strictEqual(copy.run('(()())').accepted, true);
+    });
+
+    test('JSON: push "ε" y pop omitido equivalen a no tocar la pila', () => {
+        const automaton = Automaton.fromJSON({
+            format: 'automata-visualizer', version: 1, type: 'PDA',
+            states: [{ id: 'p', isStart: true, isFinal: true }],
+            transitions: [{ from: 'p', to: 'p', symbol: 'x', push: 'ε' }]
+        });
+        assert.deepStrictEqual(automaton.transitions[0], { from: 'p', to: 'p', symbol: 'x', pop: 'ε', push: '' });
+        assert.strictEqual(automaton.run('xxx').accepted, true);
+    });
+
+    test('validación de los campos propios del PDA', () => {
+        const errors = Automaton.validateDefinition({
+            format: 'automata-visualizer', version: 1, type: 'PDA', stackStart: 'ZZ', acceptance: 'vacía',
+            states: [{ id: 'p', isStart: true }],
+            transitions: [{ from: 'p', to: 'p', symbol: 'a', pop: 'AB', push: 3 }]
+        });
+        assert.strictEqual(errors.length, 4);
+    });
+
+    test('las transiciones ε que solo meten a la pila se detienen en el límite', () => {
+        const automaton = Automaton.fromJSON({
+            format: 'automata-visualizer', version: 1, type: 'PDA',
+            states: [{ id: 'p', isStart: true, isFinal: true }],
+            transitions: [{ from: 'p', to: 'p', symbol: 'ε', pop: 'ε', push: 'A' }]
+        });
+        const result = automaton.run('');
+        assert.strictEqual(result.accepted, true);
+        assert.strictEqual(automaton.truncated, true);
+        assert.ok(automaton.configurations.every(c => c.stack.length <= MAX_STACK));
+    });
+
+    test('un DFA convertido a PDA acepta el mismo lenguaje', () => {
+        const { Modulo3Automaton } = require('../core');
+        const dfa = new Modulo3Automaton();
+        const pda = PushdownAutomaton.fromAutomaton(dfa);
+        assert.strictEqual(pda.usesStack(), false);
+        ['', '3', '12', '100', '999', '7'].forEach(input =>
+            assert.strictEqual(pda.run(input).accepted, dfa.run(input).accepted, input));
+        assert.strictEqual(pda.toNFA().type, 'NFA');
+    });
+});
@@ -0,0 +1,79 @@
+// Pruebas del compilador de expresiones regulares (clases, escapes y errores de sintaxis) y de la
+// expresion equivalente de un automata por eliminacion de estados
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Automaton, RegexCompiler, EmailAutomaton, Modulo3Automaton, DivisibilityAutomaton, DecimalNFA } = require('../core');
+const { allStrings } = require('./helpers');
+
+// Veredicto de la expresion para cada cadena
+function accepts(pattern, inputs) {
+    const nfa = new RegexCompiler(pattern).toNFA();
+    return inputs.map(input => nfa.run(input).accepted);
+}
+
+describe('RegexCompiler', () => {
+    test('\\d es un dígito dentro y fuera de una clase', () => {
+        assert.deepStrictEqual(accepts('\\d', ['5', 'd']), [true, false]);
+        assert.deepStrictEqual(accepts('[\\d_]+', ['5_0', '_', 'd', 'a']), [true, true, false, false]);
+        assert.deepStrictEqual(accepts('[\\d]', ['7', 'd']), [true, false]);
+    });
+
+    test('las llaves solo se aceptan escapadas', () => {
+        assert.throws(() => new RegexCompiler('a{2}').toNFA(), /posición 2: las repeticiones \{n\} no están soportadas/);
+        assert.deepStrictEqual(accepts('a\\{2\\}', ['a{2}', 'aa']), [true, false]);
+    });
+
+    test('la expresión equivalente de un autómata con llaves se vuelve a compilar', () => {
+        const automaton = new Automaton('Llaves');
+        const q0 = automaton.addState(0, 0, 'q0');
+        const q1 = automaton.addState(100, 0, 'q1');
+        q0.isStart = true;
+        q0.isFinal = true;
+        automaton.addTransition(q0.id, q1.id, '{');
+        automaton.addTransition(q1.id, q0.id, '}');
+        const { regex } = automaton.toRegex();
+        assert.strictEqual(regex, '(\\{\\})*');
+        const inputs = ['', '{}', '{}{}', '{', '}{', '{a}'];
+        assert.deepStrictEqual(accepts(regex, inputs), inputs.map(input => automaton.run(input).accepted));
+    });
+
+    test('el punto y las clases negadas dan error', () => {
+        assert.throws(() => new RegexCompiler('a.b').toNFA(), /comodín/);
+        assert.throws(() => new RegexCompiler('[^a]').toNFA(), /negadas/);
+    });
+});
+
+describe('toRegex', () => {
+    test('la expresión de cada expresión compilada acepta lo mismo', () => {
+        const strings = allStrings(['a', 'b'], 6);
+        ['a*', '(a|b)*abb', '(ab|ba)*', 'a?b+', 'b*(ab*ab*)*', 'a(a|b)*b|b'].forEach(pattern => {
+            const dfa = new RegexCompiler(pattern).toNFA().toDFA();
+            const back = new RegexCompiler(dfa.toRegex().regex).toNFA();
+            strings.forEach(s => assert.strictEqual(back.run(s).accepted, dfa.run(s).accepted, `${pattern}: "${s}"`));
+        });
+    });
+
+    test('la de cada ejercicio se vuelve a compilar en un autómata equivalente', () => {
+        [new EmailAutomaton(), new Modulo3Automaton(), new DivisibilityAutomaton(5, 2, 1), new DecimalNFA()].forEach(automaton => {
+            const { regex } = automaton.toRegex();
+            assert.strictEqual(new RegexCompiler(regex).toNFA().compareWith(automaton).equivalent, true, `${automaton.name}: ${regex}`);
+        });
+        assert.strictEqual(new DecimalNFA().toRegex().regex, '[+\\-]?[0-9]*(\\.[0-9]|[0-9]\\.)[0-9]*');
+    });
+
+    test('los pasos eliminan un estado a la vez, empezando por el autómata completo', () => {
+        const { steps } = new Modulo3Automaton().toRegex();
+        assert.deepStrictEqual(steps.map(s => s.eliminated && s.eliminated.label), [null, 'Rem 1', 'Rem 2', 'Rem 0']);
+    });
+
+    test('lenguaje vacío y solo la cadena vacía', () => {
+        const automaton = new Automaton('Vacío');
+        const q0 = automaton.addState(0, 0, 'q0');
+        q0.isStart = true;
+        assert.strictEqual(automaton.toRegex().regex, '∅');
+        q0.isFinal = true;
+        assert.strictEqual(automaton.toRegex().regex, 'ε');
+    });
+});
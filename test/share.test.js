@@ -0,0 +1,48 @@
+// Pruebas de los enlaces para compartir: ida y vuelta, hash ajeno y enlaces dañados
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Automaton, ShareLink, SHARE_PREFIX, Modulo3Automaton, DivisibilityAutomaton } = require('../core');
+
+const DAMAGED = /El enlace compartido está incompleto o dañado\./;
+
+describe('ShareLink', () => {
+    test('ida y vuelta con nombres y cadenas fuera de ASCII', () => {
+        const share = {
+            module: 'custom',
+            automaton: { ...new Modulo3Automaton().toJSON(), name: 'Autómata ñandú ε→∅ 🚀' },
+            input: 'año@dominio.com',
+            batch: 'ε => acepta\n¿π? => rechaza'
+        };
+        const hash = ShareLink.encode(share);
+        assert.ok(hash.startsWith(SHARE_PREFIX));
+        assert.ok(/^[A-Za-z0-9_-]*$/.test(hash.slice(SHARE_PREFIX.length)), 'base64 apto para URL');
+        assert.deepStrictEqual(ShareLink.decode(hash), share);
+    });
+
+    test('un hash sin el prefijo no es un enlace compartido', () => {
+        assert.strictEqual(ShareLink.decode(''), null);
+        assert.strictEqual(ShareLink.decode('#otra-cosa'), null);
+        assert.strictEqual(ShareLink.decode(ShareLink.encode({ a: 1 }).slice(1)), null);
+    });
+
+    test('un enlace cortado o alterado da el error de enlace dañado', () => {
+        const hash = ShareLink.encode({ module: 'custom', input: 'año' });
+        assert.throws(() => ShareLink.decode(hash.slice(0, -5)), DAMAGED);
+        assert.throws(() => ShareLink.decode(SHARE_PREFIX + '!!!no-es-base64'), DAMAGED);
+        assert.throws(() => ShareLink.decode(SHARE_PREFIX + '_-8'), DAMAGED); // bytes que no son UTF-8
+        assert.throws(() => ShareLink.decode(ShareLink.encode(42)), DAMAGED); // JSON que no es un objeto
+    });
+
+    test('un autómata generado vuelve con sus parámetros y sus conclusiones', () => {
+        const generated = new DivisibilityAutomaton(7, 16);
+        generated.states[0].x = 123; // el grafo guardado, con sus cambios, queda encima
+        const share = ShareLink.decode(ShareLink.encode({ custom: generated.toJSON(), generator: generated.getParameters() }));
+        const restored = DivisibilityAutomaton.restore(share.generator, Automaton.fromJSON(share.custom));
+        assert.ok(restored instanceof DivisibilityAutomaton);
+        assert.deepStrictEqual(restored.toJSON(), generated.toJSON());
+        assert.strictEqual(restored.run('1C').conclusion, 'Es aceptada porque 1C en base 16 es 28 y 28 mod 7 = 0.');
+        assert.throws(() => DivisibilityAutomaton.restore({ divisor: 0, base: 10, remainder: 0 }, Automaton.fromJSON(share.custom)), /N debe ser un entero/);
+    });
+});
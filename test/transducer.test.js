@@ -0,0 +1,143 @@
+// Pruebas de las maquinas de Mealy y de Moore: codigo Gray, residuos, conversiones y JSON
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Automaton, MealyMachine, MooreMachine, GrayCodeMealy, Modulo3Moore, Modulo3Automaton } = require('../core');
+const { allStrings } = require('./helpers');
+
+// Codigo Gray de referencia con el mismo numero de bits: n XOR (n >> 1)
+function gray(bits) {
+    if (!bits) return '';
+    const n = BigInt('0b' + bits);
+    return (n ^ (n >> 1n)).toString(2).padStart(bits.length, '0');
+}
+
+describe('GrayCodeMealy', () => {
+    const mealy = new GrayCodeMealy();
+
+    test('coincide con n XOR (n >> 1) en todos los binarios de hasta 8 bits', () => {
+        allStrings(['0', '1'], 8).forEach(input => {
+            const result = mealy.run(input);
+            assert.strictEqual(result.accepted, true, input);
+            assert.strictEqual(result.output, gray(input), input);
+        });
+    });
+
+    test('cada paso de la traza lleva lo que emite', () => {
+        assert.deepStrictEqual(mealy.run('110').steps.map(s => s.output), ['1', '0', '1']);
+    });
+
+    test('conclusiones: código Gray y bit inválido con la salida hasta ahí', () => {
+        assert.strictEqual(mealy.run('1011').conclusion,
+            "Es aceptada: el código Gray de 1011 es 1110 (cada bit es el leído XOR el anterior).");
+        const result = mealy.run('12');
+        assert.strictEqual(result.output, '1');
+        assert.strictEqual(result.conclusion, "No se acepta porque '2' (posición 2) no es un bit. Salida hasta ahí: 1.");
+    });
+});
+
+describe('Modulo3Moore', () => {
+    const moore = new Modulo3Moore();
+
+    test('emite el residuo de cada prefijo, empezando por el de la cadena vacía', () => {
+        allStrings(['0', '1', '5', '7'], 5).forEach(input => {
+            const expected = [...input].map((_, i) => (BigInt(input.slice(0, i + 1)) % 3n).toString());
+            const result = moore.run(input);
+            assert.strictEqual(result.output, '0' + expected.join(''), input);
+            assert.strictEqual(result.accepted, new Modulo3Automaton().run(input).accepted, input);
+        });
+    });
+
+    test('conclusiones con los residuos', () => {
+        assert.strictEqual(moore.run('12').conclusion, "Es aceptada porque el residuo entre 3 es 0. Residuos de cada prefijo: 010.");
+        assert.strictEqual(moore.run('124').conclusion, "No es aceptada porque el residuo entre 3 es 1. Residuos de cada prefijo: 0101.");
+        assert.strictEqual(moore.run('1a').conclusion, "No se acepta porque 'a' (posición 2) no es un dígito. Residuos hasta ahí: 01.");
+    });
+});
+
+describe('Conversiones', () => {
+    test('Mealy → Moore emite lo mismo y divide los estados según la salida con la que se llega', () => {
+        const mealy = new GrayCodeMealy();
+        const moore = mealy.toMoore();
+        assert.ok(moore instanceof MooreMachine);
+        // q0 se llega con 0 o con 1, mas la copia inicial sin salida; q1 igual
+        assert.strictEqual(moore.states.length, 5);
+        assert.deepStrictEqual(moore.states.map(s => s.label), ['q0', "q0'", "q0''", 'q1', "q1'"]);
+        allStrings(['0', '1'], 6).forEach(input => {
+            const a = mealy.run(input);
+            const b = moore.run(input);
+            assert.strictEqual(b.output, a.output, input);
+            assert.strictEqual(b.accepted, a.accepted, input);
+        });
+    });
+
+    test('Moore → Mealy emite lo mismo salvo la salida del estado inicial', () => {
+        const moore = new Modulo3Moore();
+        const mealy = moore.toMealy();
+        assert.ok(mealy instanceof MealyMachine);
+        assert.strictEqual(mealy.states.length, moore.states.length);
+        ['', '7', '124', '999', '1a'].forEach(input => {
+            assert.strictEqual(mealy.run(input).output, moore.run(input).output.slice(1), input);
+        });
+    });
+
+    test('desde un DFA aceptan el mismo lenguaje, sin salida', () => {
+        const dfa = new Modulo3Automaton();
+        [MealyMachine, MooreMachine].forEach(Type => {
+            const machine = Type.fromAutomaton(dfa);
+            ['', '3', '12', '124', '1a'].forEach(input => {
+                const result = machine.run(input);
+                assert.strictEqual(result.accepted, dfa.run(input).accepted, input);
+                assert.strictEqual(result.output, '', input);
+            });
+        });
+    });
+});
+
+describe('clone', () => {
+    test('copia de un ejercicio: clase genérica con el nombre dado y las mismas salidas', () => {
+        [[new GrayCodeMealy(), MealyMachine, GrayCodeMealy], [new Modulo3Moore(), MooreMachine, Modulo3Moore]].forEach(([original, Type, Example]) => {
+            const copy = original.clone('Copia');
+            assert.strictEqual(copy.name, 'Copia');
+            assert.ok(copy instanceof Type && !(copy instanceof Example), original.type);
+            assert.deepStrictEqual({ ...copy.toJSON(), name: original.name }, original.toJSON());
+            assert.strictEqual(copy.run('1011').output, original.run('1011').output);
+        });
+    });
+
+    test('la copia editada usa las conclusiones genéricas', () => {
+        const copy = new GrayCodeMealy().clone('Copia');
+        copy.transitions.forEach(t => t.output = 'x');
+        assert.strictEqual(copy.run('10').conclusion, 'Es aceptada porque termina en el estado final q0. Salida: xx.');
+    });
+});
+
+describe('JSON', () => {
+    test('ida y vuelta con las salidas de transiciones y estados', () => {
+        [new GrayCodeMealy(), new Modulo3Moore()].forEach(original => {
+            const copy = Automaton.fromJSON(JSON.parse(JSON.stringify(original.toJSON())));
+            assert.ok(copy instanceof Automaton.types[original.type], original.type);
+            assert.deepStrictEqual(copy.toJSON(), original.toJSON());
+            assert.strictEqual(copy.run('1011').output, original.run('1011').output);
+        });
+    });
+
+    test('la validación exige salidas de texto y no permite transiciones ε ni repetidas', () => {
+        const errors = Automaton.validateDefinition({
+            format: 'automata-visualizer',
+            version: 1,
+            type: 'Moore',
+            alphabet: ['a'],
+            states: [{ id: 'q0', isStart: true, output: 1 }, { id: 'q1', output: '' }],
+            transitions: [
+                { from: 'q0', to: 'q0', symbol: 'a' },
+                { from: 'q0', to: 'q1', symbol: 'a' },
+                { from: 'q0', to: 'q0', symbol: 'ε' }
+            ]
+        });
+        assert.ok(errors.some(e => e.includes('states[0].output debe ser texto')));
+        assert.ok(errors.some(e => e.includes("las transiciones 'ε' no se permiten en una máquina de Moore")));
+        assert.ok(errors.some(e => e.includes('una máquina de Moore debe ser determinista')), errors.join('\n'));
+    });
+});
@@ -0,0 +1,150 @@
+// Pruebas de las maquinas de Turing: incremento binario, palindromos, limite de pasos y JSON
+// Ejecutar con: node --test
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Automaton, TuringMachine, BinaryIncrementTM, PalindromeTM, Modulo3Automaton, EmailAutomaton } = require('../core');
+const { allStrings } = require('./helpers');
+
+// Maquina minima: un estado inicial y las transiciones dadas
+function machine(transitions, extra = {}) {
+    return Automaton.fromJSON({
+        format: 'automata-visualizer',
+        version: 1,
+        type: 'TM',
+        states: [{ id: 'q0', isStart: true }, { id: 'q1', isFinal: true }],
+        transitions,
+        ...extra
+    });
+}
+
+describe('BinaryIncrementTM', () => {
+    const tm = new BinaryIncrementTM();
+
+    test('deja en la cinta el número más uno en todos los binarios de hasta 8 dígitos', () => {
+        allStrings(['0', '1'], 8).filter(Boolean).forEach(input => {
+            const result = tm.run(input);
+            assert.strictEqual(result.outcome, 'accept', input);
+            assert.strictEqual(BigInt('0b' + result.tape), BigInt('0b' + input) + 1n, input);
+        });
+    });
+
+    test('conclusiones: suma, cinta vacía y dígito no binario', () => {
+        assert.strictEqual(tm.run('1011').conclusion, "Es aceptada: 1011 + 1 = 1100 en binario (11 + 1 = 12).");
+        assert.strictEqual(tm.run('').conclusion, "Es aceptada: la cinta vacía se toma como 0, así que el resultado es 1.");
+        const result = tm.run('102');
+        assert.strictEqual(result.outcome, 'halt');
+        assert.strictEqual(result.accepted, false);
+        assert.strictEqual(result.conclusion, "No se acepta: '2' (posición 3) no es un dígito binario.");
+    });
+
+    test('la traza registra lo que se lee, escribe y el movimiento', () => {
+        const steps = tm.run('1').steps.map(s => `${s.from} ${s.symbol}→${s.write},${s.move} ${s.to}`);
+        assert.deepStrictEqual(steps, ['q0 1→1,R q0', 'q0 _→_,L q1', 'q1 1→0,L q1', 'q1 _→1,S q2']);
+        assert.strictEqual(tm.head, -1);
+    });
+});
+
+describe('PalindromeTM', () => {
+    const tm = new PalindromeTM();
+
+    test('coincide con la referencia en todas las cadenas de hasta 7 caracteres', () => {
+        allStrings(['a', 'b'], 7).forEach(input => {
+            const palindrome = input === [...input].reverse().join('');
+            const result = tm.run(input);
+            assert.strictEqual(result.accepted, palindrome, input);
+            assert.strictEqual(result.outcome, palindrome ? 'accept' : 'reject', input);
+        });
+    });
+
+    test('conclusiones: palíndromo, extremos distintos y símbolo fuera del alfabeto', () => {
+        assert.strictEqual(tm.run('abba').conclusion, 'Es aceptada: "abba" se lee igual al revés.');
+        assert.strictEqual(tm.run('abab').conclusion, "No se acepta: la posición 1 ('a') y la 4 ('b') no coinciden.");
+        assert.strictEqual(tm.run('abca').conclusion, "No se acepta: 'c' no pertenece al alfabeto {a, b}.");
+    });
+
+    test('el diagnóstico indica el tipo de parada, la celda y los pasos', () => {
+        const { diagnostic } = tm.run('aab');
+        assert.strictEqual(diagnostic.kind, 'rejected');
+        assert.strictEqual(diagnostic.state.id, 'qr');
+        assert.strictEqual(diagnostic.steps, 5);
+        assert.strictEqual(diagnostic.tape, 'ab');
+    });
+});
+
+describe('TuringMachine', () => {
+    test('se detiene al llegar al límite de pasos', () => {
+        const tm = machine([{ from: 'q0', to: 'q0', symbol: '_', write: 'x', move: 'R' }], { maxSteps: 20 });
+        const result = tm.run('');
+        assert.strictEqual(result.outcome, 'limit');
+        assert.strictEqual(result.accepted, false);
+        assert.strictEqual(result.steps.length, 20);
+        assert.strictEqual(result.conclusion,
+            "No se sabe: la máquina no se detuvo en 20 pasos (límite), quizá nunca termine. Va en q0 con la cinta xxxxxxxxxxxxxxxxxxxx[_].");
+    });
+
+    test('sin transición para lo que lee se detiene sin aceptar y usa los mensajes de atorarse', () => {
+        const tm = machine([{ from: 'q0', to: 'q1', symbol: 'a', move: 'R' }], {
+            messages: { stuck: { '*': "Se detuvo con '{char}' en la celda {position}; cinta {tape}." } }
+        });
+        assert.strictEqual(tm.run('a').outcome, 'accept');
+        assert.strictEqual(tm.run('b').conclusion, "Se detuvo con 'b' en la celda 1; cinta b.");
+    });
+
+    test('la cinta crece hacia la izquierda', () => {
+        const tm = machine([
+            { from: 'q0', to: 'q0', symbol: 'a', move: 'L' },
+            { from: 'q0', to: 'q1', symbol: '_', write: 'b', move: 'S' }
+        ]);
+        const result = tm.run('a');
+        assert.strictEqual(result.tape, 'ba');
+        assert.strictEqual(result.head, -1);
+        assert.strictEqual(tm.formatTape(), '[b]a');
+    });
+
+    test('JSON: ida y vuelta con blank, maxSteps, write, move e isReject', () => {
+        const original = new PalindromeTM();
+        const copy = Automaton.fromJSON(JSON.parse(JSON.stringify(original.toJSON())));
+        assert.ok(copy instanceof TuringMachine);
+        assert.deepStrictEqual(copy.toJSON(), original.toJSON());
+        assert.strictEqual(copy.getState('qr').isReject, true);
+        assert.strictEqual(copy.run('abba').accepted, true);
+    });
+
+    test('la validación reporta los campos propios de la máquina', () => {
+        const errors = Automaton.validateDefinition({
+            format: 'automata-visualizer',
+            version: 1,
+            type: 'TM',
+            blank: '__',
+            maxSteps: 0,
+            alphabet: ['a'],
+            states: [{ id: 'q0', isStart: true, isFinal: true, isReject: true }],
+            transitions: [
+                { from: 'q0', to: 'q0', symbol: 'X', write: 'xy', move: 'D' },
+                { from: 'q0', to: 'q0', symbol: 'X', move: 'R' }
+            ]
+        });
+        assert.strictEqual(errors.length, 6);
+        assert.ok(errors[0].includes('una máquina de Turing debe ser determinista'));
+        // Los simbolos de la cinta pueden no estar en el alfabeto de entrada
+        assert.ok(!errors.some(e => e.includes('no pertenece al alfabeto')));
+    });
+
+    test('desde un DFA acepta el mismo lenguaje', () => {
+        const dfa = new Modulo3Automaton();
+        const tm = TuringMachine.fromAutomaton(dfa);
+        ['', '0', '3', '12', '7', '1234', '999', '1a'].forEach(input =>
+            assert.strictEqual(tm.run(input).accepted, dfa.run(input).accepted, input));
+    });
+
+    test('desde el Email usa un blanco fuera del alfabeto y no copia sus mensajes', () => {
+        const dfa = new EmailAutomaton();
+        const tm = TuringMachine.fromAutomaton(dfa);
+        assert.ok(!dfa.getAlphabet().includes(tm.blank), tm.blank);
+        ['', 'a@b.c', 'a@b.c_', 'a_b@c.d', 'ab', 'a@b', '@a.b', 'a..b@c.d'].forEach(input =>
+            assert.strictEqual(tm.run(input).accepted, dfa.run(input).accepted, input));
+        assert.deepStrictEqual(tm.messages, {});
+        assert.match(tm.run('ab').conclusion, /^No se acepta: la máquina se detuvo en /);
+    });
+});